@@ -0,0 +1,66 @@
+import { config } from '../config.js';
+import { PAYMENT_STATUS, fromWholeUnits } from '../services/payments.js';
+import { verifySignedWebhook } from './signedWebhook.js';
+
+/**
+ * Bank transfer states and the payment status they map to
+ */
+const TRANSFER_STATUSES = {
+  completed: PAYMENT_STATUS.PAID,
+  settled: PAYMENT_STATUS.PAID,
+  pending: PAYMENT_STATUS.PENDING,
+  processing: PAYMENT_STATUS.PENDING,
+  failed: PAYMENT_STATUS.FAILED,
+  rejected: PAYMENT_STATUS.FAILED,
+  returned: PAYMENT_STATUS.FAILED,
+  cancelled: PAYMENT_STATUS.FAILED,
+};
+
+/**
+ * Map a bank transfer status to a payment status
+ * @param {string} status - Transfer status from the webhook
+ * @returns {string|null} PAYMENT_STATUS value, or null for an unknown status
+ */
+export function mapTransferStatus(status) {
+  return TRANSFER_STATUSES[String(status).toLowerCase()] ?? null;
+}
+
+/**
+ * Generic bank transfer webhook, signed with BANK_TRANSFER_WEBHOOK_SECRET (`X-Bank-Signature`)
+ * Body: `{ transferId, reference, status, amount, currency, failureReason? }`, where
+ * `reference` is the intent txRef the payer quoted and `amount` is in currency units.
+ */
+export const bankTransferAdapter = {
+  verify(req) {
+    return verifySignedWebhook(req, {
+      header: 'x-bank-signature',
+      secret: config.rails.bankTransfer.webhookSecret,
+    });
+  },
+
+  normalize(body) {
+    const { transferId, reference, status, amount, currency, failureReason } = body || {};
+
+    if (typeof transferId !== 'string' || !transferId || typeof reference !== 'string' || !reference) {
+      return { error: 'Missing required fields: transferId, reference' };
+    }
+
+    const paymentStatus = mapTransferStatus(status);
+    if (!paymentStatus) {
+      return { error: `Unknown transfer status: ${status}` };
+    }
+
+    return {
+      payment: {
+        status: paymentStatus,
+        txRef: reference,
+        amount: fromWholeUnits(amount)?.toString() ?? null,
+        currency: typeof currency === 'string' ? currency : null,
+        receipt: transferId,
+        description: failureReason ? `${status}: ${failureReason}` : String(status),
+      },
+    };
+  },
+
+  mapStatus: mapTransferStatus,
+};
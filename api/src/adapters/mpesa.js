@@ -0,0 +1,104 @@
+import { config } from '../config.js';
+import { PAYMENT_STATUS, fromWholeUnits } from '../services/payments.js';
+import {
+  DARAJA_CURRENCY,
+  DARAJA_RESULT_CODES,
+  parseStkCallback,
+  describeResult,
+  isValidCallbackToken,
+} from '../services/daraja.js';
+import { verifySignedWebhook } from './signedWebhook.js';
+
+/**
+ * Map a Daraja STK ResultCode to a payment status
+ * @param {number} resultCode - ResultCode from the callback
+ * @returns {string} PAYMENT_STATUS value
+ */
+export function mapStkResult(resultCode) {
+  return resultCode === DARAJA_RESULT_CODES.SUCCESS ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.FAILED;
+}
+
+/**
+ * Normalize a Daraja STK Push callback (`Body.stkCallback`)
+ * The intent is found by CheckoutRequestID; an unreadable Amount stays null
+ * and is flagged when checked against the escrow. The payer's PhoneNumber is
+ * kept for screening.
+ * @param {Object} body - Parsed request body
+ * @returns {Object} `{ payment }` or `{ error }`
+ */
+function normalizeStkCallback(body) {
+  const callback = parseStkCallback(body);
+
+  if (!callback) {
+    return { error: 'Invalid Daraja STK callback payload' };
+  }
+
+  return {
+    payment: {
+      status: mapStkResult(callback.resultCode),
+      checkoutRequestId: callback.checkoutRequestId,
+      amount: fromWholeUnits(callback.amount)?.toString() ?? null,
+      currency: DARAJA_CURRENCY,
+      receipt: callback.receipt,
+      phoneNumber: callback.phoneNumber,
+      description: describeResult(callback),
+    },
+  };
+}
+
+/**
+ * Normalize the flat M-PESA confirmation (`{ intentId, txRef, userAddress, amount, currency? }`)
+ * It names the on-chain intent itself and always reports a completed payment.
+ * @param {Object} body - Parsed request body
+ * @returns {Object} `{ payment }` or `{ error }`
+ */
+function normalizeConfirmation(body) {
+  const { intentId, txRef, userAddress, amount, currency } = body || {};
+
+  if (!intentId || !txRef || !userAddress || !amount) {
+    return { error: 'Missing required fields: intentId, txRef, userAddress, amount' };
+  }
+
+  return {
+    payment: {
+      status: PAYMENT_STATUS.PAID,
+      intentId,
+      txRef,
+      userAddress,
+      amount: String(amount),
+      currency,
+    },
+  };
+}
+
+/**
+ * M-PESA callbacks signed with the M-PESA webhook secret (`X-Mpesa-Signature`)
+ * Accepts the flat confirmation or a Daraja STK callback (e.g. from scripts/mock-daraja.js).
+ */
+export const mpesaAdapter = {
+  verify(req) {
+    return verifySignedWebhook(req, {
+      header: 'x-mpesa-signature',
+      secret: config.rails.mpesa.webhookSecret,
+    });
+  },
+
+  normalize(body) {
+    return body?.Body?.stkCallback !== undefined ? normalizeStkCallback(body) : normalizeConfirmation(body);
+  },
+
+  mapStatus: mapStkResult,
+};
+
+/**
+ * Safaricom Daraja STK callbacks, which are unsigned and carry a secret token in the URL
+ */
+export const darajaAdapter = {
+  verify(req) {
+    return isValidCallbackToken(req.query.token) ? {} : { error: 'Invalid callback token' };
+  },
+
+  normalize: normalizeStkCallback,
+
+  mapStatus: mapStkResult,
+};
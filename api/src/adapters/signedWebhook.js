@@ -0,0 +1,42 @@
+import { config } from '../config.js';
+import {
+  isTimestampFresh,
+  verifySignature,
+  getSignatureVersion,
+  requestSigningString,
+} from '../utils/hmac.js';
+
+/**
+ * Verify an HMAC-signed provider webhook (signature header + X-Timestamp)
+ * Uses the same canonical strings and versions as client requests. The replay
+ * check is left to the caller, keyed by provider.
+ * @param {Object} req - Express request
+ * @param {Object} options - Provider signing settings
+ * @param {string} options.header - Signature header (lower case)
+ * @param {string} options.secret - Provider webhook secret (empty rejects every callback)
+ * @returns {Object} `{ signature, timestamp, version }`, or `{ error }` if not verified
+ */
+export function verifySignedWebhook(req, { header, secret }) {
+  const signature = req.headers[header];
+  const timestamp = parseInt(req.headers['x-timestamp'], 10);
+
+  if (!signature || !timestamp) {
+    return { error: 'Missing signature or timestamp' };
+  }
+
+  if (!isTimestampFresh(timestamp)) {
+    return { error: 'Callback timestamp is too old or in the future' };
+  }
+
+  const version = getSignatureVersion(req);
+  if (!version) {
+    return { error: `Unsupported signature version. Accepted: ${config.auth.signatureVersions.join(', ')}` };
+  }
+
+  const message = requestSigningString(req, version, timestamp);
+  if (!secret || !verifySignature(signature, message, secret)) {
+    return { error: 'Invalid signature' };
+  }
+
+  return { signature, timestamp, version };
+}
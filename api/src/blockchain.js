@@ -1,5 +1,7 @@
 import { ethers } from 'ethers';
 import { config } from './config.js';
+import { metrics, observeRpc } from './metrics.js';
+import { sendTransaction } from './txManager.js';
 
 // Contract ABIs (minimal - only functions we need)
 const MINT_ESCROW_ABI = [
@@ -10,16 +12,41 @@ const MINT_ESCROW_ABI = [
   'event MintIntentSubmitted(bytes32 indexed intentId, address indexed user, uint256 amount, bytes32 indexed countryCode, bytes32 txRef)',
   'event MintExecuted(bytes32 indexed intentId, address indexed user, uint256 amount, bytes32 indexed countryCode, bytes32 txRef)',
   'event MintRefunded(bytes32 indexed intentId, address indexed user, uint256 amount, string reason)',
+  'error IntentAlreadyExists()',
+  'error IntentNotFound()',
+  'error UserNotCompliant()',
+  'error InvalidAmount()',
+  'error InvalidCountryCode()',
+  'error IntentAlreadyExecuted()',
+  'error TransferFailed()',
 ];
 
+const mintEscrowErrors = new ethers.Interface(MINT_ESCROW_ABI);
+
 const USER_REGISTRY_ABI = [
+  'function updateUser(address user, uint8 riskScore, bytes32 attestationHash, bool isVerified) external',
   'function isCompliant(address user) external view returns (bool)',
   'function getRiskScore(address user) external view returns (uint8)',
+  'function getAttestationHash(address user) external view returns (bytes32)',
+  'function getUser(address user) external view returns (tuple(uint8 riskScore, bytes32 attestationHash, uint256 lastUpdated, bool isVerified))',
+];
+
+const COMPLIANCE_MANAGER_ABI = [
+  'function updateUserRisk(address user, uint8 riskScore) external',
+  'function recordAttestation(address user, bytes32 attestationHash, bytes32 attestationType) external',
 ];
 
+// MintEscrow events followed by the indexer
+export const MINT_ESCROW_EVENTS = ['MintIntentSubmitted', 'MintExecuted', 'MintRefunded'];
+
+// MintEscrow.MintStatus enum, indexed by on-chain value
+export const MINT_STATUS = ['Pending', 'Executed', 'Refunded', 'Failed'];
+
 let provider = null;
 let wallet = null;
 let contracts = {};
+let complianceOfficer = null;
+let complianceQueue = Promise.resolve();
 
 /**
  * Initialize blockchain provider and contracts
@@ -35,12 +62,15 @@ export function initBlockchain() {
   // Create wallet for signing transactions
   wallet = new ethers.Wallet(config.executorPrivateKey, provider);
 
-  // Initialize contract instances
-  contracts.mintEscrow = new ethers.Contract(
-    config.contracts.mintEscrow,
-    MINT_ESCROW_ABI,
-    wallet
-  );
+  // Initialize contract instances, one MintEscrow per served country
+  contracts.mintEscrows = {};
+  for (const country of Object.values(config.countries)) {
+    contracts.mintEscrows[country.countryCode] = new ethers.Contract(
+      country.mintEscrow,
+      MINT_ESCROW_ABI,
+      wallet
+    );
+  }
 
   contracts.userRegistry = new ethers.Contract(
     config.contracts.userRegistry,
@@ -48,10 +78,20 @@ export function initBlockchain() {
     provider
   );
 
+  // Compliance changes are signed by their own key, outside the executor's transaction manager
+  if (config.complianceOfficerPrivateKey) {
+    complianceOfficer = new ethers.Wallet(config.complianceOfficerPrivateKey, provider);
+    contracts.complianceManager = config.contracts.complianceManager
+      ? new ethers.Contract(config.contracts.complianceManager, COMPLIANCE_MANAGER_ABI, complianceOfficer)
+      : null;
+  }
+
   console.log('Blockchain initialized:', {
     chainId: config.chain.chainId,
     executor: wallet.address,
-    mintEscrow: config.contracts.mintEscrow,
+    mintEscrows: Object.fromEntries(
+      Object.values(config.countries).map(({ countryCode, mintEscrow }) => [countryCode, mintEscrow])
+    ),
   });
 
   return { provider, wallet, contracts };
@@ -61,36 +101,185 @@ export function initBlockchain() {
  * Get blockchain instances
  */
 export function getBlockchain() {
-  if (!provider || !wallet || !contracts.mintEscrow) {
+  if (!provider || !wallet || !contracts.mintEscrows) {
     throw new Error('Blockchain not initialized. Call initBlockchain() first.');
   }
   return { provider, wallet, contracts };
 }
 
+/**
+ * Get the MintEscrow contract of a country
+ * @param {string} [countryCode] - Country code (defaults to DEFAULT_COUNTRY_CODE)
+ * @returns {ethers.Contract} MintEscrow contract
+ */
+export function getMintEscrow(countryCode) {
+  const { contracts } = getBlockchain();
+  const code = countryCode || config.defaultCountry;
+  const mintEscrow = contracts.mintEscrows[code];
+
+  if (!mintEscrow) {
+    throw new Error(`No MintEscrow configured for country ${code}`);
+  }
+
+  return mintEscrow;
+}
+
 /**
  * Check if user is compliant
  */
 export async function checkCompliance(userAddress) {
   const { contracts } = getBlockchain();
-  return await contracts.userRegistry.isCompliant(userAddress);
+
+  try {
+    const compliant = await observeRpc('isCompliant', () =>
+      contracts.userRegistry.isCompliant(userAddress)
+    );
+    metrics.complianceChecks.inc({ result: compliant ? 'passed' : 'failed' });
+    return compliant;
+  } catch (error) {
+    metrics.complianceChecks.inc({ result: 'error' });
+    throw error;
+  }
 }
 
 /**
- * Submit mint intent on-chain
+ * Read a user's compliance record from the UserRegistry
+ * getUser returns the risk score and attestation hash along with the KYC state, so
+ * one call covers what getRiskScore and getAttestationHash would read separately.
+ * Unregistered users come back zeroed (lastUpdated 0).
+ * @param {string} userAddress - User's Ethereum address
+ * @returns {Promise<Object>} { riskScore, attestationHash, lastUpdated (seconds), isVerified }
  */
-export async function submitMintIntent(amount, countryCode, txRef) {
+export async function getUserCompliance(userAddress) {
   const { contracts } = getBlockchain();
 
-  const tx = await contracts.mintEscrow.submitIntent(
+  const user = await observeRpc('getUser', () => contracts.userRegistry.getUser(userAddress));
+
+  return {
+    riskScore: Number(user.riskScore),
+    attestationHash: user.attestationHash,
+    lastUpdated: Number(user.lastUpdated),
+    isVerified: user.isVerified,
+  };
+}
+
+/**
+ * Compliance officer writes are not configured on this instance
+ */
+export class ComplianceOfficerUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ComplianceOfficerUnavailableError';
+  }
+}
+
+/**
+ * Send a compliance officer transaction and wait for it to be mined
+ * Sends are serialized so concurrent changes do not race for the officer's nonce.
+ * @param {ethers.Contract|null} contract - UserRegistry or ComplianceManager instance
+ * @param {string} method - Contract function name
+ * @param {Array} args - Function arguments
+ * @returns {Promise<Object>} { txHash, blockNumber, officer }
+ * @throws {Error} If no compliance officer key (or contract) is configured, or the call fails
+ */
+async function sendComplianceTransaction(contract, method, args) {
+  getBlockchain();
+
+  if (!complianceOfficer) {
+    throw new ComplianceOfficerUnavailableError('COMPLIANCE_OFFICER_PRIVATE_KEY is not configured');
+  }
+
+  if (!contract) {
+    throw new ComplianceOfficerUnavailableError('COMPLIANCE_MANAGER_ADDRESS is not configured');
+  }
+
+  const send = complianceQueue.then(async () => {
+    const tx = await observeRpc(method, () => contract.connect(complianceOfficer)[method](...args));
+    const receipt = await observeRpc('waitForTransaction', () => tx.wait());
+
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber, officer: complianceOfficer.address };
+  });
+  complianceQueue = send.catch(() => {});
+
+  return await send;
+}
+
+/**
+ * Address of the compliance officer key
+ * @returns {string|null} Officer address, or null if no key is configured
+ */
+export function getComplianceOfficerAddress() {
+  return complianceOfficer ? complianceOfficer.address : null;
+}
+
+/**
+ * Register a user or replace their compliance record in the UserRegistry
+ * @param {string} userAddress - User's Ethereum address
+ * @param {Object} record - { riskScore, attestationHash, isVerified }
+ * @returns {Promise<Object>} { txHash, blockNumber, officer }
+ */
+export async function updateUserCompliance(userAddress, { riskScore, attestationHash, isVerified }) {
+  return await sendComplianceTransaction(contracts.userRegistry, 'updateUser', [
+    userAddress,
+    riskScore,
+    attestationHash,
+    isVerified,
+  ]);
+}
+
+/**
+ * Update a user's risk score through the ComplianceManager
+ * @param {string} userAddress - User's Ethereum address
+ * @param {number} riskScore - Risk score (0-100)
+ * @returns {Promise<Object>} { txHash, blockNumber, officer }
+ */
+export async function updateUserRisk(userAddress, riskScore) {
+  return await sendComplianceTransaction(contracts.complianceManager, 'updateUserRisk', [userAddress, riskScore]);
+}
+
+/**
+ * Record a user's attestation through the ComplianceManager
+ * @param {string} userAddress - User's Ethereum address
+ * @param {string} attestationHash - Hash of the attestation document (bytes32)
+ * @param {string} attestationType - Attestation type (e.g. 'KYC'), at most 31 bytes
+ * @returns {Promise<Object>} { txHash, blockNumber, officer }
+ */
+export async function recordAttestation(userAddress, attestationHash, attestationType) {
+  return await sendComplianceTransaction(contracts.complianceManager, 'recordAttestation', [
+    userAddress,
+    attestationHash,
+    ethers.encodeBytes32String(attestationType),
+  ]);
+}
+
+/**
+ * Send a MintEscrow call through the transaction manager
+ * @param {string} countryCode - Country whose MintEscrow is called
+ * @param {string} method - MintEscrow function name
+ * @param {Array} args - Function arguments
+ * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+ */
+async function sendMintEscrowTransaction(countryCode, method, args) {
+  const mintEscrow = getMintEscrow(countryCode);
+
+  return await sendTransaction(method, {
+    to: mintEscrow.target,
+    data: mintEscrow.interface.encodeFunctionData(method, args),
+  });
+}
+
+/**
+ * Submit mint intent on-chain, to the MintEscrow of its country
+ */
+export async function submitMintIntent(amount, countryCode, txRef) {
+  const receipt = await sendMintEscrowTransaction(countryCode, 'submitIntent', [
     amount,
     ethers.encodeBytes32String(countryCode),
-    ethers.encodeBytes32String(txRef)
-  );
-
-  const receipt = await tx.wait();
+    ethers.encodeBytes32String(txRef),
+  ]);
 
   // Extract intentId from event using contract interface
-  const mintEscrowInterface = contracts.mintEscrow.interface;
+  const mintEscrowInterface = getMintEscrow(countryCode).interface;
   let intentId = null;
 
   for (const log of receipt.logs) {
@@ -110,33 +299,170 @@ export async function submitMintIntent(amount, countryCode, txRef) {
 }
 
 /**
- * Execute mint for a given intent
+ * Name the MintEscrow custom error a failed call or gas estimate reverted with
+ * @param {Error} error - Error thrown by ethers
+ * @returns {string|null} Error name (e.g. 'IntentAlreadyExecuted'), or null if not a MintEscrow revert
  */
-export async function executeMint(intentId) {
-  const { contracts } = getBlockchain();
+export function getMintEscrowRevert(error) {
+  const data = error?.data ?? error?.info?.error?.data;
 
-  const tx = await contracts.mintEscrow.executeMint(intentId);
-  const receipt = await tx.wait();
+  if (typeof data !== 'string' || !data.startsWith('0x')) {
+    return null;
+  }
 
-  return { txHash: receipt.hash };
+  try {
+    return mintEscrowErrors.parseError(data)?.name ?? null;
+  } catch (e) {
+    return null;
+  }
 }
 
 /**
- * Refund a mint intent
+ * Execute mint for a given intent
+ * @param {string} intentId - On-chain intent ID
+ * @param {string} [countryCode] - Country of the intent (defaults to DEFAULT_COUNTRY_CODE)
  */
-export async function refundMintIntent(intentId, reason) {
-  const { contracts } = getBlockchain();
+export async function executeMint(intentId, countryCode) {
+  const receipt = await sendMintEscrowTransaction(countryCode, 'executeMint', [intentId]);
 
-  const tx = await contracts.mintEscrow.refundIntent(intentId, reason);
-  const receipt = await tx.wait();
+  return { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Refund a mint intent
+ * @param {string} intentId - On-chain intent ID
+ * @param {string} reason - Refund reason
+ * @param {string} [countryCode] - Country of the intent (defaults to DEFAULT_COUNTRY_CODE)
+ */
+export async function refundMintIntent(intentId, reason, countryCode) {
+  const receipt = await sendMintEscrowTransaction(countryCode, 'refundIntent', [intentId, reason]);
 
   return { txHash: receipt.hash };
 }
 
 /**
  * Get intent details
+ * @param {string} intentId - On-chain intent ID
+ * @param {string} [countryCode] - Country of the intent (defaults to DEFAULT_COUNTRY_CODE)
  */
-export async function getIntent(intentId) {
-  const { contracts } = getBlockchain();
-  return await contracts.mintEscrow.getIntent(intentId);
+export async function getIntent(intentId, countryCode) {
+  const mintEscrow = getMintEscrow(countryCode);
+  return await observeRpc('getIntent', () => mintEscrow.getIntent(intentId));
+}
+
+/**
+ * Find the transaction that executed an intent
+ * @param {string} intentId - On-chain intent ID
+ * @param {string} [countryCode] - Country of the intent (defaults to DEFAULT_COUNTRY_CODE)
+ * @returns {Promise<{txHash: string, blockNumber: number}|null>} Latest MintExecuted event
+ *   of the intent, or null if none is on the canonical chain
+ */
+export async function findMintExecution(intentId, countryCode) {
+  const mintEscrow = getMintEscrow(countryCode);
+
+  const logs = await observeRpc('getLogs', () =>
+    mintEscrow.queryFilter(mintEscrow.filters.MintExecuted(intentId), config.indexer.startBlock)
+  );
+
+  const log = logs[logs.length - 1];
+  return log ? { txHash: log.transactionHash, blockNumber: log.blockNumber } : null;
+}
+
+/**
+ * Get current block number
+ */
+export async function getBlockNumber() {
+  const { provider } = getBlockchain();
+  return await observeRpc('getBlockNumber', () => provider.getBlockNumber());
+}
+
+/**
+ * Get the receipt of a transaction on the canonical chain
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<ethers.TransactionReceipt|null>} Receipt, or null if not (or no longer) mined
+ */
+export async function getTransactionReceipt(txHash) {
+  const { provider } = getBlockchain();
+  return await observeRpc('getTransactionReceipt', () => provider.getTransactionReceipt(txHash));
+}
+
+/**
+ * Get the hash of a block
+ * @param {number} blockNumber - Block number
+ * @returns {Promise<string|null>} Block hash, or null if the block does not exist
+ */
+export async function getBlockHash(blockNumber) {
+  const { provider } = getBlockchain();
+  const block = await observeRpc('getBlock', () => provider.getBlock(blockNumber));
+  return block ? block.hash : null;
+}
+
+/**
+ * Fetch and decode the events of every country's MintEscrow in a block range
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @returns {Promise<Array>} Decoded events in chain order
+ */
+export async function getMintEscrowEvents(fromBlock, toBlock) {
+  const { provider, contracts } = getBlockchain();
+  const mintEscrows = Object.values(contracts.mintEscrows);
+  const mintEscrowInterface = mintEscrows[0].interface;
+
+  // One topic alternative per followed event
+  const topics = [MINT_ESCROW_EVENTS.map((name) => mintEscrowInterface.getEvent(name).topicHash)];
+
+  const logs = await observeRpc('getLogs', () =>
+    provider.getLogs({
+      address: mintEscrows.map((mintEscrow) => mintEscrow.target),
+      fromBlock,
+      toBlock,
+      topics,
+    })
+  );
+
+  return logs.map((log) => {
+    const parsedLog = mintEscrowInterface.parseLog(log);
+    return {
+      name: parsedLog.name,
+      args: parsedLog.args,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.index,
+      txHash: log.transactionHash,
+    };
+  });
+}
+
+/**
+ * Decode a bytes32 string, falling back to hex for non-UTF-8 values
+ * @param {string} value - bytes32 hex value
+ * @returns {string} Decoded string
+ */
+export function decodeBytes32(value) {
+  try {
+    return ethers.decodeBytes32String(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Convert an on-chain MintIntent struct into a JSON-friendly object
+ * @param {Object} intent - Result of MintEscrow.getIntent()
+ * @returns {Object|null} Formatted intent, or null if the intent does not exist
+ */
+export function formatIntent(intent) {
+  // Unknown intents come back as a zeroed struct
+  if (!intent || intent.timestamp === 0n) {
+    return null;
+  }
+
+  return {
+    user: intent.user,
+    amount: intent.amount.toString(),
+    countryCode: ethers.decodeBytes32String(intent.countryCode),
+    txRef: ethers.decodeBytes32String(intent.txRef),
+    timestamp: Number(intent.timestamp),
+    status: MINT_STATUS[Number(intent.status)],
+  };
 }
@@ -9,6 +9,49 @@ const __dirname = dirname(__filename);
 const seedPath = join(__dirname, '../../seed.json');
 const seed = JSON.parse(readFileSync(seedPath, 'utf-8'));
 
+/**
+ * Build the country registry: the MintEscrow/CountryToken pair, mint limits and
+ * payment provider of every country code the API serves
+ * Without registry entries it holds the seed.json country, with its contract
+ * addresses and payment provider from the environment. Entries without limits
+ * use the seed.json limits; entries without a paymentProvider take no phone-number payments.
+ * @param {Object|null} entries - Registry file contents, keyed by country code
+ * @returns {Object} Country settings keyed by upper-case country code
+ */
+export function buildCountryRegistry(entries) {
+  const source = entries || {
+    [seed.tokens.country.countryCode]: {
+      mintEscrow: process.env.MINT_ESCROW_ADDRESS || '',
+      countryToken: process.env.COUNTRY_TOKEN_ADDRESS || '',
+      paymentProvider: process.env.PAYMENT_PROVIDER || '',
+    },
+  };
+
+  const countries = {};
+  for (const [code, entry] of Object.entries(source)) {
+    const countryCode = code.toUpperCase();
+    const limits = { ...seed.limits, ...entry.limits };
+
+    countries[countryCode] = {
+      countryCode,
+      mintEscrow: entry.mintEscrow || '',
+      countryToken: entry.countryToken || '',
+      paymentProvider: entry.paymentProvider || '',
+      limits: {
+        minMintAmount: BigInt(limits.minMintAmount),
+        maxMintAmount: BigInt(limits.maxMintAmount),
+        dailyMintLimit: BigInt(limits.dailyMintLimit),
+      },
+    };
+  }
+
+  return countries;
+}
+
+// Country registry file (COUNTRY_REGISTRY_PATH), see countries.example.json
+const countryRegistryPath = process.env.COUNTRY_REGISTRY_PATH;
+const countryRegistry = countryRegistryPath ? JSON.parse(readFileSync(countryRegistryPath, 'utf-8')) : null;
+
 /**
  * Application configuration loaded from seed.json and environment variables
  */
@@ -22,19 +65,27 @@ export const config = {
     chainId: seed.chain.chainId,
     rpcUrl: process.env.RPC_URL || seed.chain.rpcUrl,
     blockTime: seed.chain.blockTime,
+    // Blocks a mint transaction must be buried under before it is reported as executed
+    confirmations: parseInt(process.env.CONFIRMATIONS || '12', 10),
   },
 
-  // Contracts (to be populated from deployments.json)
+  // Contracts (to be populated from deployments.json); with COUNTRY_REGISTRY_PATH set,
+  // mintEscrow and countryToken come from the registry instead
   contracts: {
     mintEscrow: process.env.MINT_ESCROW_ADDRESS || '',
     userRegistry: process.env.USER_REGISTRY_ADDRESS || '',
     usdStablecoin: process.env.USD_STABLECOIN_ADDRESS || '',
     countryToken: process.env.COUNTRY_TOKEN_ADDRESS || '',
+    complianceManager: process.env.COMPLIANCE_MANAGER_ADDRESS || '',
   },
 
   // Private key for transaction signing
   executorPrivateKey: process.env.EXECUTOR_PRIVATE_KEY || '',
 
+  // Private key of the compliance officer (COMPLIANCE_OFFICER role on UserRegistry and
+  // ComplianceManager); empty disables the compliance admin routes' writes
+  complianceOfficerPrivateKey: process.env.COMPLIANCE_OFFICER_PRIVATE_KEY || '',
+
   // Secrets from seed.json
   secrets: {
     hmacSalt: seed.secrets.hmacSalt,
@@ -42,14 +93,47 @@ export const config = {
     mpesaWebhookSecret: seed.secrets.mpesaWebhookSecret,
   },
 
+  // Client authentication
+  auth: {
+    // Accept requests without X-Client-Id signed with the shared seed.json salt (never as
+    // an admin). Deprecated: the default turns to false in the next minor release
+    allowLegacySecret: process.env.ALLOW_LEGACY_HMAC_SECRET !== 'false',
+    // Admin client created on startup if missing (issues the other clients)
+    bootstrapAdmin: {
+      id: process.env.ADMIN_CLIENT_ID || '',
+      secret: process.env.ADMIN_CLIENT_SECRET || '',
+    },
+    // Signature versions accepted in X-Signature-Version (v1 is the default when absent)
+    signatureVersions: (process.env.ACCEPTED_SIGNATURE_VERSIONS || 'v1,v2')
+      .split(',')
+      .map((version) => version.trim().toLowerCase())
+      .filter(Boolean),
+  },
+
+  // Replay protection for signed requests
+  replay: {
+    // How long a signed request stays valid (and its signature is remembered)
+    windowMs: parseInt(process.env.REPLAY_WINDOW_SECONDS || '300', 10) * 1000,
+    // Clock skew tolerated for timestamps ahead of the server clock
+    maxFutureDriftMs: parseInt(process.env.REPLAY_MAX_FUTURE_DRIFT_SECONDS || '30', 10) * 1000,
+  },
+
   // Compliance rules
   compliance: {
     maxRiskScore: seed.compliance.maxRiskScore,
     requireAttestation: seed.compliance.requireAttestation,
     minAttestationAge: seed.compliance.minAttestationAge,
+    // Pre-flight results per user are reused for this long before the UserRegistry is read again
+    cacheTtlSeconds: parseInt(process.env.COMPLIANCE_CACHE_TTL_SECONDS || '60', 10),
   },
 
-  // Transaction limits
+  // Served countries, keyed by country code; intents are routed by their countryCode
+  countries: buildCountryRegistry(countryRegistry),
+
+  // Country of intents whose country is not known locally (e.g. created outside the API)
+  defaultCountry: process.env.DEFAULT_COUNTRY_CODE || seed.tokens.country.countryCode,
+
+  // Default transaction limits (per-country limits are in `countries`)
   limits: {
     minMintAmount: BigInt(seed.limits.minMintAmount),
     maxMintAmount: BigInt(seed.limits.maxMintAmount),
@@ -69,6 +153,100 @@ export const config = {
     rpcTimeoutMs: seed.timeouts.rpcTimeoutMs,
     webhookTimeoutMs: seed.timeouts.webhookTimeoutMs,
     idempotencyWindowSeconds: seed.timeouts.idempotencyWindowSeconds,
+    // An in-progress idempotency key not completed within this lease can be reclaimed
+    idempotencyLeaseSeconds: parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS || '60', 10),
+  },
+
+  // Executor transaction manager
+  transactions: {
+    // Rebroadcast with a higher fee once a transaction has been pending this many blocks
+    bumpAfterBlocks: parseInt(process.env.TX_BUMP_AFTER_BLOCKS || '3', 10),
+    // Nodes reject replacements that raise the fee by less than 10%
+    bumpPercent: parseInt(process.env.TX_BUMP_PERCENT || '15', 10),
+    maxBumps: parseInt(process.env.TX_MAX_BUMPS || '5', 10),
+    pollIntervalMs: parseInt(process.env.TX_POLL_INTERVAL_MS || String(seed.chain.blockTime * 500), 10),
+    // How long a send waits to be mined before failing over to the retry queue
+    waitTimeoutMs: parseInt(process.env.TX_WAIT_TIMEOUT_MS || '60000', 10),
+  },
+
+  // Outbound partner webhooks (backoff follows the retry settings)
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+  },
+
+  // MintEscrow event indexer
+  indexer: {
+    enabled: process.env.INDEXER_ENABLED !== 'false',
+    startBlock: parseInt(process.env.INDEXER_START_BLOCK || '0', 10),
+    pollIntervalMs: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || String(seed.chain.blockTime * 1000), 10),
+    batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '2000', 10),
+    // Events deeper than this are treated as final and applied to the intent ledger
+    confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || process.env.CONFIRMATIONS || '12', 10),
+  },
+
+  // Refund policy
+  refunds: {
+    autoRefundOnRejection: process.env.AUTO_REFUND_ON_REJECTION !== 'false',
+    pendingTtlSeconds: parseInt(process.env.INTENT_PENDING_TTL_SECONDS || '3600', 10),
+  },
+
+  // Payment rail callbacks (POST /callbacks/:provider), each signed with its own secret
+  rails: {
+    mpesa: {
+      webhookSecret: process.env.MPESA_WEBHOOK_SECRET || seed.secrets.mpesaWebhookSecret,
+    },
+    bankTransfer: {
+      // Empty rejects every bank transfer callback
+      webhookSecret: process.env.BANK_TRANSFER_WEBHOOK_SECRET || '',
+    },
+    // A callback still processing after this long (the process died) is processed
+    // again on its next delivery
+    inboxLeaseSeconds: parseInt(process.env.CALLBACK_INBOX_LEASE_SECONDS || '60', 10),
+  },
+
+  // Payment prompts for intents created with a phone number
+  payments: {
+    // Payment provider client ('daraja') of the seed.json country; registry entries set
+    // their own `paymentProvider`. Empty disables phone-number payments
+    provider: process.env.PAYMENT_PROVIDER || '',
+    tokenDecimals: seed.tokens.country.decimals,
+    // What to do with a payment below the escrowed amount: refund, hold or mint_paid
+    partialPaymentPolicy: process.env.PARTIAL_PAYMENT_POLICY || 'refund',
+  },
+
+  // FX quotes (POST /quotes) locking the rate of a mint intent
+  quotes: {
+    // Rate source ('static' reads ratesPath)
+    rateSource: process.env.FX_RATE_SOURCE || 'static',
+    // Static rates: fiat units per USD stablecoin, keyed by country code
+    ratesPath: process.env.FX_RATES_PATH || join(__dirname, '../fx-rates.json'),
+    ttlSeconds: parseInt(process.env.QUOTE_TTL_SECONDS || '300', 10),
+    // Fee taken from the fiat amount, in basis points
+    feeBps: parseInt(process.env.QUOTE_FEE_BPS || '0', 10),
+    // Quotes are disabled while empty; must not be the shared request HMAC salt
+    signingSecret: process.env.QUOTE_SIGNING_SECRET || '',
+  },
+
+  // Sanctions/denylist screening of mint intents and paid callbacks
+  screening: {
+    // Screening provider ('denylist' reads denylistPath)
+    provider: process.env.SCREENING_PROVIDER || 'denylist',
+    // Denylist file (.csv or .json), reloaded when it changes; empty lists nothing
+    denylistPath: process.env.DENYLIST_PATH || '',
+  },
+
+  // Safaricom Daraja (M-PESA STK Push); defaults target scripts/mock-daraja.js
+  daraja: {
+    baseUrl: process.env.DARAJA_BASE_URL || 'http://localhost:8090',
+    consumerKey: process.env.DARAJA_CONSUMER_KEY || '',
+    consumerSecret: process.env.DARAJA_CONSUMER_SECRET || '',
+    shortcode: process.env.DARAJA_SHORTCODE || '174379',
+    passkey: process.env.DARAJA_PASSKEY || '',
+    // Where Daraja sends the STK result (use /callbacks/mpesa/daraja?token=... with the real Daraja)
+    callbackUrl: process.env.DARAJA_CALLBACK_URL || `http://localhost:${process.env.PORT || 3000}/callbacks/mpesa`,
+    timeoutMs: parseInt(process.env.DARAJA_TIMEOUT_MS || '10000', 10),
+    // Secret token Daraja must send in the callback URL (?token=...); Daraja callbacks are unsigned
+    callbackToken: process.env.DARAJA_CALLBACK_TOKEN || '',
   },
 
   // Database
@@ -76,7 +254,7 @@ export const config = {
     path: process.env.DB_PATH || './data/fiatrails.db',
   },
 
-  // Dead Letter Queue
+  // Dead Letter Queue (legacy file, imported into SQLite on startup)
   dlq: {
     path: process.env.DLQ_PATH || './data/dlq.json',
   },
@@ -88,16 +266,43 @@ export const config = {
 export function validateConfig() {
   const required = [
     { key: 'executorPrivateKey', value: config.executorPrivateKey },
-    { key: 'contracts.mintEscrow', value: config.contracts.mintEscrow },
     { key: 'contracts.userRegistry', value: config.contracts.userRegistry },
     { key: 'contracts.usdStablecoin', value: config.contracts.usdStablecoin },
-    { key: 'contracts.countryToken', value: config.contracts.countryToken },
   ];
 
+  for (const country of Object.values(config.countries)) {
+    required.push(
+      { key: `countries.${country.countryCode}.mintEscrow`, value: country.mintEscrow },
+      { key: `countries.${country.countryCode}.countryToken`, value: country.countryToken }
+    );
+  }
+
   const missing = required.filter(({ value }) => !value);
 
   if (missing.length > 0) {
     const keys = missing.map(({ key }) => key).join(', ');
     throw new Error(`Missing required configuration: ${keys}`);
   }
+
+  if (!config.countries[config.defaultCountry]) {
+    throw new Error(`DEFAULT_COUNTRY_CODE ${config.defaultCountry} is not in the country registry`);
+  }
+
+  // Compliance changes must not be signed with the key that mints
+  if (config.complianceOfficerPrivateKey
+    && config.complianceOfficerPrivateKey.toLowerCase() === config.executorPrivateKey.toLowerCase()) {
+    throw new Error('COMPLIANCE_OFFICER_PRIVATE_KEY must differ from EXECUTOR_PRIVATE_KEY');
+  }
+
+  // Anyone holding the shared salt could otherwise forge quotes at any rate
+  if (config.quotes.signingSecret && config.quotes.signingSecret === config.secrets.hmacSalt) {
+    throw new Error('QUOTE_SIGNING_SECRET must differ from the seed.json HMAC salt');
+  }
+
+  const partialPaymentPolicies = ['refund', 'hold', 'mint_paid'];
+  if (!partialPaymentPolicies.includes(config.payments.partialPaymentPolicy)) {
+    throw new Error(
+      `Invalid PARTIAL_PAYMENT_POLICY: expected one of ${partialPaymentPolicies.join(', ')}`
+    );
+  }
 }
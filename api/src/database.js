@@ -35,6 +35,11 @@ export function initDatabase() {
     ON idempotency_keys(expires_at)
   `);
 
+  // Request body fingerprint, and the lease held by the request in progress
+  addColumnIfMissing('idempotency_keys', 'request_hash', 'TEXT');
+  addColumnIfMissing('idempotency_keys', 'lease_id', 'TEXT');
+  addColumnIfMissing('idempotency_keys', 'locked_until', 'INTEGER');
+
   // Create retry queue table
   db.exec(`
     CREATE TABLE IF NOT EXISTS retry_queue (
@@ -50,6 +55,9 @@ export function initDatabase() {
     )
   `);
 
+  // Per-attempt error history, added after the retry queue first shipped
+  addColumnIfMissing('retry_queue', 'error_history', "TEXT NOT NULL DEFAULT '[]'");
+
   // Create index for retry processing
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_next_retry
@@ -57,10 +65,372 @@ export function initDatabase() {
     WHERE attempt < max_attempts
   `);
 
+  // Create intents table (local ledger of every mint intent the API has seen)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS intents (
+      tx_ref TEXT PRIMARY KEY,
+      intent_id TEXT UNIQUE,
+      user_address TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      country_code TEXT NOT NULL,
+      tx_hash TEXT,
+      status TEXT NOT NULL,
+      last_error TEXT,
+      refund_reason TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  // API client that created the intent (receives its webhook events)
+  addColumnIfMissing('intents', 'client_id', 'TEXT');
+
+  // Create indexes for intent lookups and newest-first listing
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_intents_status
+    ON intents(status)
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_intents_created_at
+    ON intents(created_at DESC, tx_ref DESC)
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_intents_user_created
+    ON intents(user_address COLLATE NOCASE, created_at DESC)
+  `);
+
+  // Payment references (STK Push CheckoutRequestID, and the confirmed receipt of
+  // any rail: mpesa_receipt predates the other rails and keeps its name)
+  addColumnIfMissing('intents', 'checkout_request_id', 'TEXT');
+  addColumnIfMissing('intents', 'mpesa_receipt', 'TEXT');
+  addColumnIfMissing('intents', 'payment_provider', 'TEXT');
+
+  // Amount actually paid (wei) and callbacks flagged for not matching the escrow
+  addColumnIfMissing('intents', 'paid_amount', 'TEXT');
+  addColumnIfMissing('intents', 'flag_reason', 'TEXT');
+  addColumnIfMissing('intents', 'flagged_at', 'INTEGER');
+
+  // FX quote that locked the amount, and the fiat amount (wei) it prices
+  addColumnIfMissing('intents', 'quote_id', 'TEXT');
+  addColumnIfMissing('intents', 'fiat_amount', 'TEXT');
+
+  // Phone number prompted for the payment, screened again before execution
+  addColumnIfMissing('intents', 'phone_number', 'TEXT');
+
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_intents_checkout_request
+    ON intents(checkout_request_id)
+  `);
+
+  // Create dead letter queue table (replaces the legacy dlq.json file)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS dlq (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      intent_id TEXT NOT NULL,
+      operation TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      attempts INTEGER NOT NULL,
+      error_history TEXT NOT NULL,
+      last_error TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      created_at INTEGER NOT NULL,
+      failed_at INTEGER NOT NULL,
+      resolved_at INTEGER,
+      resolution_reason TEXT
+    )
+  `);
+
+  // Create index for DLQ listing by status
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_dlq_status
+    ON dlq(status, id DESC)
+  `);
+
+  // Create chain events table (MintEscrow logs followed by the indexer)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS chain_events (
+      block_number INTEGER NOT NULL,
+      log_index INTEGER NOT NULL,
+      block_hash TEXT NOT NULL,
+      tx_hash TEXT NOT NULL,
+      event_name TEXT NOT NULL,
+      intent_id TEXT NOT NULL,
+      user_address TEXT NOT NULL,
+      amount TEXT NOT NULL,
+      country_code TEXT,
+      tx_ref TEXT,
+      reason TEXT,
+      applied INTEGER NOT NULL DEFAULT 0,
+      indexed_at INTEGER NOT NULL,
+      PRIMARY KEY (block_number, log_index)
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_chain_events_intent
+    ON chain_events(intent_id)
+  `);
+
+  // Create indexed block hashes table (used to detect reorgs)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS indexer_blocks (
+      block_number INTEGER PRIMARY KEY,
+      block_hash TEXT NOT NULL
+    )
+  `);
+
+  // Create indexer checkpoint table (last fully indexed block per stream)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS indexer_checkpoint (
+      name TEXT PRIMARY KEY,
+      block_number INTEGER NOT NULL,
+      block_hash TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  // Create executor transactions table (nonce tracking and fee bumping)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS executor_transactions (
+      nonce INTEGER PRIMARY KEY,
+      label TEXT NOT NULL,
+      to_address TEXT NOT NULL,
+      data TEXT NOT NULL,
+      gas_limit TEXT NOT NULL,
+      max_fee_per_gas TEXT,
+      max_priority_fee_per_gas TEXT,
+      gas_price TEXT,
+      tx_hash TEXT NOT NULL,
+      tx_hashes TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      bumps INTEGER NOT NULL DEFAULT 0,
+      broadcast_block INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_executor_transactions_status
+    ON executor_transactions(status)
+  `);
+
+  // Create webhook subscriptions table (partner callback URLs)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      events TEXT NOT NULL,
+      description TEXT,
+      secret TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  // Client whose intents a subscription receives (subscriptions created before this
+  // column get none and are not delivered until updated)
+  addColumnIfMissing('webhook_subscriptions', 'client_id', 'TEXT');
+
+  // Create webhook outbox table (one row per event per subscription)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id TEXT NOT NULL,
+      subscription_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      tx_ref TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempt INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      next_attempt_at INTEGER NOT NULL,
+      last_error TEXT,
+      created_at INTEGER NOT NULL,
+      delivered_at INTEGER
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_webhook_outbox_due
+    ON webhook_outbox(next_attempt_at)
+    WHERE status = 'pending'
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_webhook_outbox_subscription
+    ON webhook_outbox(subscription_id, id DESC)
+  `);
+
+  // Create webhook delivery log (one row per delivery attempt)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      outbox_id INTEGER NOT NULL,
+      attempt INTEGER NOT NULL,
+      response_status INTEGER,
+      error TEXT,
+      duration_ms INTEGER NOT NULL,
+      attempted_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_outbox
+    ON webhook_deliveries(outbox_id)
+  `);
+
+  // Create API clients table (partners authenticating with X-Client-Id)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clients (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      admin INTEGER NOT NULL DEFAULT 0,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  // Create client secrets table (overlapping validity windows allow rotation)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS client_secrets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      client_id TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      valid_from INTEGER NOT NULL,
+      valid_until INTEGER,
+      revoked_at INTEGER,
+      last_used_at INTEGER,
+      created_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_client_secrets_client
+    ON client_secrets(client_id)
+  `);
+
+  // Create FX quotes table (each quote locks the amount of one mint intent)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS quotes (
+      id TEXT PRIMARY KEY,
+      country_code TEXT NOT NULL,
+      fiat_amount TEXT NOT NULL,
+      token_amount TEXT NOT NULL,
+      rate TEXT NOT NULL,
+      fee TEXT NOT NULL,
+      source TEXT NOT NULL,
+      signature TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      consumed_at INTEGER,
+      consumed_by TEXT,
+      created_at INTEGER NOT NULL
+    )
+  `);
+
+  // Create seen signatures table (replay protection, rows expire with the timestamp window)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS seen_signatures (
+      scope TEXT NOT NULL,
+      signature TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (scope, signature)
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_seen_signatures_expires
+    ON seen_signatures(expires_at)
+  `);
+
+  // Create callback inbox (one row per distinct payment callback, with the outcome
+  // returned to its first delivery; receipt is '' for callbacks without one)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS callback_inbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider TEXT NOT NULL,
+      receipt TEXT NOT NULL,
+      intent_ref TEXT NOT NULL,
+      payment_status TEXT NOT NULL,
+      response_status INTEGER,
+      response_body TEXT,
+      deliveries INTEGER NOT NULL DEFAULT 1,
+      locked_until INTEGER,
+      created_at INTEGER NOT NULL,
+      last_delivered_at INTEGER NOT NULL,
+      completed_at INTEGER,
+      UNIQUE (provider, receipt, intent_ref, payment_status)
+    )
+  `);
+
+  // Create compliance audit log (one row per compliance change attempted through the admin API)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS compliance_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_address TEXT NOT NULL,
+      action TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      previous TEXT,
+      client_id TEXT NOT NULL,
+      officer_address TEXT,
+      status TEXT NOT NULL,
+      tx_hash TEXT,
+      error TEXT,
+      created_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_compliance_audit_user
+    ON compliance_audit(user_address COLLATE NOCASE, created_at DESC)
+  `);
+
+  // Create screening hits (one row per flow blocked by a denylist match, for compliance review)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS screening_hits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stage TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      subject_type TEXT NOT NULL,
+      subject_value TEXT NOT NULL,
+      entry TEXT NOT NULL,
+      user_address TEXT,
+      tx_ref TEXT,
+      intent_id TEXT,
+      refund_queued INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_screening_hits_created
+    ON screening_hits(created_at DESC)
+  `);
+
   console.log('Database initialized:', config.database.path);
   return db;
 }
 
+/**
+ * Add a column to an existing table if it is not there yet
+ * Lets tables created by earlier versions pick up new columns in place.
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+
+  if (!columns.some(({ name }) => name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
 /**
  * Get database instance
  */
@@ -3,33 +3,64 @@ import express from 'express';
 import { config, validateConfig } from './config.js';
 import { initDatabase, closeDatabase, cleanupExpiredKeys } from './database.js';
 import { initBlockchain } from './blockchain.js';
-import { processRetryQueue } from './services/retry.js';
-import { executeMint } from './blockchain.js';
+import { initTxManager } from './txManager.js';
+import { processRetryQueue, importLegacyDLQ } from './services/retry.js';
+import { registerDefaultRetryOperations } from './services/retryOperations.js';
+import { registerDefaultPaymentProviders } from './services/payments.js';
+import { registerDefaultCallbackAdapters } from './services/callbackAdapters.js';
+import { registerDefaultRateSources } from './services/quotes.js';
+import { registerDefaultScreeningProviders } from './services/screening.js';
+import { refundExpiredIntents } from './services/refunds.js';
+import { startIndexer, stopIndexer } from './services/indexer.js';
+import { confirmPendingExecutions } from './services/confirmations.js';
+import { registerWebhookNotifications, processWebhookOutbox } from './services/webhooks.js';
+import { cleanupExpiredSignatures } from './services/replay.js';
+import { ensureBootstrapAdminClient } from './services/clients.js';
+import { apiMetrics } from './middleware/metrics.js';
 
 // Import routes
 import mintIntentsRouter from './routes/mintIntents.js';
+import quotesRouter from './routes/quotes.js';
 import callbacksRouter from './routes/callbacks.js';
 import healthRouter from './routes/health.js';
+import dlqRouter from './routes/dlq.js';
+import webhooksRouter from './routes/webhooks.js';
+import clientsRouter from './routes/clients.js';
+import complianceRouter from './routes/compliance.js';
 
 const app = express();
 
 // Middleware
-app.use(express.json());
+app.use(express.json({
+  // Keep the body exactly as sent for v2 signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  },
+}));
+
+// Request latency metrics
+app.use(apiMetrics);
 
 // Request logging
 app.use((req, res, next) => {
   const start = Date.now();
   res.on('finish', () => {
     const duration = Date.now() - start;
-    console.log(`${req.method} ${req.path} ${res.statusCode} ${duration}ms`);
+    const client = req.apiClient ? ` client=${req.apiClient.id}` : '';
+    console.log(`${req.method} ${req.path} ${res.statusCode} ${duration}ms${client}`);
   });
   next();
 });
 
 // Mount routes
 app.use('/', mintIntentsRouter);
+app.use('/', quotesRouter);
 app.use('/', callbacksRouter);
 app.use('/', healthRouter);
+app.use('/', dlqRouter);
+app.use('/', webhooksRouter);
+app.use('/', clientsRouter);
+app.use('/', complianceRouter);
 
 // 404 handler
 app.use((req, res) => {
@@ -48,16 +79,6 @@ app.use((err, req, res, next) => {
   });
 });
 
-/**
- * Retry queue processor
- */
-async function retryProcessor(operation, payload) {
-  if (operation === 'execute') {
-    await executeMint(payload.intentId);
-  }
-  // Add more operations as needed
-}
-
 /**
  * Start the server
  */
@@ -77,8 +98,40 @@ async function start() {
     // Initialize database
     initDatabase();
 
+    // Carry over entries from the file-based DLQ used by earlier versions
+    importLegacyDLQ();
+
+    // Issue the first admin client (ADMIN_CLIENT_ID/ADMIN_CLIENT_SECRET)
+    if (ensureBootstrapAdminClient()) {
+      console.log(`Created bootstrap admin client ${config.auth.bootstrapAdmin.id}`);
+    }
+
     // Initialize blockchain
-    initBlockchain();
+    const { wallet } = initBlockchain();
+
+    // Recover executor transactions left pending by a previous run
+    await initTxManager(wallet);
+
+    // Register retry queue operation handlers
+    registerDefaultRetryOperations();
+
+    // Register payment provider clients (PAYMENT_PROVIDER selects one)
+    registerDefaultPaymentProviders();
+
+    // Register payment rail callback adapters (POST /callbacks/:provider)
+    registerDefaultCallbackAdapters();
+
+    // Register FX rate sources for quotes (FX_RATE_SOURCE selects one)
+    registerDefaultRateSources();
+
+    // Register sanctions/denylist screening providers (SCREENING_PROVIDER selects one)
+    registerDefaultScreeningProviders();
+
+    // Notify partner webhooks of intent transitions
+    registerWebhookNotifications();
+
+    // Follow MintEscrow events into the local database
+    startIndexer();
 
     // Start Express server
     const server = app.listen(config.port, () => {
@@ -90,16 +143,44 @@ async function start() {
     // Set up retry queue processor (every 5 seconds)
     const retryInterval = setInterval(async () => {
       try {
-        await processRetryQueue(retryProcessor);
+        await processRetryQueue();
       } catch (error) {
         console.error('Error processing retry queue:', error);
       }
     }, 5000);
 
-    // Set up cleanup of expired idempotency keys (every hour)
+    // Set up refunds of intents pending past their TTL (every minute)
+    const refundInterval = setInterval(() => {
+      try {
+        refundExpiredIntents();
+      } catch (error) {
+        console.error('Error refunding expired intents:', error);
+      }
+    }, 60000);
+
+    // Set up confirmation tracking of mined executions (every block)
+    const confirmationInterval = setInterval(async () => {
+      try {
+        await confirmPendingExecutions();
+      } catch (error) {
+        console.error('Error confirming mint executions:', error);
+      }
+    }, config.chain.blockTime * 1000);
+
+    // Set up partner webhook delivery (every 5 seconds)
+    const webhookInterval = setInterval(async () => {
+      try {
+        await processWebhookOutbox();
+      } catch (error) {
+        console.error('Error delivering webhooks:', error);
+      }
+    }, 5000);
+
+    // Set up cleanup of expired idempotency keys and request signatures (every hour)
     const cleanupInterval = setInterval(() => {
       try {
         cleanupExpiredKeys();
+        cleanupExpiredSignatures();
       } catch (error) {
         console.error('Error cleaning up expired keys:', error);
       }
@@ -110,7 +191,11 @@ async function start() {
       console.log(`\nReceived ${signal}, shutting down gracefully...`);
 
       clearInterval(retryInterval);
+      clearInterval(refundInterval);
+      clearInterval(confirmationInterval);
+      clearInterval(webhookInterval);
       clearInterval(cleanupInterval);
+      stopIndexer();
 
       server.close(() => {
         console.log('Server closed');
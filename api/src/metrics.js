@@ -0,0 +1,144 @@
+import { Counter, Histogram, Gauge } from 'prom-client';
+
+// Prometheus metrics (names and labels must match the rules in ops/alerts.yml)
+export const metrics = {
+  rpcRequests: new Counter({
+    name: 'fiatrails_rpc_requests_total',
+    help: 'Total number of RPC requests',
+    labelNames: ['method', 'status'],
+  }),
+
+  mintIntents: new Counter({
+    name: 'fiatrails_mint_intents_total',
+    help: 'Total number of mint intents submitted',
+    labelNames: ['status'],
+  }),
+
+  callbacks: new Counter({
+    name: 'fiatrails_callbacks_total',
+    help: 'Total number of payment rail callbacks received',
+    labelNames: ['provider', 'result'],
+  }),
+
+  retries: new Counter({
+    name: 'fiatrails_retries_total',
+    help: 'Total number of retry attempts',
+    labelNames: ['operation', 'status'],
+  }),
+
+  dlqDepth: new Gauge({
+    name: 'fiatrails_dlq_depth',
+    help: 'Number of items in Dead Letter Queue',
+  }),
+
+  queueDepth: new Gauge({
+    name: 'fiatrails_retry_queue_depth',
+    help: 'Number of items in retry queue',
+  }),
+
+  complianceChecks: new Counter({
+    name: 'fiatrails_compliance_checks_total',
+    help: 'Total number of compliance checks',
+    labelNames: ['result'],
+  }),
+
+  compliancePreflight: new Counter({
+    name: 'fiatrails_compliance_preflight_total',
+    help: 'Total number of pre-flight compliance evaluations of mint intents, by outcome or reason code',
+    labelNames: ['result', 'cached'],
+  }),
+
+  screenings: new Counter({
+    name: 'fiatrails_screenings_total',
+    help: 'Total number of sanctions/denylist screenings by stage and outcome',
+    labelNames: ['stage', 'result'],
+  }),
+
+  txReplacements: new Counter({
+    name: 'fiatrails_tx_replacements_total',
+    help: 'Total number of executor transactions rebroadcast with a bumped fee',
+    labelNames: ['label'],
+  }),
+
+  pendingTransactions: new Gauge({
+    name: 'fiatrails_pending_transactions',
+    help: 'Number of executor transactions broadcast but not yet mined',
+  }),
+
+  webhookDeliveries: new Counter({
+    name: 'fiatrails_webhook_deliveries_total',
+    help: 'Total number of partner webhook delivery attempts',
+    labelNames: ['result'],
+  }),
+
+  paymentRequests: new Counter({
+    name: 'fiatrails_payment_requests_total',
+    help: 'Total number of payment prompts (e.g. STK Push) sent to a payment provider',
+    labelNames: ['provider', 'result'],
+  }),
+
+  quotes: new Counter({
+    name: 'fiatrails_quotes_total',
+    help: 'Total number of FX quotes issued or failed, by rate source',
+    labelNames: ['source', 'result'],
+  }),
+
+  paymentMismatches: new Counter({
+    name: 'fiatrails_payment_mismatches_total',
+    help: 'Total number of payment callbacks flagged for not matching the escrowed intent',
+    labelNames: ['field'],
+  }),
+
+  partialPayments: new Counter({
+    name: 'fiatrails_partial_payments_total',
+    help: 'Total number of payments below the escrowed amount by partial payment policy',
+    labelNames: ['policy'],
+  }),
+
+  signedRequests: new Counter({
+    name: 'fiatrails_signed_requests_total',
+    help: 'Total number of verified signed requests by signature version',
+    labelNames: ['source', 'version'],
+  }),
+
+  replayedRequests: new Counter({
+    name: 'fiatrails_replayed_requests_total',
+    help: 'Total number of signed requests rejected as replays',
+    labelNames: ['source'],
+  }),
+
+  rpcLatency: new Histogram({
+    name: 'fiatrails_rpc_call_duration_seconds',
+    help: 'RPC call latency in seconds',
+    labelNames: ['method'],
+    buckets: [0.1, 0.5, 1, 2, 5, 10],
+  }),
+
+  apiLatency: new Histogram({
+    name: 'fiatrails_api_latency_seconds',
+    help: 'API request latency in seconds',
+    labelNames: ['endpoint', 'method', 'status'],
+    buckets: [0.01, 0.05, 0.1, 0.5, 1, 2],
+  }),
+};
+
+/**
+ * Run an RPC call, recording its outcome and latency
+ * @param {string} method - RPC method label (e.g. 'executeMint')
+ * @param {Function} call - Async function performing the call
+ * @returns {Promise<*>} Result of the call
+ */
+export async function observeRpc(method, call) {
+  const endTimer = metrics.rpcLatency.startTimer({ method });
+
+  try {
+    const result = await call();
+    metrics.rpcRequests.inc({ method, status: 'success' });
+    return result;
+  } catch (error) {
+    metrics.rpcRequests.inc({ method, status: 'error' });
+    throw error;
+  } finally {
+    endTimer();
+  }
+}
@@ -1,12 +1,49 @@
-import { verifyHmac, isTimestampFresh } from '../utils/hmac.js';
+import {
+  verifySignature,
+  isTimestampFresh,
+  getSignatureVersion,
+  requestSigningString,
+} from '../utils/hmac.js';
+import { config } from '../config.js';
+import { metrics } from '../metrics.js';
+import { getClient, verifyClientSignature, LEGACY_CLIENT_ID } from '../services/clients.js';
+import { recordSignature } from '../services/replay.js';
+
+/**
+ * Respond with 401 if a verified signature was already used by the same client
+ * @param {Object} res - Express response
+ * @param {string} clientId - Authenticated client ID
+ * @param {string} signature - Verified signature
+ * @param {number} timestamp - Request timestamp
+ * @returns {boolean} True if the request is a replay (response already sent)
+ */
+function rejectReplay(res, clientId, signature, timestamp) {
+  if (recordSignature(clientId, signature, timestamp)) {
+    return false;
+  }
+
+  metrics.replayedRequests.inc({ source: 'api' });
+  res.status(401).json({
+    error: 'Unauthorized',
+    message: 'Request signature already used',
+  });
+  return true;
+}
 
 /**
  * Middleware to verify HMAC signature on incoming requests
  * Expects headers:
+ * - X-Client-Id: Client ID (optional while the shared secret is allowed)
  * - X-Signature: HMAC signature (hex)
  * - X-Timestamp: Unix timestamp in milliseconds
+ * - X-Signature-Version: Canonical string format (optional, defaults to v1)
+ *
+ * Each signature is accepted once: a retried request must be re-signed with a
+ * new timestamp. On success the authenticated client is attached as
+ * `req.apiClient` ({ id, name, admin, secretId }).
  */
 export function hmacVerification(req, res, next) {
+  const clientId = req.headers['x-client-id'];
   const signature = req.headers['x-signature'];
   const timestamp = parseInt(req.headers['x-timestamp'], 10);
 
@@ -25,7 +62,7 @@ export function hmacVerification(req, res, next) {
     });
   }
 
-  // Check timestamp freshness (5 minute window)
+  // Check timestamp freshness (REPLAY_WINDOW_SECONDS, with bounded future drift)
   if (!isTimestampFresh(timestamp)) {
     return res.status(401).json({
       error: 'Unauthorized',
@@ -33,14 +70,87 @@ export function hmacVerification(req, res, next) {
     });
   }
 
-  // Verify HMAC signature
-  if (!verifyHmac(signature, req.body, timestamp)) {
+  const version = getSignatureVersion(req);
+  if (!version) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: `Unsupported signature version. Accepted: ${config.auth.signatureVersions.join(', ')}`,
+    });
+  }
+
+  const message = requestSigningString(req, version, timestamp);
+
+  if (!clientId) {
+    if (!config.auth.allowLegacySecret) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Missing X-Client-Id header',
+      });
+    }
+
+    // Shared seed.json salt, kept for clients not yet migrated to their own keys. Everyone
+    // holding seed.json can sign with it, so it is never an admin
+    if (!verifySignature(signature, message)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid signature',
+      });
+    }
+
+    if (rejectReplay(res, LEGACY_CLIENT_ID, signature, timestamp)) {
+      return;
+    }
+
+    metrics.signedRequests.inc({ source: 'api', version });
+    req.apiClient = { id: LEGACY_CLIENT_ID, name: 'Shared secret', admin: false, secretId: null };
+    return next();
+  }
+
+  const client = getClient(clientId);
+
+  if (!client) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Unknown client',
+    });
+  }
+
+  // Verify HMAC signature against the client's active secrets
+  const secretId = verifyClientSignature(client, signature, message);
+  if (secretId === null) {
     return res.status(401).json({
       error: 'Unauthorized',
       message: 'Invalid signature',
     });
   }
 
-  // Signature valid, proceed
+  if (!client.enabled) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Client ${clientId} is disabled`,
+    });
+  }
+
+  if (rejectReplay(res, client.id, signature, timestamp)) {
+    return;
+  }
+
+  // Signature valid and unused, proceed
+  metrics.signedRequests.inc({ source: 'api', version });
+  req.apiClient = { id: client.id, name: client.name, admin: client.admin === 1, secretId };
+  next();
+}
+
+/**
+ * Middleware restricting a route to admin clients (use after hmacVerification)
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.apiClient || !req.apiClient.admin) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Admin client required',
+    });
+  }
+
   next();
 }
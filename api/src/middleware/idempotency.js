@@ -1,14 +1,136 @@
+import { createHash, randomUUID } from 'crypto';
 import { getDatabase } from '../database.js';
 import { config } from '../config.js';
+import { signString } from '../utils/hmac.js';
+
+/**
+ * What to do with a request whose idempotency key is already stored
+ */
+export const IDEMPOTENCY_ACTIONS = {
+  // Completed with the same body: return the cached response
+  REPLAY: 'replay',
+  // Still running within its lease: 409
+  IN_PROGRESS: 'in_progress',
+  // Reused with a different body: 422
+  MISMATCH: 'mismatch',
+  // Still running past its lease (the process handling it died): take it over
+  RECLAIM: 'reclaim',
+  // Past its retention window and not running: handle it as a new key
+  EXPIRED: 'expired',
+};
+
+/**
+ * Hash an idempotency key into the key it is stored under
+ * Keys are scoped per client and route, so two clients (or two endpoints of one
+ * client) reusing the same key never see each other's responses.
+ * @param {string} clientId - ID of the authenticated API client
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without query string
+ * @param {string} key - Client-supplied X-Idempotency-Key
+ * @returns {string} Salted key hash (hex)
+ */
+export function scopedKey(clientId, method, path, key) {
+  return signString([clientId, method.toUpperCase(), path, key].join('\n'), config.secrets.idempotencyKeySalt);
+}
+
+/**
+ * Serialize a JSON value with object keys sorted
+ * @param {*} value - Parsed JSON value
+ * @returns {string} JSON text independent of key order
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((name) => value[name] !== undefined)
+      .map((name) => `${JSON.stringify(name)}:${stableStringify(value[name])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint a request body
+ * Bodies that differ only in key order or whitespace share a fingerprint.
+ * @param {*} body - Parsed request body
+ * @returns {string} SHA-256 of the canonical body (hex)
+ */
+export function requestFingerprint(body) {
+  return createHash('sha256').update(stableStringify(body ?? {})).digest('hex');
+}
+
+/**
+ * Decide how to handle a request whose key is already stored
+ * @param {Object} existing - idempotency_keys row
+ * @param {string} fingerprint - Fingerprint of the incoming body
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} IDEMPOTENCY_ACTIONS value
+ */
+export function resolveIdempotencyAction(existing, fingerprint, now = Date.now()) {
+  const leaseLapsed = existing.locked_until !== null && existing.locked_until <= now;
+
+  if (existing.expires_at <= now && (existing.completed_at || leaseLapsed)) {
+    return IDEMPOTENCY_ACTIONS.EXPIRED;
+  }
+
+  if (existing.request_hash && existing.request_hash !== fingerprint) {
+    return IDEMPOTENCY_ACTIONS.MISMATCH;
+  }
+
+  if (existing.completed_at) {
+    return IDEMPOTENCY_ACTIONS.REPLAY;
+  }
+
+  if (leaseLapsed) {
+    return IDEMPOTENCY_ACTIONS.RECLAIM;
+  }
+
+  return IDEMPOTENCY_ACTIONS.IN_PROGRESS;
+}
+
+/**
+ * Keep the lease of an in-progress key alive until the response is sent
+ * Handlers can wait on mining and fee bumps for longer than the lease; only a
+ * process that died stops renewing, so only its keys can be reclaimed.
+ * @param {Object} res - Express response
+ * @param {string} key - Stored idempotency key
+ * @param {string} leaseId - Lease held by this request
+ */
+function renewLeaseUntilDone(res, key, leaseId) {
+  const db = getDatabase();
+  const leaseMs = config.timeouts.idempotencyLeaseSeconds * 1000;
+
+  const timer = setInterval(() => {
+    try {
+      db.prepare(
+        `UPDATE idempotency_keys SET locked_until = ?
+         WHERE key = ? AND lease_id = ? AND completed_at IS NULL`
+      ).run(Date.now() + leaseMs, key, leaseId);
+    } catch (error) {
+      console.error('Failed to renew idempotency lease:', error.message);
+    }
+  }, Math.max(leaseMs / 3, 1000));
+  timer.unref();
+
+  const stop = () => clearInterval(timer);
+  res.on('finish', stop);
+  res.on('close', stop);
+}
 
 /**
  * Middleware to handle idempotency for POST requests
- * Expects header: X-Idempotency-Key
+ * Expects header: X-Idempotency-Key. Must run after hmacVerification, which
+ * identifies the client the key is scoped to.
  */
 export function idempotency(req, res, next) {
-  const key = req.headers['x-idempotency-key'];
+  const header = req.headers['x-idempotency-key'];
 
-  if (!key) {
+  if (!header) {
     return res.status(400).json({
       error: 'Bad Request',
       message: 'Missing X-Idempotency-Key header',
@@ -18,34 +140,67 @@ export function idempotency(req, res, next) {
   const db = getDatabase();
   const now = Date.now();
   const expiresAt = now + (config.timeouts.idempotencyWindowSeconds * 1000);
+  const lockedUntil = now + (config.timeouts.idempotencyLeaseSeconds * 1000);
+  const leaseId = randomUUID();
+
+  const key = scopedKey(req.apiClient?.id ?? '', req.method, req.baseUrl + req.path, header);
+  const fingerprint = requestFingerprint(req.body);
 
   // Check if this key was used before
   const existing = db
     .prepare('SELECT * FROM idempotency_keys WHERE key = ?')
     .get(key);
 
-  if (existing) {
-    // Key exists - check if request completed
-    if (existing.completed_at) {
+  const action = existing ? resolveIdempotencyAction(existing, fingerprint, now) : null;
+
+  if (existing && action !== IDEMPOTENCY_ACTIONS.EXPIRED) {
+    if (action === IDEMPOTENCY_ACTIONS.MISMATCH) {
+      return res.status(422).json({
+        error: 'Unprocessable Entity',
+        message: 'Idempotency key was already used with a different request body',
+      });
+    }
+
+    if (action === IDEMPOTENCY_ACTIONS.REPLAY) {
       // Return cached response
       return res
         .status(existing.response_status)
         .json(JSON.parse(existing.response_body));
-    } else {
-      // Request in progress
+    }
+
+    if (action === IDEMPOTENCY_ACTIONS.IN_PROGRESS) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Request with this idempotency key is already in progress',
+      });
+    }
+
+    // Take over the stalled key; the guard loses to a concurrent reclaim
+    const reclaimed = db.prepare(
+      `UPDATE idempotency_keys
+       SET request_hash = ?, lease_id = ?, locked_until = ?, expires_at = ?
+       WHERE key = ? AND completed_at IS NULL AND lease_id IS ? AND locked_until <= ?`
+    ).run(fingerprint, leaseId, lockedUntil, expiresAt, key, existing.lease_id, now);
+
+    if (reclaimed.changes === 0) {
       return res.status(409).json({
         error: 'Conflict',
         message: 'Request with this idempotency key is already in progress',
       });
     }
+
+    console.warn(`Reclaimed idempotency key stalled since ${new Date(existing.created_at).toISOString()}`);
+  } else {
+    // Store new idempotency key, replacing an expired one the cleanup has not removed yet
+    const requestBody = JSON.stringify(req.body);
+    db.prepare(
+      `INSERT OR REPLACE INTO idempotency_keys
+       (key, request_body, request_hash, lease_id, locked_until, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).run(key, requestBody, fingerprint, leaseId, lockedUntil, now, expiresAt);
   }
 
-  // Store new idempotency key
-  const requestBody = JSON.stringify(req.body);
-  db.prepare(
-    `INSERT INTO idempotency_keys (key, request_body, created_at, expires_at)
-     VALUES (?, ?, ?, ?)`
-  ).run(key, requestBody, now, expiresAt);
+  renewLeaseUntilDone(res, key, leaseId);
 
   // Store original res.json to intercept response
   const originalJson = res.json.bind(res);
@@ -54,12 +209,12 @@ export function idempotency(req, res, next) {
   res.json = function (body) {
     const responseBody = JSON.stringify(body);
 
-    // Update idempotency record with response
+    // Update idempotency record with response, unless the key was reclaimed meanwhile
     db.prepare(
       `UPDATE idempotency_keys
        SET response_status = ?, response_body = ?, completed_at = ?
-       WHERE key = ?`
-    ).run(res.statusCode, responseBody, Date.now(), key);
+       WHERE key = ? AND lease_id = ?`
+    ).run(res.statusCode, responseBody, Date.now(), key, leaseId);
 
     // Call original json method
     return originalJson(body);
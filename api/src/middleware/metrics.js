@@ -0,0 +1,17 @@
+import { metrics } from '../metrics.js';
+
+/**
+ * Middleware to record API request latency
+ * Requests are labelled by route pattern (e.g. /mint-intents/:intentId) to
+ * keep label cardinality bounded; unmatched paths share one label.
+ */
+export function apiMetrics(req, res, next) {
+  const endTimer = metrics.apiLatency.startTimer({ method: req.method });
+
+  res.on('finish', () => {
+    const endpoint = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    endTimer({ endpoint, status: res.statusCode });
+  });
+
+  next();
+}
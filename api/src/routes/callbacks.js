@@ -1,134 +1,513 @@
 import { Router } from 'express';
-import { createHmac, timingSafeEqual } from 'crypto';
-import { executeMint } from '../blockchain.js';
+import { executeMint, getIntent, formatIntent, getMintEscrowRevert } from '../blockchain.js';
 import { checkCompliance } from '../blockchain.js';
 import { config } from '../config.js';
+import { metrics } from '../metrics.js';
 import { addToRetryQueue } from '../services/retry.js';
+import {
+  INTENT_STATUS,
+  updateIntentStatus,
+  getIntentRecord,
+  getIntentByTxRef,
+  getIntentByCheckoutRequestId,
+  setPaymentReceipt,
+  setPaidAmount,
+} from '../services/intents.js';
+import { requestRefund, REFUND_REASONS } from '../services/refunds.js';
+import { recordExecution, recordPriorExecution } from '../services/confirmations.js';
+import { recordSignature } from '../services/replay.js';
+import { PAYMENT_STATUS } from '../services/payments.js';
+import { getCallbackAdapter } from '../services/callbackAdapters.js';
+import { claimDelivery, completeDelivery, DELIVERY_STATES } from '../services/callbackInbox.js';
+import { fiatToQuotedAmount } from '../services/quotes.js';
+import { SCREENING_STAGES, screenParties, blockScreenedIntent } from '../services/screening.js';
+import {
+  escrowedIntent,
+  comparePayment,
+  flagPaymentMismatch,
+  resolvePartialPayment,
+} from '../services/paymentChecks.js';
 
 const router = Router();
 
+// Intents still waiting for their payment
+const UNPAID_STATUSES = [INTENT_STATUS.SUBMITTING, INTENT_STATUS.QUEUED, INTENT_STATUS.SUBMITTED];
+
+/**
+ * Build the response for an intent whose mint was executed
+ * @param {Object} res - Express response
+ * @param {string} intentId - On-chain intent ID
+ * @param {string} status - Ledger status (pending_confirmation or executed)
+ * @param {string} txHash - Mint transaction hash
+ */
+function sendExecutionResult(res, intentId, status, txHash) {
+  if (status === INTENT_STATUS.PENDING_CONFIRMATION) {
+    res.locals.callbackResult = 'pending_confirmation';
+
+    return res.status(202).json({
+      status: 'pending_confirmation',
+      message: `Mint mined, waiting for ${config.chain.confirmations} confirmations`,
+      intentId,
+      txHash,
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    intentId,
+    txHash,
+  });
+}
+
 /**
- * Verify M-PESA webhook signature
+ * Map a callback response status to its metrics label
+ * @param {number} statusCode - HTTP status code
+ * @returns {string} Outcome label
  */
-function verifyMpesaSignature(payload, signature, timestamp) {
-  const message = JSON.stringify(payload) + timestamp.toString();
-  const hmac = createHmac('sha256', config.secrets.mpesaWebhookSecret);
-  hmac.update(message);
-  const expected = hmac.digest('hex');
+function callbackOutcome(statusCode) {
+  if (statusCode === 200) return 'success';
+  if (statusCode === 202) return 'queued';
+  if (statusCode === 401) return 'unauthorized';
+  if (statusCode < 500) return 'invalid';
+  return 'error';
+}
 
+/**
+ * Count the outcome of a callback once its response is sent
+ * Handlers set res.locals.callbackResult when the status code alone is ambiguous.
+ * @param {Object} res - Express response
+ * @param {string} provider - Provider name
+ */
+function trackCallbackOutcome(res, provider) {
+  res.on('finish', () => {
+    metrics.callbacks.inc({
+      provider,
+      result: res.locals.callbackResult || callbackOutcome(res.statusCode),
+    });
+  });
+}
+
+/**
+ * Mint a paid intent: screen its parties, check the payment against the escrow,
+ * then compliance, then execution (queued for retry on RPC failure)
+ * Sends the callback response.
+ * @param {Object} res - Express response
+ * @param {Object} payment - Confirmed payment
+ * @param {string} payment.intentId - On-chain intent ID
+ * @param {string} payment.txRef - Off-chain transaction reference
+ * @param {string} payment.userAddress - User's Ethereum address
+ * @param {string} payment.amount - Paid amount in wei
+ * @param {string} [payment.currency] - Currency code of the payment, if reported
+ * @param {string} [payment.phoneNumber] - Payer phone number, if reported
+ */
+async function settlePayment(res, { intentId, txRef, userAddress, amount, currency, phoneNumber }) {
+  // Funds already on their way back to the user cannot be minted
+  const record = getIntentRecord(intentId);
+  if (record && [INTENT_STATUS.REFUNDING, INTENT_STATUS.REFUNDED].includes(record.status)) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Intent ${intentId} is ${record.status}`,
+    });
+  }
+
+  // Repeated callbacks report the existing execution instead of minting again
+  if (record && [INTENT_STATUS.PENDING_CONFIRMATION, INTENT_STATUS.EXECUTED].includes(record.status)) {
+    return sendExecutionResult(res, intentId, record.status, record.tx_hash);
+  }
+
+  // The escrowed intent, not the callback, decides who is minted what
+  let onChain;
   try {
-    const signatureBuffer = Buffer.from(signature, 'hex');
-    const expectedBuffer = Buffer.from(expected, 'hex');
+    onChain = formatIntent(await getIntent(intentId, record?.country_code));
+  } catch (error) {
+    console.error('Failed to load on-chain intent:', error.message);
+
+    addToRetryQueue(intentId, 'execute', { intentId, txRef, userAddress, amount, currency, phoneNumber });
+
+    return res.status(202).json({
+      status: 'queued',
+      message: 'On-chain intent lookup failed, queued for retry',
+      intentId,
+    });
+  }
+
+  if (!onChain) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Intent ${intentId} not found on-chain`,
+    });
+  }
+
+  const escrow = escrowedIntent(intentId, onChain, record);
+
+  // Funds of a screened party are refunded, whatever the payment says. The recipient is
+  // the ledger's user; the escrow's `user` is only the executor that submitted it.
+  const recipient = escrow.userAddress ?? userAddress;
+  let screening;
+  try {
+    screening = await screenParties({
+      userAddress: recipient,
+      phoneNumber: phoneNumber ?? record?.phone_number,
+    }, SCREENING_STAGES.EXECUTION);
+  } catch (error) {
+    console.error('Failed to screen intent parties:', error.message);
+
+    addToRetryQueue(intentId, 'execute', { intentId, txRef, userAddress, amount, currency, phoneNumber });
 
-    if (signatureBuffer.length !== expectedBuffer.length) {
-      return false;
+    return res.status(202).json({
+      status: 'queued',
+      message: 'Screening failed, queued for retry',
+      intentId,
+    });
+  }
+
+  if (screening) {
+    const refundQueued = blockScreenedIntent({ intentId, txRef, userAddress: recipient }, screening);
+    res.locals.callbackResult = 'rejected';
+
+    return res.status(200).json({
+      status: 'rejected',
+      message: 'Payment blocked by sanctions screening',
+      intentId,
+      refund: refundQueued ? 'queued' : 'none',
+    });
+  }
+
+  const comparison = comparePayment(escrow, { userAddress, amount, currency });
+
+  if (comparison.mismatches.length > 0) {
+    res.locals.callbackResult = 'mismatch';
+
+    return res.status(422).json({
+      error: 'Unprocessable Entity',
+      message: flagPaymentMismatch(intentId, comparison),
+      intentId,
+      mismatches: comparison.mismatches,
+    });
+  }
+
+  if (comparison.partial) {
+    const outcome = resolvePartialPayment(escrow, comparison);
+    res.locals.callbackResult = 'partial';
+
+    return res.status(outcome.status === INTENT_STATUS.REJECTED ? 200 : 202).json({
+      ...outcome,
+      intentId,
+    });
+  }
+
+  // Check user compliance before executing (with retry on failure)
+  let isCompliant;
+  try {
+    isCompliant = await checkCompliance(userAddress);
+  } catch (error) {
+    // RPC failure during compliance check - add to retry queue
+    console.error('Failed to check compliance:', error.message);
+
+    addToRetryQueue(intentId, 'execute', {
+      intentId,
+      txRef,
+      userAddress,
+      amount,
+      currency,
+      phoneNumber,
+    });
+
+    return res.status(202).json({
+      status: 'queued',
+      message: 'Compliance check failed, queued for retry',
+      intentId,
+    });
+  }
+
+  if (!isCompliant) {
+    console.log(`User ${userAddress} is not compliant, skipping mint execution`);
+
+    updateIntentStatus(intentId, INTENT_STATUS.REJECTED, {
+      lastError: REFUND_REASONS.NON_COMPLIANT,
+    });
+
+    // Release the escrowed USD back to the user
+    const { autoRefundOnRejection } = config.refunds;
+    if (autoRefundOnRejection) {
+      requestRefund(intentId, REFUND_REASONS.NON_COMPLIANT);
     }
 
-    return timingSafeEqual(signatureBuffer, expectedBuffer);
+    res.locals.callbackResult = 'rejected';
+
+    return res.status(200).json({
+      status: 'rejected',
+      message: 'User is not compliant',
+      intentId,
+      refund: autoRefundOnRejection ? 'queued' : 'none',
+    });
+  }
+
+  // Execute mint with retry on failure
+  try {
+    const result = await executeMint(intentId, record?.country_code);
+    const status = recordExecution(intentId, result);
+
+    sendExecutionResult(res, intentId, status, result.txHash);
   } catch (error) {
-    return false;
+    // A concurrent delivery or retry minted it first
+    if (getMintEscrowRevert(error) === 'IntentAlreadyExecuted') {
+      try {
+        const status = await recordPriorExecution(intentId, record?.country_code);
+        return sendExecutionResult(res, intentId, status, getIntentRecord(intentId)?.tx_hash);
+      } catch (lookupError) {
+        // Queued below: the retry finds the intent executed and looks the event up again
+        console.error('Failed to look up the prior execution:', lookupError.message);
+      }
+    }
+
+    // RPC failure or mint execution error - add to retry queue
+    console.error('Failed to execute mint:', error.message);
+
+    addToRetryQueue(intentId, 'execute', {
+      intentId,
+      txRef,
+      userAddress,
+      amount,
+      currency,
+      phoneNumber,
+    });
+
+    res.status(202).json({
+      status: 'queued',
+      message: 'Execution queued for retry',
+      intentId,
+    });
   }
 }
 
 /**
- * POST /callbacks/mpesa
- * Handle M-PESA payment confirmation webhook
+ * Reject an intent whose payment failed, refunding its escrow
+ * @param {Object} res - Express response
+ * @param {Object} record - Intent row
+ * @param {string} reason - Failure reason
  */
-router.post('/callbacks/mpesa', async (req, res) => {
-  try {
-    const signature = req.headers['x-mpesa-signature'];
-    const timestamp = parseInt(req.headers['x-timestamp'], 10);
+function rejectUnpaidIntent(res, record, reason) {
+  res.locals.callbackResult = 'rejected';
 
-    // Verify signature
-    if (!signature || !timestamp) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Missing signature or timestamp',
-      });
+  // Repeated failure callbacks report the existing rejection
+  if ([INTENT_STATUS.REJECTED, INTENT_STATUS.REFUNDING, INTENT_STATUS.REFUNDED].includes(record.status)) {
+    return res.status(200).json({
+      status: 'rejected',
+      message: record.last_error || reason,
+      intentId: record.intent_id,
+      txRef: record.tx_ref,
+    });
+  }
+
+  // A late failure callback does not undo a confirmed payment or a settled intent
+  if (record.mpesa_receipt || !UNPAID_STATUSES.includes(record.status)) {
+    res.locals.callbackResult = undefined;
+
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Intent ${record.tx_ref} can no longer be rejected (${record.status})`,
+    });
+  }
+
+  console.log(`Payment for ${record.tx_ref} failed: ${reason}`);
+  updateIntentStatus(record.tx_ref, INTENT_STATUS.REJECTED, { lastError: reason });
+
+  // Intents not on-chain yet have nothing in escrow; their queued submit is dropped
+  const refund = record.intent_id ? requestRefund(record.intent_id, reason) : false;
+
+  res.status(200).json({
+    status: 'rejected',
+    message: reason,
+    intentId: record.intent_id,
+    txRef: record.tx_ref,
+    refund: refund ? 'queued' : 'none',
+  });
+}
+
+/**
+ * Settle a normalized payment for an intent found in the local ledger
+ * (by CheckoutRequestID or txRef)
+ * @param {Object} res - Express response
+ * @param {string} provider - Provider name
+ * @param {Object} record - Intent row
+ * @param {Object} payment - Normalized payment
+ */
+async function settleRecordedPayment(res, provider, record, payment) {
+  if (payment.status === PAYMENT_STATUS.FAILED) {
+    const reason = `${REFUND_REASONS.PAYMENT_FAILED} (${provider}: ${payment.description})`;
+    return rejectUnpaidIntent(res, record, reason);
+  }
+
+  if (payment.status === PAYMENT_STATUS.PENDING) {
+    return res.status(202).json({
+      status: 'pending',
+      message: `Payment not settled yet (${payment.description})`,
+      txRef: record.tx_ref,
+    });
+  }
+
+  if (record.mpesa_receipt && record.mpesa_receipt !== payment.receipt) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Intent ${record.tx_ref} was already paid with receipt ${record.mpesa_receipt}`,
+    });
+  }
+
+  // Rails report fiat; a quoted intent escrows the token amount its quote locked
+  const paidAmount = record.fiat_amount && payment.amount !== null
+    ? fiatToQuotedAmount(record, payment.amount)
+    : payment.amount;
+
+  if (!record.mpesa_receipt) {
+    setPaymentReceipt(record.tx_ref, payment.receipt, provider);
+    if (paidAmount !== null) {
+      setPaidAmount(record.tx_ref, paidAmount);
     }
+    console.log(`Payment for ${record.tx_ref} confirmed by ${provider}, receipt ${payment.receipt}`);
+  }
+
+  // The submit retry queues execution once the intent reaches the chain
+  if (!record.intent_id) {
+    return res.status(202).json({
+      status: 'queued',
+      message: 'Payment recorded, intent not yet on-chain',
+      txRef: record.tx_ref,
+    });
+  }
 
-    if (!verifyMpesaSignature(req.body, signature, timestamp)) {
+  await settlePayment(res, {
+    intentId: record.intent_id,
+    txRef: record.tx_ref,
+    userAddress: record.user_address,
+    amount: paidAmount,
+    currency: payment.currency,
+    phoneNumber: payment.phoneNumber,
+  });
+}
+
+/**
+ * Record the response to a claimed callback delivery in the inbox once it is sent
+ * @param {Object} res - Express response
+ * @param {Object} delivery - Claimed delivery (see claimDelivery)
+ */
+function recordDeliveryOutcome(res, delivery) {
+  const originalJson = res.json.bind(res);
+
+  res.json = function (body) {
+    completeDelivery(delivery, res.statusCode, body);
+    return originalJson(body);
+  };
+}
+
+/**
+ * Authenticate, normalize and settle a payment rail callback through its adapter
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} provider - Provider name
+ */
+async function handleCallback(req, res, provider) {
+  const adapter = getCallbackAdapter(provider);
+
+  if (!adapter) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Unknown payment provider: ${provider}`,
+    });
+  }
+
+  trackCallbackOutcome(res, provider);
+
+  try {
+    const verification = adapter.verify(req);
+    if (verification.error) {
       return res.status(401).json({
         error: 'Unauthorized',
-        message: 'Invalid signature',
+        message: verification.error,
       });
     }
 
-    const { intentId, txRef, userAddress, amount } = req.body;
+    // A captured callback must not be replayed inside the freshness window
+    if (verification.signature) {
+      if (!recordSignature(provider, verification.signature, verification.timestamp)) {
+        metrics.replayedRequests.inc({ source: provider });
+
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Callback signature already used',
+        });
+      }
+
+      metrics.signedRequests.inc({ source: provider, version: verification.version });
+    }
 
-    if (!intentId || !txRef || !userAddress) {
+    const { payment, error } = adapter.normalize(req.body);
+    if (error) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'Missing required fields: intentId, txRef, userAddress',
+        message: error,
       });
     }
 
-    // Check user compliance before executing (with retry on failure)
-    let isCompliant;
-    try {
-      isCompliant = await checkCompliance(userAddress);
-    } catch (error) {
-      // RPC failure during compliance check - add to retry queue
-      console.error('Failed to check compliance:', error.message);
-
-      addToRetryQueue(intentId, 'execute', {
-        intentId,
-        txRef,
-        userAddress,
-        amount,
-      });
+    // Providers redeliver callbacks; a redelivery gets the original outcome instead of settling again
+    const delivery = claimDelivery(provider, payment);
 
-      return res.status(202).json({
-        status: 'queued',
-        message: 'Compliance check failed, queued for retry',
-        intentId,
-      });
-    }
+    if (delivery.state === DELIVERY_STATES.DUPLICATE) {
+      res.locals.callbackResult = 'duplicate';
 
-    if (!isCompliant) {
-      console.log(`User ${userAddress} is not compliant, skipping mint execution`);
+      return res
+        .status(delivery.row.response_status)
+        .json(JSON.parse(delivery.row.response_body));
+    }
 
-      return res.status(200).json({
-        status: 'rejected',
-        message: 'User is not compliant',
-        intentId,
+    if (delivery.state === DELIVERY_STATES.IN_PROGRESS) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Callback is already being processed',
       });
     }
 
-    // Execute mint with retry on failure
-    try {
-      const result = await executeMint(intentId);
+    recordDeliveryOutcome(res, delivery);
 
-      res.status(200).json({
-        status: 'success',
-        intentId,
-        txHash: result.txHash,
-      });
-    } catch (error) {
-      // RPC failure or mint execution error - add to retry queue
-      console.error('Failed to execute mint:', error.message);
-
-      addToRetryQueue(intentId, 'execute', {
-        intentId,
-        txRef,
-        userAddress,
-        amount,
-      });
+    // Callbacks naming the on-chain intent (the flat M-PESA confirmation) settle it directly
+    if (payment.intentId) {
+      return await settlePayment(res, payment);
+    }
+
+    const record = payment.checkoutRequestId
+      ? getIntentByCheckoutRequestId(payment.checkoutRequestId)
+      : getIntentByTxRef(payment.txRef);
 
-      res.status(202).json({
-        status: 'queued',
-        message: 'Execution queued for retry',
-        intentId,
+    if (!record) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: payment.checkoutRequestId
+          ? `No intent for CheckoutRequestID ${payment.checkoutRequestId}`
+          : `No intent for txRef ${payment.txRef}`,
       });
     }
+
+    await settleRecordedPayment(res, provider, record, payment);
   } catch (error) {
-    console.error('Error processing M-PESA callback:', error);
+    console.error(`Error processing ${provider} callback:`, error);
 
     res.status(500).json({
       error: 'Internal Server Error',
       message: 'Failed to process callback',
     });
   }
-});
+}
+
+/**
+ * POST /callbacks/mpesa/daraja
+ * Handle a Safaricom Daraja STK Push callback, authenticated by the URL token
+ */
+router.post('/callbacks/mpesa/daraja', (req, res) => handleCallback(req, res, 'daraja'));
+
+/**
+ * POST /callbacks/:provider
+ * Handle a payment rail callback (mpesa, bank-transfer, ...) through its adapter
+ */
+router.post('/callbacks/:provider', (req, res) => handleCallback(req, res, req.params.provider));
 
 export default router;
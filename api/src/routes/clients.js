@@ -0,0 +1,226 @@
+import { Router } from 'express';
+import { hmacVerification, requireAdmin } from '../middleware/hmacVerification.js';
+import {
+  LEGACY_CLIENT_ID,
+  createClient,
+  listClients,
+  getClient,
+  updateClient,
+  addClientSecret,
+  revokeClientSecret,
+  serializeClient,
+  serializeClientSecret,
+} from '../services/clients.js';
+
+const router = Router();
+
+const CLIENT_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{2,63}$/;
+
+/**
+ * Respond with 404 for an unknown client
+ * @param {Object} res - Express response
+ * @param {string} id - Client ID
+ */
+function notFound(res, id) {
+  return res.status(404).json({
+    error: 'Not Found',
+    message: `Client ${id} not found`,
+  });
+}
+
+/**
+ * Convert a newly created secret into its one-time API representation
+ * @param {Object} row - client_secrets row
+ * @param {string} secret - Secret value
+ * @returns {Object} Secret metadata including the value
+ */
+function serializeNewSecret(row, secret) {
+  return { ...serializeClientSecret(row), secret };
+}
+
+/**
+ * GET /admin/clients
+ * List API clients with their secret metadata
+ */
+router.get('/admin/clients', hmacVerification, requireAdmin, (req, res) => {
+  res.status(200).json({
+    items: listClients().map(serializeClient),
+  });
+});
+
+/**
+ * POST /admin/clients
+ * Create a client; its first secret is returned once in the response
+ */
+router.post('/admin/clients', hmacVerification, requireAdmin, (req, res) => {
+  try {
+    const { id, name, admin = false } = req.body;
+
+    if (!id || !CLIENT_ID_PATTERN.test(id) || id === LEGACY_CLIENT_ID) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid id: expected 3-64 letters, digits, "-" or "_"',
+      });
+    }
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Missing required field: name',
+      });
+    }
+
+    if (typeof admin !== 'boolean') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid admin: expected boolean',
+      });
+    }
+
+    if (getClient(id)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Client ${id} already exists`,
+      });
+    }
+
+    const { client, secretRow, secret } = createClient({ id, name, admin });
+
+    console.log(`Client ${id} created by ${req.apiClient.id}`);
+    res.status(201).json({
+      ...serializeClient(client),
+      secret: serializeNewSecret(secretRow, secret),
+    });
+  } catch (error) {
+    console.error('Error creating client:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create client',
+    });
+  }
+});
+
+/**
+ * GET /admin/clients/:id
+ * Get an API client
+ */
+router.get('/admin/clients/:id', hmacVerification, requireAdmin, (req, res) => {
+  const client = getClient(req.params.id);
+
+  if (!client) {
+    return notFound(res, req.params.id);
+  }
+
+  res.status(200).json(serializeClient(client));
+});
+
+/**
+ * PATCH /admin/clients/:id
+ * Rename, enable/disable or change the admin flag of a client
+ */
+router.patch('/admin/clients/:id', hmacVerification, requireAdmin, (req, res) => {
+  try {
+    const { name, admin, enabled } = req.body;
+
+    if (!getClient(req.params.id)) {
+      return notFound(res, req.params.id);
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid name',
+      });
+    }
+
+    for (const [field, value] of [['admin', admin], ['enabled', enabled]]) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Invalid ${field}: expected boolean`,
+        });
+      }
+    }
+
+    const client = updateClient(req.params.id, { name, admin, enabled });
+
+    console.log(`Client ${client.id} updated by ${req.apiClient.id}`);
+    res.status(200).json(serializeClient(client));
+  } catch (error) {
+    console.error('Error updating client:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update client',
+    });
+  }
+});
+
+/**
+ * POST /admin/clients/:id/secrets
+ * Issue a new secret; older secrets stay valid for `retireExistingAfterSeconds`
+ * (or indefinitely if omitted) so the client can rotate without downtime
+ */
+router.post('/admin/clients/:id/secrets', hmacVerification, requireAdmin, (req, res) => {
+  try {
+    const { validFrom, retireExistingAfterSeconds } = req.body;
+
+    if (!getClient(req.params.id)) {
+      return notFound(res, req.params.id);
+    }
+
+    if (validFrom !== undefined && !Number.isInteger(validFrom)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid validFrom: expected Unix timestamp in milliseconds',
+      });
+    }
+
+    if (
+      retireExistingAfterSeconds !== undefined &&
+      (!Number.isInteger(retireExistingAfterSeconds) || retireExistingAfterSeconds < 0)
+    ) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid retireExistingAfterSeconds: expected non-negative integer',
+      });
+    }
+
+    const { row, secret } = addClientSecret(req.params.id, { validFrom, retireExistingAfterSeconds });
+
+    console.log(`Secret ${row.id} issued for client ${req.params.id} by ${req.apiClient.id}`);
+    res.status(201).json(serializeNewSecret(row, secret));
+  } catch (error) {
+    console.error('Error issuing client secret:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to issue client secret',
+    });
+  }
+});
+
+/**
+ * DELETE /admin/clients/:id/secrets/:secretId
+ * Revoke a client secret immediately
+ */
+router.delete('/admin/clients/:id/secrets/:secretId', hmacVerification, requireAdmin, (req, res) => {
+  if (!getClient(req.params.id)) {
+    return notFound(res, req.params.id);
+  }
+
+  const secretId = Number(req.params.secretId);
+
+  if (!Number.isInteger(secretId) || !revokeClientSecret(req.params.id, secretId)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Active secret ${req.params.secretId} not found for client ${req.params.id}`,
+    });
+  }
+
+  console.log(`Secret ${secretId} of client ${req.params.id} revoked by ${req.apiClient.id}`);
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,258 @@
+import { Router } from 'express';
+import { ethers } from 'ethers';
+import { hmacVerification, requireAdmin } from '../middleware/hmacVerification.js';
+import { getUserCompliance, ComplianceOfficerUnavailableError } from '../blockchain.js';
+import {
+  COMPLIANCE_ACTIONS,
+  applyComplianceChange,
+  evaluateCompliance,
+  listComplianceAudit,
+  serializeComplianceAudit,
+} from '../services/compliance.js';
+import { listScreeningHits, serializeScreeningHit } from '../services/screening.js';
+
+const router = Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 200;
+const MAX_RISK_SCORE = 100;
+const ATTESTATION_HASH_PATTERN = /^0x[a-fA-F0-9]{64}$/;
+// Attestation types are stored as bytes32 strings
+const MAX_ATTESTATION_TYPE_BYTES = 31;
+
+/**
+ * Validate the :address parameter, responding with 400 if it is not an address
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string|null} Checksummed address, or null if a response was sent
+ */
+function parseAddress(req, res) {
+  if (!ethers.isAddress(req.params.address)) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid address: expected a 20-byte hex address',
+    });
+    return null;
+  }
+
+  return ethers.getAddress(req.params.address);
+}
+
+/**
+ * Read the `limit` query parameter of a listing
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {number|null} Page size, or null if a response was sent
+ */
+function parseLimit(req, res) {
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: `Invalid limit: expected an integer from 1 to ${MAX_PAGE_SIZE}`,
+    });
+    return null;
+  }
+
+  return limit;
+}
+
+/**
+ * Check a risk score value
+ * @param {*} value - Request value
+ * @returns {boolean} True for an integer from 0 to 100
+ */
+function isRiskScore(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_RISK_SCORE;
+}
+
+/**
+ * Apply a compliance change and send the audited result
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} userAddress - User's Ethereum address
+ * @param {string} action - COMPLIANCE_ACTIONS value
+ * @param {Object} changes - Arguments of the action
+ */
+async function sendComplianceChange(req, res, userAddress, action, changes) {
+  try {
+    const audit = await applyComplianceChange({ userAddress, action, changes, clientId: req.apiClient.id });
+    res.status(200).json(serializeComplianceAudit(audit));
+  } catch (error) {
+    if (error instanceof ComplianceOfficerUnavailableError) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: `Compliance changes are disabled: ${error.message}`,
+      });
+    }
+
+    console.error(`Compliance ${action} failed for ${userAddress}:`, error.message);
+
+    res.status(502).json({
+      error: 'Bad Gateway',
+      message: `Compliance transaction failed: ${error.shortMessage || error.message}`,
+    });
+  }
+}
+
+/**
+ * GET /admin/compliance/users/:address
+ * Read a user's compliance profile: the UserRegistry record, how the pre-flight
+ * rules evaluate it, and the latest audited changes
+ */
+router.get('/admin/compliance/users/:address', hmacVerification, requireAdmin, async (req, res) => {
+  const userAddress = parseAddress(req, res);
+  if (!userAddress) return;
+
+  let user;
+  try {
+    user = await getUserCompliance(userAddress);
+  } catch (error) {
+    console.error(`Failed to read compliance record of ${userAddress}:`, error.message);
+
+    return res.status(502).json({
+      error: 'Bad Gateway',
+      message: `UserRegistry lookup failed: ${error.message}`,
+    });
+  }
+
+  const { compliant, reason } = evaluateCompliance(user);
+
+  res.status(200).json({
+    userAddress,
+    registered: user.lastUpdated > 0,
+    ...user,
+    compliant,
+    reason,
+    audit: listComplianceAudit(userAddress, DEFAULT_PAGE_SIZE).map(serializeComplianceAudit),
+  });
+});
+
+/**
+ * GET /admin/compliance/users/:address/audit
+ * List the audited compliance changes of a user, newest first
+ */
+router.get('/admin/compliance/users/:address/audit', hmacVerification, requireAdmin, (req, res) => {
+  const userAddress = parseAddress(req, res);
+  if (!userAddress) return;
+
+  const limit = parseLimit(req, res);
+  if (!limit) return;
+
+  res.status(200).json({
+    items: listComplianceAudit(userAddress, limit).map(serializeComplianceAudit),
+  });
+});
+
+/**
+ * GET /admin/compliance/screening-hits
+ * List the intents blocked by sanctions/denylist screening, with the list entry each matched,
+ * newest first
+ */
+router.get('/admin/compliance/screening-hits', hmacVerification, requireAdmin, (req, res) => {
+  const limit = parseLimit(req, res);
+  if (!limit) return;
+
+  res.status(200).json({
+    items: listScreeningHits(limit).map(serializeScreeningHit),
+  });
+});
+
+/**
+ * PUT /admin/compliance/users/:address
+ * Register or verify a user, replacing their UserRegistry record
+ */
+router.put('/admin/compliance/users/:address', hmacVerification, requireAdmin, async (req, res) => {
+  const userAddress = parseAddress(req, res);
+  if (!userAddress) return;
+
+  const { riskScore, isVerified, attestationHash = ethers.ZeroHash } = req.body;
+
+  if (!isRiskScore(riskScore)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Invalid riskScore: expected an integer from 0 to ${MAX_RISK_SCORE}`,
+    });
+  }
+
+  if (typeof isVerified !== 'boolean') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid isVerified: expected boolean',
+    });
+  }
+
+  if (typeof attestationHash !== 'string' || !ATTESTATION_HASH_PATTERN.test(attestationHash)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid attestationHash: expected 32-byte hex string',
+    });
+  }
+
+  await sendComplianceChange(req, res, userAddress, COMPLIANCE_ACTIONS.REGISTER, {
+    riskScore,
+    attestationHash,
+    isVerified,
+  });
+});
+
+/**
+ * POST /admin/compliance/users/:address/risk
+ * Update a user's risk score through the ComplianceManager
+ */
+router.post('/admin/compliance/users/:address/risk', hmacVerification, requireAdmin, async (req, res) => {
+  const userAddress = parseAddress(req, res);
+  if (!userAddress) return;
+
+  const { riskScore } = req.body;
+
+  if (!isRiskScore(riskScore)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Invalid riskScore: expected an integer from 0 to ${MAX_RISK_SCORE}`,
+    });
+  }
+
+  await sendComplianceChange(req, res, userAddress, COMPLIANCE_ACTIONS.UPDATE_RISK, { riskScore });
+});
+
+/**
+ * POST /admin/compliance/users/:address/attestations
+ * Record an attestation for a user through the ComplianceManager
+ */
+router.post('/admin/compliance/users/:address/attestations', hmacVerification, requireAdmin, async (req, res) => {
+  const userAddress = parseAddress(req, res);
+  if (!userAddress) return;
+
+  const { attestationHash, attestationType } = req.body;
+
+  if (
+    typeof attestationHash !== 'string' ||
+    !ATTESTATION_HASH_PATTERN.test(attestationHash) ||
+    attestationHash === ethers.ZeroHash
+  ) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid attestationHash: expected non-zero 32-byte hex string',
+    });
+  }
+
+  if (
+    typeof attestationType !== 'string' ||
+    attestationType.length === 0 ||
+    Buffer.byteLength(attestationType) > MAX_ATTESTATION_TYPE_BYTES
+  ) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Invalid attestationType: expected 1-${MAX_ATTESTATION_TYPE_BYTES} bytes`,
+    });
+  }
+
+  await sendComplianceChange(req, res, userAddress, COMPLIANCE_ACTIONS.RECORD_ATTESTATION, {
+    attestationHash,
+    attestationType,
+  });
+});
+
+export default router;
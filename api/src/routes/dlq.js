@@ -0,0 +1,172 @@
+import { Router } from 'express';
+import { hmacVerification, requireAdmin } from '../middleware/hmacVerification.js';
+import {
+  listDLQEntries,
+  getDLQEntry,
+  replayDLQEntry,
+  discardDLQEntry,
+  serializeDLQEntry,
+} from '../services/retry.js';
+
+const router = Router();
+
+const DLQ_STATUSES = ['pending', 'replayed', 'discarded'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Parse a positive integer DLQ entry ID from the route
+ * @param {string} value - Raw route parameter
+ * @returns {number|null} Entry ID, or null if invalid
+ */
+function parseEntryId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * GET /admin/dlq
+ * List DLQ entries newest first (pending only unless status is given)
+ */
+router.get('/admin/dlq', hmacVerification, requireAdmin, (req, res) => {
+  try {
+    const { status = 'pending', operation, intentId, cursor, limit } = req.query;
+
+    if (!DLQ_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid status. Expected one of: ${DLQ_STATUSES.join(', ')}`,
+      });
+    }
+
+    const beforeId = cursor !== undefined ? parseEntryId(cursor) : undefined;
+    if (beforeId === null) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid cursor',
+      });
+    }
+
+    const pageSize = limit !== undefined ? Number(limit) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid limit: expected integer between 1 and ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const rows = listDLQEntries({ status, operation, intentId, beforeId }, pageSize);
+
+    res.status(200).json({
+      items: rows.map(serializeDLQEntry),
+      nextCursor: rows.length === pageSize ? String(rows[rows.length - 1].id) : null,
+    });
+  } catch (error) {
+    console.error('Error listing DLQ entries:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list DLQ entries',
+    });
+  }
+});
+
+/**
+ * GET /admin/dlq/:id
+ * Get a DLQ entry with its full error history
+ */
+router.get('/admin/dlq/:id', hmacVerification, requireAdmin, (req, res) => {
+  const id = parseEntryId(req.params.id);
+  const entry = id && getDLQEntry(id);
+
+  if (!entry) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `DLQ entry ${req.params.id} not found`,
+    });
+  }
+
+  res.status(200).json(serializeDLQEntry(entry));
+});
+
+/**
+ * POST /admin/dlq/:id/replay
+ * Move a pending DLQ entry back into the retry queue
+ */
+router.post('/admin/dlq/:id/replay', hmacVerification, requireAdmin, (req, res) => {
+  try {
+    const id = parseEntryId(req.params.id);
+    const entry = id && getDLQEntry(id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `DLQ entry ${req.params.id} not found`,
+      });
+    }
+
+    const replayed = replayDLQEntry(id, req.body.reason || null);
+    if (!replayed) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `DLQ entry ${id} is already ${entry.status}`,
+      });
+    }
+
+    console.log(`DLQ entry ${id} replayed into retry queue`);
+    res.status(200).json(serializeDLQEntry(replayed));
+  } catch (error) {
+    console.error('Error replaying DLQ entry:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to replay DLQ entry',
+    });
+  }
+});
+
+/**
+ * POST /admin/dlq/:id/discard
+ * Discard a pending DLQ entry with a reason
+ */
+router.post('/admin/dlq/:id/discard', hmacVerification, requireAdmin, (req, res) => {
+  try {
+    const id = parseEntryId(req.params.id);
+    const entry = id && getDLQEntry(id);
+    const { reason } = req.body;
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `DLQ entry ${req.params.id} not found`,
+      });
+    }
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Missing required field: reason',
+      });
+    }
+
+    const discarded = discardDLQEntry(id, reason);
+    if (!discarded) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `DLQ entry ${id} is already ${entry.status}`,
+      });
+    }
+
+    console.log(`DLQ entry ${id} discarded: ${reason}`);
+    res.status(200).json(serializeDLQEntry(discarded));
+  } catch (error) {
+    console.error('Error discarding DLQ entry:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to discard DLQ entry',
+    });
+  }
+});
+
+export default router;
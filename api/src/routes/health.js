@@ -1,67 +1,13 @@
 import { Router } from 'express';
-import { register, Counter, Histogram, Gauge } from 'prom-client';
+import { register } from 'prom-client';
 import { getDatabase } from '../database.js';
-import { getBlockchain } from '../blockchain.js';
+import { getBlockNumber } from '../blockchain.js';
+import { getDLQDepth } from '../services/retry.js';
+import { getPendingTransactionCount } from '../txManager.js';
+import { metrics } from '../metrics.js';
 
 const router = Router();
 
-// Prometheus metrics
-export const metrics = {
-  rpcRequests: new Counter({
-    name: 'fiatrails_rpc_requests_total',
-    help: 'Total number of RPC requests',
-    labelNames: ['method', 'status'],
-  }),
-
-  mintIntents: new Counter({
-    name: 'fiatrails_mint_intents_total',
-    help: 'Total number of mint intents submitted',
-    labelNames: ['status'],
-  }),
-
-  callbacks: new Counter({
-    name: 'fiatrails_callbacks_total',
-    help: 'Total number of M-PESA callbacks received',
-    labelNames: ['status'],
-  }),
-
-  retries: new Counter({
-    name: 'fiatrails_retries_total',
-    help: 'Total number of retry attempts',
-    labelNames: ['operation', 'status'],
-  }),
-
-  dlqDepth: new Gauge({
-    name: 'fiatrails_dlq_depth',
-    help: 'Number of items in Dead Letter Queue',
-  }),
-
-  queueDepth: new Gauge({
-    name: 'fiatrails_retry_queue_depth',
-    help: 'Number of items in retry queue',
-  }),
-
-  complianceChecks: new Counter({
-    name: 'fiatrails_compliance_checks_total',
-    help: 'Total number of compliance checks',
-    labelNames: ['result'],
-  }),
-
-  rpcLatency: new Histogram({
-    name: 'fiatrails_rpc_latency_seconds',
-    help: 'RPC request latency in seconds',
-    labelNames: ['method'],
-    buckets: [0.1, 0.5, 1, 2, 5, 10],
-  }),
-
-  apiLatency: new Histogram({
-    name: 'fiatrails_api_latency_seconds',
-    help: 'API request latency in seconds',
-    labelNames: ['endpoint', 'method'],
-    buckets: [0.01, 0.05, 0.1, 0.5, 1, 2],
-  }),
-};
-
 /**
  * GET /health
  * Health check endpoint
@@ -86,8 +32,7 @@ router.get('/health', async (req, res) => {
 
     // Check RPC connectivity
     try {
-      const { provider } = getBlockchain();
-      await provider.getBlockNumber();
+      await getBlockNumber();
       health.checks.rpc = 'ok';
     } catch (error) {
       health.checks.rpc = 'error';
@@ -111,6 +56,32 @@ router.get('/health', async (req, res) => {
       health.checks.retryQueue = { status: 'error' };
     }
 
+    try {
+      const dlqDepth = getDLQDepth();
+
+      health.checks.dlq = {
+        status: 'ok',
+        depth: dlqDepth,
+      };
+
+      metrics.dlqDepth.set(dlqDepth);
+    } catch (error) {
+      health.checks.dlq = { status: 'error' };
+    }
+
+    try {
+      const pendingTransactions = getPendingTransactionCount();
+
+      health.checks.transactions = {
+        status: 'ok',
+        pending: pendingTransactions,
+      };
+
+      metrics.pendingTransactions.set(pendingTransactions);
+    } catch (error) {
+      health.checks.transactions = { status: 'error' };
+    }
+
     const statusCode = health.status === 'healthy' ? 200 : 503;
     res.status(statusCode).json(health);
   } catch (error) {
@@ -134,6 +105,12 @@ router.get('/metrics', async (req, res) => {
       .get().count;
     metrics.queueDepth.set(queueDepth);
 
+    // Update DLQ depth gauge (pending entries only)
+    metrics.dlqDepth.set(getDLQDepth());
+
+    // Update executor transactions awaiting a receipt
+    metrics.pendingTransactions.set(getPendingTransactionCount());
+
     res.set('Content-Type', register.contentType);
     res.send(await register.metrics());
   } catch (error) {
@@ -1,12 +1,103 @@
 import { Router } from 'express';
-import { submitMintIntent } from '../blockchain.js';
+import { submitMintIntent, getIntent, formatIntent } from '../blockchain.js';
 import { config } from '../config.js';
+import { getDatabase } from '../database.js';
+import { metrics } from '../metrics.js';
 import { hmacVerification } from '../middleware/hmacVerification.js';
 import { idempotency } from '../middleware/idempotency.js';
 import { addToRetryQueue } from '../services/retry.js';
+import { checkDailyLimit } from '../services/limits.js';
+import { requestRefund, hasPendingRefund } from '../services/refunds.js';
+import { listIntentEvents, serializeChainEvent } from '../services/indexer.js';
+import { completeSubmission } from '../services/retryOperations.js';
+import { getPaymentProvider, initiatePayment, toWholeUnits } from '../services/payments.js';
+import { QUOTE_ERRORS, getQuote, checkQuote, consumeQuote, releaseQuote } from '../services/quotes.js';
+import { COMPLIANCE_REASONS, checkUserCompliance } from '../services/compliance.js';
+import { SCREENING_STAGES, screenParties, recordScreeningHit } from '../services/screening.js';
+import {
+  INTENT_STATUS,
+  recordIntent,
+  updateIntentStatus,
+  getIntentRecord,
+  getIntentByTxRef,
+  getIntentByCheckoutRequestId,
+  setCheckoutRequestId,
+  listIntents,
+  decodeCursor,
+  serializeIntent,
+  canAccessIntent,
+} from '../services/intents.js';
 
 const router = Router();
 
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_REFUND_REASON_LENGTH = 256;
+const INTENT_ID_PATTERN = /^0x[a-fA-F0-9]{64}$/;
+const CHECKOUT_REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+const PHONE_NUMBER_PATTERN = /^254[17]\d{8}$/;
+
+const QUOTE_ERROR_MESSAGES = {
+  [QUOTE_ERRORS.INVALID]: 'Quote signature does not match its terms',
+  [QUOTE_ERRORS.EXPIRED]: 'Quote has expired',
+  [QUOTE_ERRORS.CONSUMED]: 'Quote was already used by another mint intent',
+};
+
+const COMPLIANCE_MESSAGES = {
+  [COMPLIANCE_REASONS.NOT_REGISTERED]: 'User is not registered in the UserRegistry',
+  [COMPLIANCE_REASONS.NOT_VERIFIED]: 'User has not completed KYC',
+  [COMPLIANCE_REASONS.RISK_SCORE_TOO_HIGH]: 'User risk score exceeds the maximum',
+  [COMPLIANCE_REASONS.ATTESTATION_MISSING]: 'User has no compliance attestation',
+  [COMPLIANCE_REASONS.ATTESTATION_TOO_RECENT]: 'User compliance attestation is too recent',
+};
+
+/**
+ * Reject a mint intent whose quote cannot lock its amount
+ * @param {Object} res - Express response
+ * @param {string} code - QUOTE_ERRORS code
+ * @param {string} quoteId - Quote ID
+ */
+function rejectQuote(res, code, quoteId) {
+  return res.status(422).json({
+    error: 'Unprocessable Entity',
+    code,
+    message: `${QUOTE_ERROR_MESSAGES[code]}: ${quoteId}`,
+  });
+}
+
+/**
+ * Reject a mint intent whose txRef already has an intent
+ * @param {Object} res - Express response
+ * @param {string} txRef - Off-chain transaction reference
+ */
+function rejectDuplicate(res, txRef) {
+  return res.status(409).json({
+    error: 'Conflict',
+    message: `Intent already exists for txRef: ${txRef}`,
+  });
+}
+
+/**
+ * Check whether an error is a SQLite constraint violation (e.g. a duplicate key)
+ * @param {Error} error - Error thrown by better-sqlite3
+ * @returns {boolean} True for constraint violations
+ */
+function isConstraintError(error) {
+  return typeof error.code === 'string' && error.code.startsWith('SQLITE_CONSTRAINT');
+}
+
+/**
+ * Map a POST /mint-intents response status to its metrics label
+ * @param {number} statusCode - HTTP status code
+ * @returns {string} Outcome label
+ */
+function mintOutcome(statusCode) {
+  if (statusCode === 201) return 'success';
+  if (statusCode === 202) return 'queued';
+  if (statusCode < 500) return 'rejected';
+  return 'error';
+}
+
 /**
  * POST /mint-intents
  * Submit a new mint intent
@@ -16,41 +107,277 @@ router.post(
   hmacVerification,
   idempotency,
   async (req, res) => {
+    res.on('finish', () => {
+      metrics.mintIntents.inc({ status: mintOutcome(res.statusCode) });
+    });
+
     try {
-      const { amount, countryCode, txRef, userAddress } = req.body;
+      const { countryCode, txRef, userAddress, checkoutRequestId, phoneNumber, quoteId } = req.body;
+      let { amount } = req.body;
 
       // Validate request body
-      if (!amount || !countryCode || !txRef || !userAddress) {
+      if ((!amount && !quoteId) || !countryCode || !txRef || !userAddress) {
         return res.status(400).json({
           error: 'Bad Request',
-          message: 'Missing required fields: amount, countryCode, txRef, userAddress',
+          message: 'Missing required fields: amount (or quoteId), countryCode, txRef, userAddress',
         });
       }
 
-      // Validate amount is within limits
-      const amountBigInt = BigInt(amount);
-      if (amountBigInt < config.limits.minMintAmount) {
+      // Validate country code against the country registry
+      const country = config.countries[countryCode];
+      if (!country) {
         return res.status(400).json({
           error: 'Bad Request',
-          message: `Amount below minimum: ${config.limits.minMintAmount}`,
+          message: `Invalid country code. Supported: ${Object.keys(config.countries).join(', ')}`,
         });
       }
 
-      if (amountBigInt > config.limits.maxMintAmount) {
+      // A quote locks the amount, so the client does not supply one
+      let quote;
+      if (quoteId !== undefined) {
+        if (amount !== undefined) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Provide either amount or quoteId, not both',
+          });
+        }
+
+        quote = typeof quoteId === 'string' ? getQuote(quoteId) : undefined;
+        if (!quote) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: `Invalid quoteId: ${quoteId}`,
+          });
+        }
+
+        if (quote.country_code !== countryCode) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: `Quote ${quoteId} is for ${quote.country_code}, not ${countryCode}`,
+          });
+        }
+
+        const quoteError = checkQuote(quote);
+        if (quoteError) {
+          return rejectQuote(res, quoteError, quoteId);
+        }
+
+        amount = quote.token_amount;
+      }
+
+      // Validate amount is within the country's limits
+      const amountBigInt = BigInt(amount);
+      if (amountBigInt < country.limits.minMintAmount) {
         return res.status(400).json({
           error: 'Bad Request',
-          message: `Amount exceeds maximum: ${config.limits.maxMintAmount}`,
+          message: `Amount below minimum: ${country.limits.minMintAmount}`,
         });
       }
 
-      // Validate country code
-      if (countryCode !== 'KES') {
+      if (amountBigInt > country.limits.maxMintAmount) {
         return res.status(400).json({
           error: 'Bad Request',
-          message: 'Invalid country code. Only KES is supported.',
+          message: `Amount exceeds maximum: ${country.limits.maxMintAmount}`,
+        });
+      }
+
+      // Reject reuse of a txRef that already has an intent before screening it
+      if (getIntentByTxRef(txRef)) {
+        return rejectDuplicate(res, txRef);
+      }
+
+      if (checkoutRequestId !== undefined) {
+        if (typeof checkoutRequestId !== 'string' || !CHECKOUT_REQUEST_ID_PATTERN.test(checkoutRequestId)) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Invalid checkoutRequestId',
+          });
+        }
+
+        // One STK Push pays for one intent
+        if (getIntentByCheckoutRequestId(checkoutRequestId)) {
+          return res.status(409).json({
+            error: 'Conflict',
+            message: `Intent already exists for checkoutRequestId: ${checkoutRequestId}`,
+          });
+        }
+      }
+
+      // Amount of the payment prompt, in whole currency units
+      let paymentAmount;
+      if (phoneNumber !== undefined) {
+        if (checkoutRequestId !== undefined) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Provide either phoneNumber or checkoutRequestId, not both',
+          });
+        }
+
+        if (typeof phoneNumber !== 'string' || !PHONE_NUMBER_PATTERN.test(phoneNumber)) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Invalid phoneNumber: expected 2547XXXXXXXX or 2541XXXXXXXX',
+          });
+        }
+
+        if (!getPaymentProvider(country.paymentProvider)) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: `Payment prompts are not enabled for ${countryCode}`,
+          });
+        }
+
+        // Quoted intents are paid in the quoted fiat amount
+        paymentAmount = toWholeUnits(quote ? BigInt(quote.fiat_amount) : amountBigInt);
+        if (paymentAmount === null) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: `Amount must be a whole number of ${countryCode} to prompt a payment`,
+          });
+        }
+      }
+
+      // Screen the user and payer against the sanctions/denylist before anything is escrowed
+      let screening;
+      try {
+        screening = await screenParties({ userAddress, phoneNumber }, SCREENING_STAGES.SUBMISSION);
+      } catch (error) {
+        console.error(`Screening failed for ${txRef}:`, error.message);
+
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Sanctions screening is unavailable, try again later',
+        });
+      }
+
+      if (screening) {
+        recordScreeningHit({ stage: SCREENING_STAGES.SUBMISSION, match: screening, userAddress, txRef });
+
+        return res.status(422).json({
+          error: 'Unprocessable Entity',
+          code: 'SCREENING_HIT',
+          message: 'Mint intent blocked by sanctions screening',
+        });
+      }
+
+      // Refuse non-compliant users before they escrow anything. If the UserRegistry cannot be
+      // read the intent is refused too, rather than escrowed for a user nobody checked.
+      let compliance;
+      try {
+        compliance = await checkUserCompliance(userAddress);
+      } catch (error) {
+        console.error(`Pre-flight compliance check failed for ${userAddress}:`, error.message);
+
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Compliance check is unavailable, try again later',
+        });
+      }
+
+      if (!compliance.compliant) {
+        return res.status(422).json({
+          error: 'Unprocessable Entity',
+          code: compliance.reason,
+          message: COMPLIANCE_MESSAGES[compliance.reason],
+          details: {
+            riskScore: compliance.riskScore,
+            maxRiskScore: config.compliance.maxRiskScore,
+          },
+        });
+      }
+
+      // Enforce rolling 24h per-user, per-country limit. The check and the ledger insert
+      // below run synchronously, so concurrent requests cannot both pass it.
+      const dailyLimit = checkDailyLimit(userAddress, amountBigInt, countryCode);
+      if (!dailyLimit.allowed) {
+        return res.status(422).json({
+          error: 'Unprocessable Entity',
+          code: 'DAILY_LIMIT_EXCEEDED',
+          message: `Amount exceeds remaining daily mint allowance: ${dailyLimit.remaining}`,
+          details: {
+            dailyLimit: dailyLimit.limit.toString(),
+            used: dailyLimit.used.toString(),
+            remaining: dailyLimit.remaining.toString(),
+            requested: amountBigInt.toString(),
+          },
         });
       }
 
+      // Reserve the intent in the ledger before going on-chain. A request with the same txRef
+      // may have been recorded while this one was screened, so the txRef is checked again in
+      // the transaction that consumes the quote; a failed insert leaves the quote unused.
+      let reserveError;
+      try {
+        reserveError = getDatabase().transaction(() => {
+          if (getIntentByTxRef(txRef)) {
+            return 'duplicate';
+          }
+
+          const consumeError = quote && consumeQuote(quote.id, txRef);
+          if (consumeError) {
+            return consumeError;
+          }
+
+          recordIntent({
+            txRef,
+            userAddress,
+            amount,
+            countryCode,
+            status: INTENT_STATUS.SUBMITTING,
+            checkoutRequestId,
+            quoteId: quote?.id,
+            fiatAmount: quote?.fiat_amount,
+            phoneNumber,
+            clientId: req.apiClient.id,
+          });
+          return null;
+        })();
+      } catch (error) {
+        if (!isConstraintError(error)) {
+          throw error;
+        }
+
+        // The txRef or checkoutRequestId was taken by a concurrent request
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Intent already exists for txRef ${txRef} or its checkoutRequestId`,
+        });
+      }
+
+      if (reserveError === 'duplicate') {
+        return rejectDuplicate(res, txRef);
+      }
+
+      if (reserveError) {
+        return rejectQuote(res, reserveError, quoteId);
+      }
+
+      // Prompt the payer before escrowing, so a failed prompt leaves nothing to refund
+      let payment;
+      if (phoneNumber) {
+        try {
+          payment = await initiatePayment({ txRef, phoneNumber, amount: paymentAmount }, country.paymentProvider);
+          setCheckoutRequestId(txRef, payment.checkoutRequestId);
+        } catch (error) {
+          console.error(`Failed to prompt payment for ${txRef}:`, error.message);
+
+          updateIntentStatus(txRef, INTENT_STATUS.REJECTED, {
+            lastError: `Payment prompt failed: ${error.message}`,
+          });
+
+          // Nothing was paid, so the quote can lock another intent
+          if (quote) {
+            releaseQuote(quote.id, txRef);
+          }
+
+          return res.status(502).json({
+            error: 'Bad Gateway',
+            message: `Payment prompt failed: ${error.message}`,
+            txRef,
+          });
+        }
+      }
+
       // Submit to blockchain with retry on failure
       let result;
       try {
@@ -65,13 +392,19 @@ router.post(
           { amount, countryCode, txRef, userAddress }
         );
 
+        updateIntentStatus(txRef, INTENT_STATUS.QUEUED, { lastError: error.message });
+
         return res.status(202).json({
           status: 'queued',
           message: 'Request queued for retry due to RPC error',
           txRef,
+          checkoutRequestId: payment?.checkoutRequestId,
+          quoteId: quote?.id,
         });
       }
 
+      completeSubmission({ amount, countryCode, txRef, userAddress }, result);
+
       // Success
       res.status(201).json({
         status: 'success',
@@ -80,6 +413,8 @@ router.post(
         amount,
         countryCode,
         txRef,
+        checkoutRequestId: payment?.checkoutRequestId,
+        quoteId: quote?.id,
       });
     } catch (error) {
       console.error('Error processing mint intent:', error);
@@ -92,4 +427,258 @@ router.post(
   }
 );
 
+/**
+ * GET /mint-intents
+ * List intents newest first, filtered by query parameters, with cursor pagination
+ */
+router.get('/mint-intents', hmacVerification, (req, res) => {
+  try {
+    const {
+      userAddress,
+      status,
+      countryCode,
+      txRefPrefix,
+      createdFrom,
+      createdTo,
+      flagged,
+      cursor,
+      limit,
+    } = req.query;
+
+    if (status && !Object.values(INTENT_STATUS).includes(status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid status. Expected one of: ${Object.values(INTENT_STATUS).join(', ')}`,
+      });
+    }
+
+    const filters = { userAddress, status, countryCode, txRefPrefix };
+
+    // Partners list only their own intents
+    if (!req.apiClient.admin) {
+      filters.clientId = req.apiClient.id;
+    }
+
+    for (const [name, value] of [['createdFrom', createdFrom], ['createdTo', createdTo]]) {
+      if (value === undefined) continue;
+
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed < 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Invalid ${name}: expected Unix timestamp in milliseconds`,
+        });
+      }
+      filters[name] = parsed;
+    }
+
+    if (flagged !== undefined) {
+      if (flagged !== 'true' && flagged !== 'false') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Invalid flagged: expected true or false',
+        });
+      }
+      filters.flagged = flagged === 'true';
+    }
+
+    if (cursor) {
+      filters.cursor = decodeCursor(cursor);
+      if (!filters.cursor) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Invalid cursor',
+        });
+      }
+    }
+
+    let pageSize = DEFAULT_PAGE_SIZE;
+    if (limit !== undefined) {
+      pageSize = Number(limit);
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Invalid limit: expected integer between 1 and ${MAX_PAGE_SIZE}`,
+        });
+      }
+    }
+
+    const { items, nextCursor } = listIntents(filters, pageSize);
+
+    res.status(200).json({
+      items: items.map(serializeIntent),
+      nextCursor,
+    });
+  } catch (error) {
+    console.error('Error listing mint intents:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list mint intents',
+    });
+  }
+});
+
+/**
+ * GET /mint-intents/:intentId
+ * Get the local ledger record of an intent merged with its on-chain state
+ */
+router.get('/mint-intents/:intentId', hmacVerification, async (req, res) => {
+  try {
+    const { intentId } = req.params;
+
+    if (!INTENT_ID_PATTERN.test(intentId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid intentId: expected 32-byte hex string',
+      });
+    }
+
+    const record = getIntentRecord(intentId);
+
+    // Another client's intent is reported as missing rather than forbidden
+    if (!canAccessIntent(req.apiClient, record)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Intent ${intentId} not found`,
+      });
+    }
+
+    // Fetch live on-chain state; an RPC failure still returns the local record
+    let onChain = null;
+    let onChainError = null;
+    try {
+      onChain = formatIntent(await getIntent(intentId, record?.country_code));
+    } catch (error) {
+      console.error('Failed to fetch on-chain intent:', error.message);
+      onChainError = error.message;
+    }
+
+    if (!record && !onChain) {
+      if (onChainError) {
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: 'Intent not found locally and on-chain lookup failed',
+        });
+      }
+
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Intent ${intentId} not found`,
+      });
+    }
+
+    res.status(200).json({
+      intentId,
+      ...(record ? serializeIntent(record) : {}),
+      onChain,
+      ...(onChainError ? { onChainError } : {}),
+      events: listIntentEvents(intentId).map(serializeChainEvent),
+    });
+  } catch (error) {
+    console.error('Error fetching mint intent:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch mint intent',
+    });
+  }
+});
+
+/**
+ * POST /mint-intents/:intentId/refund
+ * Queue a refund of an intent that is still Pending on-chain
+ */
+router.post(
+  '/mint-intents/:intentId/refund',
+  hmacVerification,
+  idempotency,
+  async (req, res) => {
+    try {
+      const { intentId } = req.params;
+      const { reason } = req.body;
+
+      if (!INTENT_ID_PATTERN.test(intentId)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Invalid intentId: expected 32-byte hex string',
+        });
+      }
+
+      if (!reason || typeof reason !== 'string' || reason.length > MAX_REFUND_REASON_LENGTH) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Missing or invalid reason (max ${MAX_REFUND_REASON_LENGTH} characters)`,
+        });
+      }
+
+      const record = getIntentRecord(intentId);
+
+      if (!canAccessIntent(req.apiClient, record)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Intent ${intentId} not found`,
+        });
+      }
+
+      // On-chain status is authoritative; fall back to the ledger if RPC fails
+      let onChain = null;
+      let onChainAvailable = true;
+      try {
+        onChain = formatIntent(await getIntent(intentId, record?.country_code));
+      } catch (error) {
+        console.error('Failed to fetch on-chain intent:', error.message);
+        onChainAvailable = false;
+      }
+
+      if (!record && !onChain) {
+        return res.status(onChainAvailable ? 404 : 503).json({
+          error: onChainAvailable ? 'Not Found' : 'Service Unavailable',
+          message: onChainAvailable
+            ? `Intent ${intentId} not found`
+            : 'Intent not found locally and on-chain lookup failed',
+        });
+      }
+
+      if (hasPendingRefund(intentId)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Refund already in progress for intent ${intentId}`,
+        });
+      }
+
+      const finalStatuses = [
+        INTENT_STATUS.PENDING_CONFIRMATION,
+        INTENT_STATUS.EXECUTED,
+        INTENT_STATUS.REFUNDED,
+      ];
+      const refundable = onChain
+        ? onChain.status === 'Pending'
+        : !finalStatuses.includes(record.status);
+
+      if (!refundable) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Intent is not refundable in status: ${onChain ? onChain.status : record.status}`,
+        });
+      }
+
+      requestRefund(intentId, reason);
+
+      res.status(202).json({
+        status: 'refund_queued',
+        intentId,
+        reason,
+      });
+    } catch (error) {
+      console.error('Error processing refund request:', error);
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to process refund request',
+      });
+    }
+  }
+);
+
 export default router;
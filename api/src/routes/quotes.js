@@ -0,0 +1,81 @@
+import { Router } from 'express';
+import { config } from '../config.js';
+import { hmacVerification } from '../middleware/hmacVerification.js';
+import { fromWholeUnits } from '../services/payments.js';
+import {
+  QuotesUnavailableError,
+  QuoteAmountError,
+  createQuote,
+  serializeQuote,
+} from '../services/quotes.js';
+
+const router = Router();
+
+/**
+ * POST /quotes
+ * Quote the token amount a fiat amount buys, locked until the quote expires
+ */
+router.post('/quotes', hmacVerification, async (req, res) => {
+  try {
+    const { countryCode, fiatAmount } = req.body;
+
+    if (!countryCode || fiatAmount === undefined) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Missing required fields: countryCode, fiatAmount',
+      });
+    }
+
+    if (!config.countries[countryCode]) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid country code. Supported: ${Object.keys(config.countries).join(', ')}`,
+      });
+    }
+
+    const fiatAmountWei = fromWholeUnits(fiatAmount);
+    if (!fiatAmountWei) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid fiatAmount: expected a positive amount in currency units',
+      });
+    }
+
+    let quote;
+    try {
+      quote = await createQuote({ countryCode, fiatAmount: fiatAmountWei });
+    } catch (error) {
+      if (error instanceof QuotesUnavailableError) {
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: `Quotes are disabled: ${error.message}`,
+        });
+      }
+
+      if (error instanceof QuoteAmountError) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message,
+        });
+      }
+
+      console.error(`Failed to quote ${countryCode}:`, error.message);
+
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: `Rate lookup failed: ${error.message}`,
+      });
+    }
+
+    res.status(201).json(serializeQuote(quote));
+  } catch (error) {
+    console.error('Error creating quote:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create quote',
+    });
+  }
+});
+
+export default router;
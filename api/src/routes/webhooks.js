@@ -0,0 +1,261 @@
+import { Router } from 'express';
+import { hmacVerification, requireAdmin } from '../middleware/hmacVerification.js';
+import { LEGACY_CLIENT_ID, getClient } from '../services/clients.js';
+import {
+  WEBHOOK_EVENTS,
+  createSubscription,
+  rotateSubscriptionSecret,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listSubscriptionEvents,
+  serializeSubscription,
+  serializeWebhookEvent,
+} from '../services/webhooks.js';
+
+const router = Router();
+
+const EVENT_NAMES = Object.values(WEBHOOK_EVENTS);
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Parse a positive integer ID from the route
+ * @param {string} value - Raw route parameter
+ * @returns {number|null} ID, or null if invalid
+ */
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Validate subscription fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether fields may be omitted (updates)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSubscription(body, partial) {
+  const { clientId, url, events, description, enabled } = body;
+
+  if (!partial && !clientId) {
+    return 'Missing required field: clientId';
+  }
+
+  if (!partial && !url) {
+    return 'Missing required field: url';
+  }
+
+  // Intents signed with the shared seed.json salt belong to the legacy client
+  if (clientId !== undefined && clientId !== LEGACY_CLIENT_ID && !getClient(clientId)) {
+    return 'Invalid clientId: unknown client';
+  }
+
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'Invalid url';
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'Invalid url: expected http or https';
+    }
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0 || !events.every((e) => EVENT_NAMES.includes(e))) {
+      return `Invalid events. Expected a non-empty list of: ${EVENT_NAMES.join(', ')}`;
+    }
+  }
+
+  if (description !== undefined && typeof description !== 'string') {
+    return 'Invalid description';
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'Invalid enabled: expected boolean';
+  }
+
+  return null;
+}
+
+/**
+ * Respond with 404 for an unknown subscription
+ * @param {Object} res - Express response
+ * @param {string} id - Raw subscription ID
+ */
+function notFound(res, id) {
+  return res.status(404).json({
+    error: 'Not Found',
+    message: `Webhook subscription ${id} not found`,
+  });
+}
+
+/**
+ * GET /admin/webhooks
+ * List webhook subscriptions
+ */
+router.get('/admin/webhooks', hmacVerification, requireAdmin, (req, res) => {
+  res.status(200).json({
+    items: listSubscriptions().map(serializeSubscription),
+  });
+});
+
+/**
+ * POST /admin/webhooks
+ * Register a partner callback URL for a client's intents (all events unless `events`
+ * is given); its signing secret is returned once in the response
+ */
+router.post('/admin/webhooks', hmacVerification, requireAdmin, (req, res) => {
+  try {
+    const error = validateSubscription(req.body, false);
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error,
+      });
+    }
+
+    const { clientId, url, events = EVENT_NAMES, description } = req.body;
+    const { subscription, secret } = createSubscription({ clientId, url, events, description });
+
+    console.log(`Webhook subscription ${subscription.id} created for ${url} (client ${clientId})`);
+    res.status(201).json({ ...serializeSubscription(subscription), secret });
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create webhook subscription',
+    });
+  }
+});
+
+/**
+ * GET /admin/webhooks/:id
+ * Get a webhook subscription
+ */
+router.get('/admin/webhooks/:id', hmacVerification, requireAdmin, (req, res) => {
+  const id = parseId(req.params.id);
+  const subscription = id && getSubscription(id);
+
+  if (!subscription) {
+    return notFound(res, req.params.id);
+  }
+
+  res.status(200).json(serializeSubscription(subscription));
+});
+
+/**
+ * PATCH /admin/webhooks/:id
+ * Change the client, URL, events, description or enabled flag of a subscription
+ */
+router.patch('/admin/webhooks/:id', hmacVerification, requireAdmin, (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+
+    if (!id || !getSubscription(id)) {
+      return notFound(res, req.params.id);
+    }
+
+    const error = validateSubscription(req.body, true);
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error,
+      });
+    }
+
+    const subscription = updateSubscription(id, req.body);
+    res.status(200).json(serializeSubscription(subscription));
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update webhook subscription',
+    });
+  }
+});
+
+/**
+ * POST /admin/webhooks/:id/secret
+ * Replace the signing secret of a subscription; the new secret is returned once
+ */
+router.post('/admin/webhooks/:id/secret', hmacVerification, requireAdmin, (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const secret = id && rotateSubscriptionSecret(id);
+
+    if (!secret) {
+      return notFound(res, req.params.id);
+    }
+
+    console.log(`Webhook subscription ${id} secret rotated by ${req.apiClient.id}`);
+    res.status(200).json({ ...serializeSubscription(getSubscription(id)), secret });
+  } catch (error) {
+    console.error('Error rotating webhook subscription secret:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to rotate webhook subscription secret',
+    });
+  }
+});
+
+/**
+ * DELETE /admin/webhooks/:id
+ * Remove a subscription and cancel its undelivered events
+ */
+router.delete('/admin/webhooks/:id', hmacVerification, requireAdmin, (req, res) => {
+  const id = parseId(req.params.id);
+
+  if (!id || !deleteSubscription(id)) {
+    return notFound(res, req.params.id);
+  }
+
+  console.log(`Webhook subscription ${id} deleted`);
+  res.status(204).end();
+});
+
+/**
+ * GET /admin/webhooks/:id/deliveries
+ * Delivery log of a subscription's events, newest first
+ */
+router.get('/admin/webhooks/:id/deliveries', hmacVerification, requireAdmin, (req, res) => {
+  const id = parseId(req.params.id);
+
+  if (!id || !getSubscription(id)) {
+    return notFound(res, req.params.id);
+  }
+
+  const { cursor, limit } = req.query;
+
+  const beforeId = cursor !== undefined ? parseId(cursor) : undefined;
+  if (beforeId === null) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid cursor',
+    });
+  }
+
+  const pageSize = limit !== undefined ? Number(limit) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Invalid limit: expected integer between 1 and ${MAX_PAGE_SIZE}`,
+    });
+  }
+
+  const rows = listSubscriptionEvents(id, beforeId, pageSize);
+
+  res.status(200).json({
+    items: rows.map(serializeWebhookEvent),
+    nextCursor: rows.length === pageSize ? String(rows[rows.length - 1].id) : null,
+  });
+});
+
+export default router;
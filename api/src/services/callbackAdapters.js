@@ -0,0 +1,38 @@
+import { mpesaAdapter, darajaAdapter } from '../adapters/mpesa.js';
+import { bankTransferAdapter } from '../adapters/bankTransfer.js';
+
+// Payment rail callback adapters, keyed by provider (the `:provider` in /callbacks/:provider)
+const adapters = new Map();
+
+/**
+ * Register a payment rail callback adapter
+ * An adapter exposes:
+ * - `verify(req)`: `{ signature?, timestamp?, version? }` if authentic, else `{ error }`
+ * - `normalize(body)`: `{ payment }` or `{ error }`, where payment is
+ *   `{ status, intentId?, txRef?, checkoutRequestId?, userAddress?, amount, currency, receipt?, description? }`
+ *   with `amount` in wei and `status` a PAYMENT_STATUS value
+ * - `mapStatus(providerStatus)`: the PAYMENT_STATUS of a provider status
+ * @param {string} provider - Provider name
+ * @param {Object} adapter - Callback adapter
+ */
+export function registerCallbackAdapter(provider, adapter) {
+  adapters.set(provider, adapter);
+}
+
+/**
+ * Get the callback adapter of a provider
+ * @param {string} provider - Provider name
+ * @returns {Object|undefined} Callback adapter
+ */
+export function getCallbackAdapter(provider) {
+  return adapters.get(provider);
+}
+
+/**
+ * Register the built-in payment rail adapters
+ */
+export function registerDefaultCallbackAdapters() {
+  registerCallbackAdapter('mpesa', mpesaAdapter);
+  registerCallbackAdapter('daraja', darajaAdapter);
+  registerCallbackAdapter('bank-transfer', bankTransferAdapter);
+}
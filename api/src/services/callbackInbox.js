@@ -0,0 +1,121 @@
+import { getDatabase } from '../database.js';
+import { config } from '../config.js';
+
+/**
+ * How a callback delivery relates to the deliveries before it
+ */
+export const DELIVERY_STATES = {
+  // First delivery, or a redelivery of one that was never settled: process it
+  NEW: 'new',
+  // Redelivery of a processed callback: return its recorded outcome
+  DUPLICATE: 'duplicate',
+  // Redelivery while the first is still being processed
+  IN_PROGRESS: 'in_progress',
+};
+
+/**
+ * Identify the payment a callback reports
+ * Redeliveries share the provider receipt (or the rail's own transaction reference),
+ * the intent they pay for and the payment status. A later callback moving the same
+ * payment to another status (e.g. pending → completed) is a new delivery.
+ * @param {string} provider - Provider name
+ * @param {Object} payment - Normalized payment
+ * @returns {{provider: string, receipt: string, intentRef: string, paymentStatus: string}} Inbox key
+ */
+export function deliveryKey(provider, payment) {
+  return {
+    provider,
+    receipt: payment.receipt ?? payment.txRef ?? '',
+    intentRef: payment.intentId ?? payment.checkoutRequestId ?? payment.txRef,
+    paymentStatus: payment.status,
+  };
+}
+
+/**
+ * Check whether a callback response settles the callback
+ * Only final outcomes are recorded: 2xx results other than 202 (queued, pending or
+ * awaiting confirmations) and 4xx rejections other than unknown intents. Redeliveries
+ * of anything else, including server errors, are processed again.
+ * @param {number} statusCode - HTTP status code of the response
+ * @returns {boolean} True if redeliveries should get this response
+ */
+export function isSettledOutcome(statusCode) {
+  if (statusCode >= 200 && statusCode < 300) {
+    return statusCode !== 202;
+  }
+
+  return statusCode >= 400 && statusCode < 500 && statusCode !== 404;
+}
+
+/**
+ * Record a callback delivery in the inbox and claim it for processing
+ * @param {string} provider - Provider name
+ * @param {Object} payment - Normalized payment
+ * @param {number} now - Current time in milliseconds
+ * @returns {{state: string, id: number, lease?: number, row?: Object}} Delivery state, with the
+ *   lease to complete a NEW delivery with, or the inbox row of a DUPLICATE
+ */
+export function claimDelivery(provider, payment, now = Date.now()) {
+  const db = getDatabase();
+  const key = deliveryKey(provider, payment);
+  const lease = now + config.rails.inboxLeaseSeconds * 1000;
+
+  return db.transaction(() => {
+    const inserted = db.prepare(
+      `INSERT INTO callback_inbox
+       (provider, receipt, intent_ref, payment_status, locked_until, created_at, last_delivered_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (provider, receipt, intent_ref, payment_status) DO NOTHING`
+    ).run(key.provider, key.receipt, key.intentRef, key.paymentStatus, lease, now, now);
+
+    if (inserted.changes === 1) {
+      return { state: DELIVERY_STATES.NEW, id: Number(inserted.lastInsertRowid), lease };
+    }
+
+    const row = db
+      .prepare(
+        `SELECT * FROM callback_inbox
+         WHERE provider = ? AND receipt = ? AND intent_ref = ? AND payment_status = ?`
+      )
+      .get(key.provider, key.receipt, key.intentRef, key.paymentStatus);
+
+    db.prepare(
+      'UPDATE callback_inbox SET deliveries = deliveries + 1, last_delivered_at = ? WHERE id = ?'
+    ).run(now, row.id);
+
+    if (row.completed_at) {
+      return { state: DELIVERY_STATES.DUPLICATE, id: row.id, row };
+    }
+
+    if (row.locked_until > now) {
+      return { state: DELIVERY_STATES.IN_PROGRESS, id: row.id };
+    }
+
+    db.prepare('UPDATE callback_inbox SET locked_until = ? WHERE id = ?').run(lease, row.id);
+    return { state: DELIVERY_STATES.NEW, id: row.id, lease };
+  })();
+}
+
+/**
+ * Record the outcome of a claimed delivery
+ * Settled outcomes are kept for redeliveries; others release the claim so the
+ * next delivery is processed again. Ignored if the claim was taken over.
+ * @param {Object} delivery - Result of claimDelivery() in the NEW state
+ * @param {number} statusCode - HTTP status code of the response
+ * @param {Object} body - Response body
+ */
+export function completeDelivery(delivery, statusCode, body) {
+  const db = getDatabase();
+
+  if (!isSettledOutcome(statusCode)) {
+    db.prepare('UPDATE callback_inbox SET locked_until = 0 WHERE id = ? AND locked_until = ?')
+      .run(delivery.id, delivery.lease);
+    return;
+  }
+
+  db.prepare(
+    `UPDATE callback_inbox
+     SET response_status = ?, response_body = ?, completed_at = ?, locked_until = NULL
+     WHERE id = ? AND locked_until = ?`
+  ).run(statusCode, JSON.stringify(body), Date.now(), delivery.id, delivery.lease);
+}
@@ -0,0 +1,241 @@
+import { randomBytes } from 'crypto';
+import { getDatabase } from '../database.js';
+import { config } from '../config.js';
+import { verifySignature } from '../utils/hmac.js';
+
+/**
+ * Client ID attached to requests signed with the shared seed.json salt
+ */
+export const LEGACY_CLIENT_ID = 'legacy';
+
+/**
+ * Generate a new client secret
+ * @returns {string} 32-byte secret (hex)
+ */
+function generateSecret() {
+  return randomBytes(32).toString('hex');
+}
+
+/**
+ * Check whether a secret may be used at a given time
+ * @param {Object} secret - client_secrets row
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the secret is inside its validity window and not revoked
+ */
+export function isSecretActive(secret, now = Date.now()) {
+  return (
+    secret.revoked_at === null &&
+    secret.valid_from <= now &&
+    (secret.valid_until === null || secret.valid_until > now)
+  );
+}
+
+/**
+ * Get an API client by ID
+ * @param {string} id - Client ID
+ * @returns {Object|undefined} clients row
+ */
+export function getClient(id) {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM clients WHERE id = ?').get(id);
+}
+
+/**
+ * List all API clients
+ * @returns {Array} clients rows
+ */
+export function listClients() {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM clients ORDER BY id ASC').all();
+}
+
+/**
+ * List the secrets of a client, newest first
+ * @param {string} clientId - Client ID
+ * @returns {Array} client_secrets rows
+ */
+export function listClientSecrets(clientId) {
+  const db = getDatabase();
+  return db
+    .prepare('SELECT * FROM client_secrets WHERE client_id = ? ORDER BY id DESC')
+    .all(clientId);
+}
+
+/**
+ * Add a secret to a client, optionally retiring its current secrets
+ * Existing secrets stay valid for `retireExistingAfterSeconds` so the client
+ * can switch over without a flag day.
+ * @param {string} clientId - Client ID
+ * @param {Object} options - Rotation options
+ * @param {number} [options.validFrom] - When the new secret becomes valid (ms)
+ * @param {number} [options.retireExistingAfterSeconds] - Overlap before older secrets expire
+ * @param {string} [options.secret] - Secret value (generated when omitted)
+ * @returns {{row: Object, secret: string}} New secret row and its value
+ */
+export function addClientSecret(
+  clientId,
+  { validFrom, retireExistingAfterSeconds, secret = generateSecret() } = {}
+) {
+  const db = getDatabase();
+  const now = Date.now();
+
+  return db.transaction(() => {
+    if (retireExistingAfterSeconds !== undefined) {
+      const retireAt = now + retireExistingAfterSeconds * 1000;
+
+      db.prepare(
+        `UPDATE client_secrets SET valid_until = ?
+         WHERE client_id = ? AND revoked_at IS NULL AND (valid_until IS NULL OR valid_until > ?)`
+      ).run(retireAt, clientId, retireAt);
+    }
+
+    const result = db.prepare(
+      `INSERT INTO client_secrets (client_id, secret, valid_from, created_at)
+       VALUES (?, ?, ?, ?)`
+    ).run(clientId, secret, validFrom ?? now, now);
+
+    return {
+      row: db.prepare('SELECT * FROM client_secrets WHERE id = ?').get(result.lastInsertRowid),
+      secret,
+    };
+  })();
+}
+
+/**
+ * Revoke a client secret immediately
+ * @param {string} clientId - Client ID
+ * @param {number} secretId - Secret ID
+ * @returns {boolean} True if an unrevoked secret was revoked
+ */
+export function revokeClientSecret(clientId, secretId) {
+  const db = getDatabase();
+
+  const result = db.prepare(
+    `UPDATE client_secrets SET revoked_at = ?
+     WHERE id = ? AND client_id = ? AND revoked_at IS NULL`
+  ).run(Date.now(), secretId, clientId);
+
+  return result.changes > 0;
+}
+
+/**
+ * Create an API client with its first secret
+ * @param {Object} fields - Client fields
+ * @param {string} fields.id - Client ID (sent as X-Client-Id)
+ * @param {string} fields.name - Display name
+ * @param {boolean} [fields.admin] - Whether the client may call /admin routes
+ * @param {string} [fields.secret] - First secret value (generated when omitted)
+ * @returns {{client: Object, secretRow: Object, secret: string}} Created client and secret
+ */
+export function createClient({ id, name, admin = false, secret }) {
+  const db = getDatabase();
+  const now = Date.now();
+
+  return db.transaction(() => {
+    db.prepare(
+      `INSERT INTO clients (id, name, admin, enabled, created_at, updated_at)
+       VALUES (?, ?, ?, 1, ?, ?)`
+    ).run(id, name, admin ? 1 : 0, now, now);
+
+    const { row, secret: value } = addClientSecret(id, { secret });
+    return { client: getClient(id), secretRow: row, secret: value };
+  })();
+}
+
+/**
+ * Create the bootstrap admin client (ADMIN_CLIENT_ID/ADMIN_CLIENT_SECRET) if it does not exist
+ * The shared seed.json salt is not an admin, so this is how the first admin client is issued.
+ * @returns {Object|null} Created clients row, or null if not configured or already present
+ */
+export function ensureBootstrapAdminClient() {
+  const { id, secret } = config.auth.bootstrapAdmin;
+
+  if (!id || !secret || getClient(id)) {
+    return null;
+  }
+
+  return createClient({ id, name: 'Bootstrap admin', admin: true, secret }).client;
+}
+
+/**
+ * Update an API client
+ * @param {string} id - Client ID
+ * @param {Object} fields - Fields to change ({ name, admin, enabled })
+ * @returns {Object} Updated clients row
+ */
+export function updateClient(id, { name, admin, enabled }) {
+  const db = getDatabase();
+
+  db.prepare(
+    `UPDATE clients
+     SET name = COALESCE(?, name), admin = COALESCE(?, admin),
+         enabled = COALESCE(?, enabled), updated_at = ?
+     WHERE id = ?`
+  ).run(
+    name ?? null,
+    admin === undefined ? null : Number(admin),
+    enabled === undefined ? null : Number(enabled),
+    Date.now(),
+    id
+  );
+
+  return getClient(id);
+}
+
+/**
+ * Verify a request signature against a client's active secrets
+ * @param {Object} client - clients row
+ * @param {string} signature - Provided signature
+ * @param {string} message - Canonical string of the request
+ * @returns {number|null} ID of the matching secret, or null if none matched
+ */
+export function verifyClientSignature(client, signature, message) {
+  const db = getDatabase();
+  const now = Date.now();
+
+  const secret = listClientSecrets(client.id)
+    .filter((row) => isSecretActive(row, now))
+    .find((row) => verifySignature(signature, message, row.secret));
+
+  if (!secret) {
+    return null;
+  }
+
+  db.prepare('UPDATE client_secrets SET last_used_at = ? WHERE id = ?').run(now, secret.id);
+  return secret.id;
+}
+
+/**
+ * Convert a client secret row into its API representation (without the secret value)
+ * @param {Object} row - client_secrets row
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Secret metadata in camelCase form
+ */
+export function serializeClientSecret(row, now = Date.now()) {
+  return {
+    id: row.id,
+    active: isSecretActive(row, now),
+    validFrom: row.valid_from,
+    validUntil: row.valid_until,
+    revokedAt: row.revoked_at,
+    lastUsedAt: row.last_used_at,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Convert a client row into its API representation
+ * @param {Object} row - clients row
+ * @returns {Object} Client in camelCase form, with secret metadata
+ */
+export function serializeClient(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    admin: row.admin === 1,
+    enabled: row.enabled === 1,
+    secrets: listClientSecrets(row.id).map((secret) => serializeClientSecret(secret)),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
@@ -0,0 +1,254 @@
+import { ethers } from 'ethers';
+import { getDatabase } from '../database.js';
+import { config } from '../config.js';
+import { metrics } from '../metrics.js';
+import {
+  getUserCompliance,
+  updateUserCompliance,
+  updateUserRisk,
+  recordAttestation,
+  getComplianceOfficerAddress,
+  ComplianceOfficerUnavailableError,
+} from '../blockchain.js';
+
+/**
+ * Reasons a user fails the pre-flight compliance rules (returned as `code`)
+ */
+export const COMPLIANCE_REASONS = {
+  NOT_REGISTERED: 'USER_NOT_REGISTERED',
+  NOT_VERIFIED: 'USER_NOT_VERIFIED',
+  RISK_SCORE_TOO_HIGH: 'RISK_SCORE_TOO_HIGH',
+  ATTESTATION_MISSING: 'ATTESTATION_MISSING',
+  ATTESTATION_TOO_RECENT: 'ATTESTATION_TOO_RECENT',
+};
+
+/**
+ * Compliance changes made through the admin API (recorded as the audit `action`)
+ */
+export const COMPLIANCE_ACTIONS = {
+  REGISTER: 'register',
+  UPDATE_RISK: 'update_risk',
+  RECORD_ATTESTATION: 'record_attestation',
+};
+
+// On-chain call of each action, receiving (userAddress, changes)
+const actionHandlers = {
+  [COMPLIANCE_ACTIONS.REGISTER]: (userAddress, changes) => updateUserCompliance(userAddress, changes),
+  [COMPLIANCE_ACTIONS.UPDATE_RISK]: (userAddress, { riskScore }) => updateUserRisk(userAddress, riskScore),
+  [COMPLIANCE_ACTIONS.RECORD_ATTESTATION]: (userAddress, { attestationHash, attestationType }) =>
+    recordAttestation(userAddress, attestationHash, attestationType),
+};
+
+// Evaluations by lowercased user address: { result, expiresAt }
+const cache = new Map();
+
+/**
+ * Apply the compliance rules to a UserRegistry record
+ * @param {Object} user - Result of getUserCompliance()
+ * @param {Object} rules - { maxRiskScore, requireAttestation, minAttestationAge (seconds) }
+ * @param {number} now - Current time in milliseconds
+ * @returns {{compliant: boolean, reason: string|null, riskScore: number}} Evaluation, with the
+ *   first COMPLIANCE_REASONS code that failed
+ */
+export function evaluateCompliance(user, rules = config.compliance, now = Date.now()) {
+  const result = (reason) => ({ compliant: reason === null, reason, riskScore: user.riskScore });
+
+  if (user.lastUpdated === 0) {
+    return result(COMPLIANCE_REASONS.NOT_REGISTERED);
+  }
+
+  if (!user.isVerified) {
+    return result(COMPLIANCE_REASONS.NOT_VERIFIED);
+  }
+
+  if (user.riskScore > rules.maxRiskScore) {
+    return result(COMPLIANCE_REASONS.RISK_SCORE_TOO_HIGH);
+  }
+
+  if (rules.requireAttestation) {
+    if (user.attestationHash === ethers.ZeroHash) {
+      return result(COMPLIANCE_REASONS.ATTESTATION_MISSING);
+    }
+
+    // The attestation is dated by the record's last update
+    if (now / 1000 - user.lastUpdated < rules.minAttestationAge) {
+      return result(COMPLIANCE_REASONS.ATTESTATION_TOO_RECENT);
+    }
+  }
+
+  return result(null);
+}
+
+/**
+ * Evaluate a user against the compliance rules before any funds are escrowed
+ * Results are cached per user for COMPLIANCE_CACHE_TTL_SECONDS.
+ * @param {string} userAddress - User's Ethereum address
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} Evaluation (see evaluateCompliance)
+ * @throws {Error} If the UserRegistry cannot be read
+ */
+export async function checkUserCompliance(userAddress, now = Date.now()) {
+  const key = userAddress.toLowerCase();
+  const cached = cache.get(key);
+
+  if (cached && cached.expiresAt > now) {
+    metrics.compliancePreflight.inc({ result: cached.result.reason || 'passed', cached: 'true' });
+    return cached.result;
+  }
+
+  let result;
+  try {
+    result = evaluateCompliance(await getUserCompliance(userAddress), config.compliance, now);
+  } catch (error) {
+    metrics.compliancePreflight.inc({ result: 'error', cached: 'false' });
+    throw error;
+  }
+
+  pruneComplianceCache(now);
+  cache.set(key, { result, expiresAt: now + config.compliance.cacheTtlSeconds * 1000 });
+
+  metrics.compliancePreflight.inc({ result: result.reason || 'passed', cached: 'false' });
+  return result;
+}
+
+/**
+ * Drop expired evaluations from the cache
+ * @param {number} now - Current time in milliseconds
+ */
+function pruneComplianceCache(now) {
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt <= now) {
+      cache.delete(key);
+    }
+  }
+}
+
+/**
+ * Forget cached evaluations (e.g. after a user's registry record changed)
+ * @param {string} [userAddress] - User to forget (all users if omitted)
+ */
+export function clearComplianceCache(userAddress) {
+  if (userAddress) {
+    cache.delete(userAddress.toLowerCase());
+  } else {
+    cache.clear();
+  }
+}
+
+/**
+ * Write a compliance change to the audit log
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.userAddress - User whose record was changed
+ * @param {string} entry.action - COMPLIANCE_ACTIONS value
+ * @param {Object} entry.changes - Requested values
+ * @param {Object|null} entry.previous - Registry record before the change, if it could be read
+ * @param {string} entry.clientId - API client that made the change
+ * @param {string|null} entry.officerAddress - Compliance officer that signed it
+ * @param {string} entry.status - 'success' or 'failed'
+ * @param {string} [entry.txHash] - Transaction hash
+ * @param {string} [entry.error] - Failure message
+ * @returns {Object} compliance_audit row
+ */
+export function recordComplianceAudit(entry) {
+  const db = getDatabase();
+
+  const row = {
+    user_address: entry.userAddress,
+    action: entry.action,
+    changes: JSON.stringify(entry.changes),
+    previous: entry.previous ? JSON.stringify(entry.previous) : null,
+    client_id: entry.clientId,
+    officer_address: entry.officerAddress,
+    status: entry.status,
+    tx_hash: entry.txHash ?? null,
+    error: entry.error ?? null,
+    created_at: Date.now(),
+  };
+
+  const result = db.prepare(
+    `INSERT INTO compliance_audit
+     (user_address, action, changes, previous, client_id, officer_address, status, tx_hash, error, created_at)
+     VALUES (@user_address, @action, @changes, @previous, @client_id, @officer_address, @status, @tx_hash,
+      @error, @created_at)`
+  ).run(row);
+
+  return { id: Number(result.lastInsertRowid), ...row };
+}
+
+/**
+ * List the audit log of a user, newest first
+ * @param {string} userAddress - User's Ethereum address
+ * @param {number} limit - Maximum number of entries
+ * @returns {Array} compliance_audit rows
+ */
+export function listComplianceAudit(userAddress, limit = 50) {
+  const db = getDatabase();
+
+  return db
+    .prepare(
+      `SELECT * FROM compliance_audit
+       WHERE user_address = ? COLLATE NOCASE
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`
+    )
+    .all(userAddress, limit);
+}
+
+/**
+ * Apply a compliance change on-chain with the compliance officer key and audit it
+ * Failed attempts are audited too. The user's cached pre-flight evaluation is dropped.
+ * @param {Object} change - Change to apply
+ * @param {string} change.userAddress - User's Ethereum address
+ * @param {string} change.action - COMPLIANCE_ACTIONS value
+ * @param {Object} change.changes - Arguments of the action
+ * @param {string} change.clientId - API client making the change
+ * @returns {Promise<Object>} compliance_audit row of the successful change
+ * @throws {ComplianceOfficerUnavailableError} If compliance writes are not configured (not audited)
+ * @throws {Error} If the transaction fails (audited as failed)
+ */
+export async function applyComplianceChange({ userAddress, action, changes, clientId }) {
+  let previous = null;
+  try {
+    previous = await getUserCompliance(userAddress);
+  } catch (error) {
+    console.warn(`Could not read compliance record of ${userAddress} before ${action}:`, error.message);
+  }
+
+  const audit = { userAddress, action, changes, previous, clientId, officerAddress: getComplianceOfficerAddress() };
+
+  let result;
+  try {
+    result = await actionHandlers[action](userAddress, changes);
+  } catch (error) {
+    if (!(error instanceof ComplianceOfficerUnavailableError)) {
+      recordComplianceAudit({ ...audit, status: 'failed', error: error.shortMessage || error.message });
+    }
+    throw error;
+  } finally {
+    clearComplianceCache(userAddress);
+  }
+
+  console.log(`Compliance ${action} for ${userAddress} by ${clientId}: ${result.txHash}`);
+  return recordComplianceAudit({ ...audit, status: 'success', txHash: result.txHash });
+}
+
+/**
+ * Convert a compliance_audit row into its API representation
+ * @param {Object} row - compliance_audit row
+ * @returns {Object} Audit entry in camelCase form
+ */
+export function serializeComplianceAudit(row) {
+  return {
+    id: row.id,
+    userAddress: row.user_address,
+    action: row.action,
+    changes: JSON.parse(row.changes),
+    previous: row.previous ? JSON.parse(row.previous) : null,
+    clientId: row.client_id,
+    officerAddress: row.officer_address,
+    status: row.status,
+    txHash: row.tx_hash,
+    error: row.error,
+    createdAt: row.created_at,
+  };
+}
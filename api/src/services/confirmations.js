@@ -0,0 +1,124 @@
+import { getDatabase } from '../database.js';
+import { config } from '../config.js';
+import {
+  getBlockNumber,
+  getTransactionReceipt,
+  getIntent,
+  formatIntent,
+  findMintExecution,
+} from '../blockchain.js';
+import { addToRetryQueue } from './retry.js';
+import { INTENT_STATUS, updateIntentStatus } from './intents.js';
+
+/**
+ * Number of confirmations a transaction mined in a block has at a given head
+ * @param {number} blockNumber - Block the transaction was mined in
+ * @param {number} head - Current chain head
+ * @returns {number} Confirmations (1 when mined in the head block)
+ */
+export function confirmationCount(blockNumber, head) {
+  return Math.max(0, head - blockNumber + 1);
+}
+
+/**
+ * Record a mined execution in the ledger
+ * Reported as executed straight away only if one confirmation is enough;
+ * otherwise it waits in pending_confirmation for confirmPendingExecutions().
+ * @param {string} intentId - On-chain intent ID
+ * @param {Object} result - Result of executeMint() ({ txHash, blockNumber })
+ * @returns {string} Ledger status the intent was moved to
+ */
+export function recordExecution(intentId, result) {
+  const status = config.chain.confirmations <= 1
+    ? INTENT_STATUS.EXECUTED
+    : INTENT_STATUS.PENDING_CONFIRMATION;
+
+  updateIntentStatus(intentId, status, { txHash: result.txHash });
+  return status;
+}
+
+/**
+ * Record an execution mined by an earlier attempt (another callback delivery or retry)
+ * The ledger still holds the submission transaction, so the execution's hash is
+ * taken from its MintExecuted event before confirmations are tracked against it.
+ * @param {string} intentId - On-chain intent ID
+ * @param {string} [countryCode] - Country of the intent
+ * @returns {Promise<string>} Ledger status the intent was moved to
+ * @throws {Error} If the MintExecuted event cannot be found (yet)
+ */
+export async function recordPriorExecution(intentId, countryCode) {
+  const execution = await findMintExecution(intentId, countryCode);
+
+  if (!execution) {
+    throw new Error(`MintExecuted event of intent ${intentId} not found`);
+  }
+
+  console.log(`Intent ${intentId} already executed on-chain in ${execution.txHash}`);
+  return recordExecution(intentId, execution);
+}
+
+/**
+ * Re-queue execution of an intent whose mint transaction left the canonical chain
+ * @param {Object} record - Intent ledger row
+ */
+function requeueExecution(record) {
+  updateIntentStatus(record.intent_id, INTENT_STATUS.SUBMITTED, {
+    lastError: `Mint transaction ${record.tx_hash} dropped from the canonical chain`,
+  });
+
+  // Skipped if an execution is already waiting in the queue
+  addToRetryQueue(record.intent_id, 'execute', {
+    intentId: record.intent_id,
+    txRef: record.tx_ref,
+    userAddress: record.user_address,
+    amount: record.amount,
+  });
+
+  console.warn(`Mint transaction ${record.tx_hash} for intent ${record.intent_id} was reorged out, re-queued`);
+}
+
+/**
+ * Promote executions that reached the confirmation depth, and re-queue those
+ * whose transaction is no longer on the canonical chain (called periodically)
+ * @returns {Promise<number>} Number of intents marked executed
+ */
+export async function confirmPendingExecutions() {
+  const db = getDatabase();
+
+  const pending = db
+    .prepare('SELECT * FROM intents WHERE status = ? ORDER BY updated_at ASC')
+    .all(INTENT_STATUS.PENDING_CONFIRMATION);
+
+  if (pending.length === 0) {
+    return 0;
+  }
+
+  const head = await getBlockNumber();
+  let confirmed = 0;
+
+  for (const record of pending) {
+    const receipt = await getTransactionReceipt(record.tx_hash);
+
+    if (!receipt) {
+      // Executed by a transaction we do not know about; the indexer picks it up
+      const onChain = formatIntent(await getIntent(record.intent_id, record.country_code));
+      if (onChain && onChain.status === 'Executed') {
+        continue;
+      }
+
+      requeueExecution(record);
+      continue;
+    }
+
+    if (confirmationCount(receipt.blockNumber, head) >= config.chain.confirmations) {
+      updateIntentStatus(record.intent_id, INTENT_STATUS.EXECUTED, { txHash: receipt.hash });
+      confirmed++;
+    }
+  }
+
+  if (confirmed > 0) {
+    console.log(`Confirmed ${confirmed} mint executions`);
+  }
+
+  return confirmed;
+}
@@ -0,0 +1,236 @@
+import { timingSafeEqual } from 'crypto';
+import { config } from '../config.js';
+
+/**
+ * Daraja STK Push result codes seen in callbacks (anything but SUCCESS is a failed payment)
+ */
+export const DARAJA_RESULT_CODES = {
+  SUCCESS: 0,
+  INSUFFICIENT_BALANCE: 1,
+  CANCELLED_BY_USER: 1032,
+  USER_UNREACHABLE: 1037,
+  INVALID_PIN: 2001,
+};
+
+// M-PESA (Daraja) payments are in Kenyan shillings
+export const DARAJA_CURRENCY = 'KES';
+
+/**
+ * Convert a Daraja CallbackMetadata item list into a name/value map
+ * Items without a Value (e.g. Balance) are skipped.
+ * @param {Array} items - CallbackMetadata.Item list
+ * @returns {Object} Values keyed by item Name
+ */
+function metadataValues(items) {
+  const values = {};
+
+  for (const item of items) {
+    if (item && typeof item.Name === 'string' && item.Value !== undefined && item.Value !== null) {
+      values[item.Name] = String(item.Value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a Daraja STK Push callback (`{ Body: { stkCallback: { ... } } }`)
+ * @param {Object} body - Parsed request body
+ * @returns {Object|null} Normalized callback, or null if the body is not an STK callback
+ */
+export function parseStkCallback(body) {
+  const callback = body?.Body?.stkCallback;
+
+  if (!callback || typeof callback !== 'object') {
+    return null;
+  }
+
+  const { MerchantRequestID, CheckoutRequestID, ResultCode, ResultDesc, CallbackMetadata } = callback;
+  const resultCode = Number(ResultCode);
+
+  if (typeof CheckoutRequestID !== 'string' || !CheckoutRequestID || !Number.isInteger(resultCode)) {
+    return null;
+  }
+
+  const success = resultCode === DARAJA_RESULT_CODES.SUCCESS;
+  const items = CallbackMetadata?.Item;
+
+  // Successful payments must say what was paid and carry the receipt
+  if (success && !Array.isArray(items)) {
+    return null;
+  }
+
+  const metadata = success ? metadataValues(items) : {};
+
+  if (success && !metadata.MpesaReceiptNumber) {
+    return null;
+  }
+
+  return {
+    merchantRequestId: MerchantRequestID ?? null,
+    checkoutRequestId: CheckoutRequestID,
+    resultCode,
+    resultDesc: typeof ResultDesc === 'string' ? ResultDesc : '',
+    success,
+    amount: metadata.Amount ?? null,
+    receipt: metadata.MpesaReceiptNumber ?? null,
+    phoneNumber: metadata.PhoneNumber ?? null,
+    transactionDate: metadata.TransactionDate ?? null,
+  };
+}
+
+/**
+ * Describe the outcome of a failed STK Push for intent errors and refund reasons
+ * @param {Object} callback - Normalized callback from parseStkCallback
+ * @returns {string} Result code and description, e.g. "ResultCode 1032: Request cancelled by user"
+ */
+export function describeResult(callback) {
+  const detail = callback.resultDesc ? `: ${callback.resultDesc}` : '';
+  return `ResultCode ${callback.resultCode}${detail}`;
+}
+
+/**
+ * Check the token Daraja sends back in the callback URL
+ * Daraja does not sign callbacks, so the callback URL carries a secret token.
+ * @param {string} token - `token` query parameter
+ * @returns {boolean} True if a token is configured and matches
+ */
+export function isValidCallbackToken(token) {
+  const expected = config.daraja.callbackToken;
+
+  if (!expected || typeof token !== 'string') {
+    return false;
+  }
+
+  const tokenBuffer = Buffer.from(token);
+  const expectedBuffer = Buffer.from(expected);
+
+  return tokenBuffer.length === expectedBuffer.length && timingSafeEqual(tokenBuffer, expectedBuffer);
+}
+
+// Cached OAuth access token ({ value, expiresAt })
+let accessToken = null;
+
+// Daraja limits AccountReference to 12 and TransactionDesc to 13 characters
+const ACCOUNT_REFERENCE_LENGTH = 12;
+const TRANSACTION_DESC = 'FiatRails';
+
+/**
+ * Format a time as a Daraja timestamp (YYYYMMDDHHmmss, East Africa Time)
+ * @param {number} now - Time in milliseconds
+ * @returns {string} Daraja timestamp
+ */
+export function darajaTimestamp(now = Date.now()) {
+  // EAT is UTC+3 with no daylight saving
+  return new Date(now + 3 * 3600 * 1000).toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+}
+
+/**
+ * Compute the STK Push password: base64(Shortcode + Passkey + Timestamp)
+ * @param {string} shortcode - Business shortcode
+ * @param {string} passkey - Lipa Na M-PESA passkey
+ * @param {string} timestamp - Daraja timestamp
+ * @returns {string} Password
+ */
+export function stkPassword(shortcode, passkey, timestamp) {
+  return Buffer.from(`${shortcode}${passkey}${timestamp}`).toString('base64');
+}
+
+/**
+ * Build the body of an STK Push (processrequest) call
+ * @param {Object} payment - Payment to request
+ * @param {string} payment.txRef - Off-chain transaction reference (AccountReference)
+ * @param {string} payment.phoneNumber - Payer MSISDN (2547XXXXXXXX)
+ * @param {string} payment.amount - Amount in whole KES
+ * @param {number} now - Time in milliseconds
+ * @returns {Object} Request body
+ */
+export function buildStkPushRequest({ txRef, phoneNumber, amount }, now = Date.now()) {
+  const { shortcode, passkey, callbackUrl } = config.daraja;
+  const timestamp = darajaTimestamp(now);
+
+  return {
+    BusinessShortCode: shortcode,
+    Password: stkPassword(shortcode, passkey, timestamp),
+    Timestamp: timestamp,
+    TransactionType: 'CustomerPayBillOnline',
+    Amount: Number(amount),
+    PartyA: phoneNumber,
+    PartyB: shortcode,
+    PhoneNumber: phoneNumber,
+    CallBackURL: callbackUrl,
+    AccountReference: txRef.slice(0, ACCOUNT_REFERENCE_LENGTH),
+    TransactionDesc: TRANSACTION_DESC,
+  };
+}
+
+/**
+ * Get a Daraja OAuth access token, reusing it until shortly before it expires
+ * @returns {Promise<string>} Access token
+ */
+async function getAccessToken() {
+  if (accessToken && accessToken.expiresAt > Date.now()) {
+    return accessToken.value;
+  }
+
+  const { baseUrl, consumerKey, consumerSecret, timeoutMs } = config.daraja;
+  const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+
+  const response = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${credentials}` },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Daraja OAuth failed: HTTP ${response.status}`);
+  }
+
+  const { access_token: value, expires_in: expiresIn } = await response.json();
+
+  // Refresh a minute early so a token never expires mid-request
+  accessToken = { value, expiresAt: Date.now() + (Number(expiresIn) - 60) * 1000 };
+  return value;
+}
+
+/**
+ * Ask Daraja to prompt the payer with an STK Push
+ * @param {Object} payment - { txRef, phoneNumber, amount } (amount in whole KES)
+ * @returns {Promise<Object>} { checkoutRequestId, merchantRequestId, customerMessage }
+ */
+export async function initiateStkPush(payment) {
+  const token = await getAccessToken();
+
+  const response = await fetch(`${config.daraja.baseUrl}/mpesa/stkpush/v1/processrequest`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(buildStkPushRequest(payment)),
+    signal: AbortSignal.timeout(config.daraja.timeoutMs),
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (response.status === 401) {
+    accessToken = null;
+  }
+
+  if (!response.ok || String(result.ResponseCode) !== '0') {
+    const reason = result.errorMessage || result.ResponseDescription || `HTTP ${response.status}`;
+    throw new Error(`STK Push rejected: ${reason}`);
+  }
+
+  return {
+    checkoutRequestId: result.CheckoutRequestID,
+    merchantRequestId: result.MerchantRequestID,
+    customerMessage: result.CustomerMessage,
+  };
+}
+
+/**
+ * Daraja STK Push payment provider
+ */
+export const darajaProvider = {
+  initiatePayment: initiateStkPush,
+};
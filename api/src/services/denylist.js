@@ -0,0 +1,196 @@
+import { readFileSync, statSync } from 'fs';
+import { extname } from 'path';
+import { config } from '../config.js';
+
+/**
+ * Parties a denylist entry can name
+ */
+export const DENYLIST_TYPES = {
+  ADDRESS: 'address',
+  PHONE: 'phone',
+};
+
+// Last successfully loaded denylist
+let loaded = null;
+
+/**
+ * Normalize a screened value so list entries match however they were written
+ * Addresses compare case-insensitively, phone numbers by their digits
+ * (`+254 708 374149` matches `254708374149`).
+ * @param {string} type - DENYLIST_TYPES value
+ * @param {*} value - Address or phone number
+ * @returns {string} Normalized value
+ */
+export function normalizeListedValue(type, value) {
+  const text = String(value).trim();
+  return type === DENYLIST_TYPES.PHONE ? text.replace(/\D/g, '') : text.toLowerCase();
+}
+
+/**
+ * Split a CSV line into fields, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {string[]} Fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Read CSV rows into objects keyed by the header line
+ * Blank lines and lines starting with `#` are skipped.
+ * @param {string} content - CSV text
+ * @returns {Object[]} Rows, each with its 1-based `line`
+ */
+function parseCsvRows(content) {
+  const lines = content
+    .split(/\r?\n/)
+    .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+    .filter(({ text }) => text && !text.startsWith('#'));
+
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = parseCsvLine(lines[0].text).map((name) => name.toLowerCase());
+
+  return lines.slice(1).map(({ text, line }) => {
+    const fields = parseCsvLine(text);
+    return Object.fromEntries([...header.map((name, i) => [name, fields[i] ?? '']), ['line', line]]);
+  });
+}
+
+/**
+ * Parse a denylist file
+ * JSON files hold an array of entries (or `{ "entries": [...] }`); CSV files have a
+ * header line naming the columns. Each entry needs a `type` (address or phone) and a
+ * `value`; `list`, `reason` and `id` are kept for compliance review.
+ * @param {string} content - File contents
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Object[]} Entries, each with its normalized value
+ * @throws {Error} If the file or an entry is malformed
+ */
+export function parseDenylist(content, format) {
+  let rows;
+
+  if (format === 'json') {
+    const parsed = JSON.parse(content);
+    rows = Array.isArray(parsed) ? parsed : parsed?.entries;
+
+    if (!Array.isArray(rows)) {
+      throw new Error('Denylist JSON must be an array of entries or { "entries": [...] }');
+    }
+  } else if (format === 'csv') {
+    rows = parseCsvRows(content);
+  } else {
+    throw new Error(`Unsupported denylist format: ${format}`);
+  }
+
+  return rows.map((row, index) => {
+    const where = row?.line ? `line ${row.line}` : `entry ${index}`;
+    const type = typeof row?.type === 'string' ? row.type.trim().toLowerCase() : '';
+
+    if (!Object.values(DENYLIST_TYPES).includes(type)) {
+      throw new Error(`Invalid denylist ${where}: type must be one of ${Object.values(DENYLIST_TYPES).join(', ')}`);
+    }
+
+    const value = row.value === undefined || row.value === null ? '' : normalizeListedValue(type, row.value);
+    if (!value) {
+      throw new Error(`Invalid denylist ${where}: missing value`);
+    }
+
+    return {
+      id: row.id ? String(row.id) : null,
+      type,
+      value,
+      list: row.list ? String(row.list) : null,
+      reason: row.reason ? String(row.reason) : null,
+    };
+  });
+}
+
+/**
+ * Get the denylist, reloading it when the file has changed since it was last read
+ * A file that fails to parse keeps the previous list in force; without one, the error is thrown.
+ * @param {string} path - Denylist file (empty lists nothing)
+ * @returns {Map<string, Object>} Entries keyed by `type:value`
+ */
+export function loadDenylist(path = config.screening.denylistPath) {
+  if (!path) {
+    return new Map();
+  }
+
+  try {
+    const { mtimeMs, size } = statSync(path);
+
+    if (loaded && loaded.path === path && loaded.mtimeMs === mtimeMs && loaded.size === size) {
+      return loaded.entries;
+    }
+
+    const format = extname(path).toLowerCase() === '.csv' ? 'csv' : 'json';
+    const entries = new Map();
+    for (const entry of parseDenylist(readFileSync(path, 'utf-8'), format)) {
+      entries.set(`${entry.type}:${entry.value}`, entry);
+    }
+
+    if (loaded) {
+      console.log(`Denylist reloaded from ${path}: ${entries.size} entries`);
+    }
+
+    loaded = { path, mtimeMs, size, entries };
+    return entries;
+  } catch (error) {
+    if (loaded && loaded.path === path) {
+      console.error(`Failed to reload denylist ${path}, keeping the previous list:`, error.message);
+      return loaded.entries;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * File-backed denylist screening (SCREENING_PROVIDER=denylist)
+ * Checks DENYLIST_PATH (CSV or JSON) on every screening, so edits apply without a restart.
+ */
+export const denylistProvider = {
+  async screen(subjects) {
+    const entries = loadDenylist();
+
+    for (const subject of subjects) {
+      const entry = entries.get(`${subject.type}:${normalizeListedValue(subject.type, subject.value)}`);
+
+      if (entry) {
+        return { subject, entry };
+      }
+    }
+
+    return null;
+  },
+};
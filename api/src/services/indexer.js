@@ -0,0 +1,336 @@
+import { getDatabase } from '../database.js';
+import { config } from '../config.js';
+import {
+  getBlockNumber,
+  getBlockHash,
+  getMintEscrowEvents,
+  decodeBytes32,
+} from '../blockchain.js';
+import {
+  INTENT_STATUS,
+  recordIntent,
+  updateIntentStatus,
+  setRefundReason,
+  getIntentRecord,
+  getIntentByTxRef,
+} from './intents.js';
+
+const CHECKPOINT_NAME = 'mintEscrow';
+
+// Number of indexed block hashes kept for fork-point lookup
+const BLOCK_HASH_HISTORY = 256;
+
+let pollTimer = null;
+let running = false;
+
+/**
+ * Convert a decoded MintEscrow event into a chain_events row
+ * @param {Object} event - Event from getMintEscrowEvents()
+ * @returns {Object} Row values
+ */
+export function toEventRow(event) {
+  const { name, args } = event;
+
+  return {
+    block_number: event.blockNumber,
+    log_index: event.logIndex,
+    block_hash: event.blockHash,
+    tx_hash: event.txHash,
+    event_name: name,
+    intent_id: args.intentId,
+    user_address: args.user,
+    amount: args.amount.toString(),
+    country_code: name === 'MintRefunded' ? null : decodeBytes32(args.countryCode),
+    tx_ref: name === 'MintRefunded' ? null : decodeBytes32(args.txRef),
+    reason: name === 'MintRefunded' ? args.reason : null,
+  };
+}
+
+/**
+ * Compute the next block range to index
+ * @param {number} checkpoint - Last indexed block (-1 if none)
+ * @param {number} head - Current chain head
+ * @param {number} batchSize - Maximum blocks per batch
+ * @returns {{fromBlock: number, toBlock: number}|null} Range, or null if caught up
+ */
+export function nextRange(checkpoint, head, batchSize) {
+  const fromBlock = checkpoint + 1;
+  if (fromBlock > head) {
+    return null;
+  }
+  return { fromBlock, toBlock: Math.min(head, fromBlock + batchSize - 1) };
+}
+
+/**
+ * Get the indexer checkpoint
+ * @returns {{block_number: number, block_hash: string}|undefined} Checkpoint row
+ */
+export function getCheckpoint() {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM indexer_checkpoint WHERE name = ?').get(CHECKPOINT_NAME);
+}
+
+/**
+ * List indexed events for an intent in chain order
+ * @param {string} intentId - On-chain intent ID
+ * @returns {Array} chain_events rows
+ */
+export function listIntentEvents(intentId) {
+  const db = getDatabase();
+  return db
+    .prepare(
+      `SELECT * FROM chain_events
+       WHERE intent_id = ?
+       ORDER BY block_number ASC, log_index ASC`
+    )
+    .all(intentId);
+}
+
+/**
+ * Convert a chain_events row into its API representation
+ * @param {Object} row - chain_events row
+ * @returns {Object} Event in camelCase form
+ */
+export function serializeChainEvent(row) {
+  return {
+    event: row.event_name,
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    blockHash: row.block_hash,
+    txHash: row.tx_hash,
+    amount: row.amount,
+    reason: row.reason,
+    final: row.applied === 1,
+  };
+}
+
+/**
+ * Roll back to the last indexed block still on the canonical chain
+ * Only the checkpoint hash needs checking: block hashes commit to their
+ * ancestors, so a match there means nothing below it changed.
+ * @param {Object} checkpoint - Current checkpoint row
+ * @returns {Promise<boolean>} True if a reorg was rolled back
+ */
+async function rollbackReorg(checkpoint) {
+  const canonicalHash = await getBlockHash(checkpoint.block_number);
+  if (canonicalHash === checkpoint.block_hash) {
+    return false;
+  }
+
+  const db = getDatabase();
+  const stored = db
+    .prepare('SELECT * FROM indexer_blocks WHERE block_number < ? ORDER BY block_number DESC')
+    .all(checkpoint.block_number);
+
+  // Walk back to the newest stored block the chain still agrees with
+  let forkPoint = null;
+  for (const block of stored) {
+    if ((await getBlockHash(block.block_number)) === block.block_hash) {
+      forkPoint = block;
+      break;
+    }
+  }
+
+  const rollbackTo = forkPoint ? forkPoint.block_number : config.indexer.startBlock - 1;
+
+  db.transaction(() => {
+    const applied = db
+      .prepare('SELECT COUNT(*) as count FROM chain_events WHERE block_number > ? AND applied = 1')
+      .get(rollbackTo).count;
+
+    if (applied > 0) {
+      console.error(
+        `Reorg deeper than ${config.indexer.confirmations} confirmations removed ${applied} applied events; ` +
+        'intent ledger may need manual reconciliation'
+      );
+    }
+
+    db.prepare('DELETE FROM chain_events WHERE block_number > ?').run(rollbackTo);
+    db.prepare('DELETE FROM indexer_blocks WHERE block_number > ?').run(rollbackTo);
+
+    if (forkPoint) {
+      saveCheckpoint(forkPoint.block_number, forkPoint.block_hash);
+    } else {
+      db.prepare('DELETE FROM indexer_checkpoint WHERE name = ?').run(CHECKPOINT_NAME);
+    }
+  })();
+
+  console.warn(`Reorg detected at block ${checkpoint.block_number}, rolled back to block ${rollbackTo}`);
+  return true;
+}
+
+/**
+ * Save the indexer checkpoint and remember its block hash
+ * @param {number} blockNumber - Last indexed block
+ * @param {string} blockHash - Hash of that block
+ */
+function saveCheckpoint(blockNumber, blockHash) {
+  const db = getDatabase();
+
+  db.prepare(
+    `INSERT INTO indexer_checkpoint (name, block_number, block_hash, updated_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(name) DO UPDATE SET
+       block_number = excluded.block_number,
+       block_hash = excluded.block_hash,
+       updated_at = excluded.updated_at`
+  ).run(CHECKPOINT_NAME, blockNumber, blockHash, Date.now());
+
+  db.prepare('INSERT OR REPLACE INTO indexer_blocks (block_number, block_hash) VALUES (?, ?)')
+    .run(blockNumber, blockHash);
+
+  db.prepare('DELETE FROM indexer_blocks WHERE block_number <= ?')
+    .run(blockNumber - BLOCK_HASH_HISTORY);
+}
+
+/**
+ * Apply a final event to the intent ledger
+ * Picks up intents and refunds that happened outside the API.
+ * @param {Object} row - chain_events row
+ */
+function applyEvent(row) {
+  const { intent_id: intentId, tx_hash: txHash } = row;
+
+  if (row.event_name === 'MintIntentSubmitted') {
+    if (getIntentRecord(intentId)) return;
+
+    const byTxRef = getIntentByTxRef(row.tx_ref);
+    if (byTxRef && !byTxRef.intent_id) {
+      // Submission landed but the API never recorded its intentId
+      updateIntentStatus(row.tx_ref, INTENT_STATUS.SUBMITTED, { intentId, txHash });
+    } else if (byTxRef) {
+      console.warn(`Intent ${intentId} reuses txRef ${row.tx_ref} of ${byTxRef.intent_id}, not recorded`);
+    } else {
+      recordIntent({
+        txRef: row.tx_ref,
+        userAddress: row.user_address,
+        amount: row.amount,
+        countryCode: row.country_code,
+        status: INTENT_STATUS.SUBMITTED,
+        intentId,
+        txHash,
+      });
+    }
+  } else if (row.event_name === 'MintExecuted') {
+    updateIntentStatus(intentId, INTENT_STATUS.EXECUTED, { txHash });
+  } else if (row.event_name === 'MintRefunded') {
+    setRefundReason(intentId, row.reason);
+    updateIntentStatus(intentId, INTENT_STATUS.REFUNDED, { txHash });
+  }
+}
+
+/**
+ * Apply events that are now deeper than the confirmation threshold
+ * @param {number} head - Current chain head
+ * @returns {number} Number of events applied
+ */
+function applyFinalEvents(head) {
+  const db = getDatabase();
+  const finalBlock = head - config.indexer.confirmations;
+
+  const rows = db
+    .prepare(
+      `SELECT * FROM chain_events
+       WHERE applied = 0 AND block_number <= ?
+       ORDER BY block_number ASC, log_index ASC`
+    )
+    .all(finalBlock);
+
+  const markApplied = db.prepare(
+    'UPDATE chain_events SET applied = 1 WHERE block_number = ? AND log_index = ?'
+  );
+
+  db.transaction(() => {
+    for (const row of rows) {
+      applyEvent(row);
+      markApplied.run(row.block_number, row.log_index);
+    }
+  })();
+
+  return rows.length;
+}
+
+/**
+ * Index the next batch of MintEscrow events
+ * @returns {Promise<boolean>} True if more blocks remain to be indexed
+ */
+export async function indexOnce() {
+  const db = getDatabase();
+  let checkpoint = getCheckpoint();
+
+  if (checkpoint && (await rollbackReorg(checkpoint))) {
+    checkpoint = getCheckpoint();
+  }
+
+  const head = await getBlockNumber();
+  const lastIndexed = checkpoint ? checkpoint.block_number : config.indexer.startBlock - 1;
+  const range = nextRange(lastIndexed, head, config.indexer.batchSize);
+
+  if (range) {
+    const events = await getMintEscrowEvents(range.fromBlock, range.toBlock);
+    const toBlockHash = await getBlockHash(range.toBlock);
+
+    const insertEvent = db.prepare(
+      `INSERT OR IGNORE INTO chain_events
+       (block_number, log_index, block_hash, tx_hash, event_name, intent_id, user_address,
+        amount, country_code, tx_ref, reason, indexed_at)
+       VALUES (@block_number, @log_index, @block_hash, @tx_hash, @event_name, @intent_id,
+        @user_address, @amount, @country_code, @tx_ref, @reason, @indexed_at)`
+    );
+
+    db.transaction(() => {
+      const now = Date.now();
+      for (const event of events) {
+        insertEvent.run({ ...toEventRow(event), indexed_at: now });
+      }
+      saveCheckpoint(range.toBlock, toBlockHash);
+    })();
+
+    if (events.length > 0) {
+      console.log(`Indexed ${events.length} MintEscrow events in blocks ${range.fromBlock}-${range.toBlock}`);
+    }
+  }
+
+  applyFinalEvents(head);
+
+  return Boolean(range) && range.toBlock < head;
+}
+
+/**
+ * Start polling MintEscrow events in the background
+ * Polls back-to-back while catching up, then every pollIntervalMs.
+ */
+export function startIndexer() {
+  if (!config.indexer.enabled || running) {
+    return;
+  }
+
+  running = true;
+
+  const poll = async () => {
+    let behind = false;
+    try {
+      behind = await indexOnce();
+    } catch (error) {
+      console.error('Error indexing MintEscrow events:', error.message);
+    }
+
+    if (running) {
+      pollTimer = setTimeout(poll, behind ? 0 : config.indexer.pollIntervalMs);
+    }
+  };
+
+  poll();
+  console.log('MintEscrow indexer started from block', getCheckpoint()?.block_number ?? config.indexer.startBlock);
+}
+
+/**
+ * Stop the background indexer
+ */
+export function stopIndexer() {
+  running = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+}
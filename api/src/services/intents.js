@@ -0,0 +1,397 @@
+import { getDatabase } from '../database.js';
+
+/**
+ * Lifecycle states of a locally tracked mint intent
+ */
+export const INTENT_STATUS = {
+  SUBMITTING: 'submitting',
+  SUBMITTED: 'submitted',
+  QUEUED: 'queued',
+  PENDING_CONFIRMATION: 'pending_confirmation',
+  EXECUTED: 'executed',
+  REFUNDING: 'refunding',
+  REFUNDED: 'refunded',
+  REJECTED: 'rejected',
+  HELD: 'held',
+  DEAD_LETTERED: 'dead_lettered',
+};
+
+// Listeners called with (row, previousStatus) after an intent changes status
+const transitionListeners = [];
+
+/**
+ * Register a listener for intent status transitions
+ * Listeners run synchronously after the ledger is updated and must not throw.
+ * @param {Function} listener - Function receiving (row, previousStatus)
+ */
+export function onIntentTransition(listener) {
+  transitionListeners.push(listener);
+}
+
+/**
+ * Notify listeners of an intent status transition
+ * @param {Object} row - Intent row after the transition
+ * @param {string|null} previousStatus - Status before the transition (null for new intents)
+ */
+function notifyTransition(row, previousStatus) {
+  for (const listener of transitionListeners) {
+    try {
+      listener(row, previousStatus);
+    } catch (error) {
+      console.error(`Intent transition listener failed for ${row.tx_ref}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Record a new mint intent in the local ledger
+ * @param {Object} intent - Intent details
+ * @param {string} intent.txRef - Off-chain transaction reference
+ * @param {string} intent.userAddress - User's Ethereum address
+ * @param {string} intent.amount - Amount in wei
+ * @param {string} intent.countryCode - Country code
+ * @param {string} intent.status - Initial lifecycle status
+ * @param {string} [intent.intentId] - On-chain intent ID (null while queued)
+ * @param {string} [intent.txHash] - Submission transaction hash
+ * @param {string} [intent.lastError] - Last error message
+ * @param {string} [intent.checkoutRequestId] - M-PESA STK Push CheckoutRequestID paying for the intent
+ * @param {string} [intent.quoteId] - FX quote that locked the amount
+ * @param {string} [intent.fiatAmount] - Quoted fiat amount in wei
+ * @param {string} [intent.phoneNumber] - Phone number prompted for the payment
+ * @param {string} [intent.clientId] - API client that created the intent
+ */
+export function recordIntent({
+  txRef,
+  userAddress,
+  amount,
+  countryCode,
+  status,
+  intentId = null,
+  txHash = null,
+  lastError = null,
+  checkoutRequestId = null,
+  quoteId = null,
+  fiatAmount = null,
+  phoneNumber = null,
+  clientId = null,
+}) {
+  const db = getDatabase();
+  const now = Date.now();
+
+  db.prepare(
+    `INSERT INTO intents
+     (tx_ref, intent_id, user_address, amount, country_code, tx_hash, status, last_error,
+      checkout_request_id, quote_id, fiat_amount, phone_number, client_id, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    txRef,
+    intentId,
+    userAddress,
+    amount.toString(),
+    countryCode,
+    txHash,
+    status,
+    lastError,
+    checkoutRequestId,
+    quoteId,
+    fiatAmount,
+    phoneNumber,
+    clientId,
+    now,
+    now
+  );
+
+  notifyTransition(getIntentByTxRef(txRef), null);
+}
+
+/**
+ * Update the lifecycle status of an intent
+ * @param {string} id - On-chain intent ID or txRef (for intents not yet submitted)
+ * @param {string} status - New lifecycle status
+ * @param {Object} fields - Optional fields to update
+ * @param {string} [fields.intentId] - On-chain intent ID, once known
+ * @param {string} [fields.txHash] - Transaction hash of the transition
+ * @param {string} [fields.lastError] - Error message associated with the transition
+ * @returns {boolean} True if an intent was updated
+ */
+export function updateIntentStatus(
+  id,
+  status,
+  { intentId = null, txHash = null, lastError = null } = {}
+) {
+  const db = getDatabase();
+  const findIntent = db.prepare('SELECT * FROM intents WHERE intent_id = ? OR tx_ref = ?');
+  const previous = findIntent.get(id, id);
+
+  if (!previous) {
+    return false;
+  }
+
+  db.prepare(
+    `UPDATE intents
+     SET status = ?, intent_id = COALESCE(?, intent_id), tx_hash = COALESCE(?, tx_hash),
+         last_error = ?, updated_at = ?
+     WHERE tx_ref = ?`
+  ).run(status, intentId, txHash, lastError, Date.now(), previous.tx_ref);
+
+  if (previous.status !== status) {
+    notifyTransition(findIntent.get(id, id), previous.status);
+  }
+
+  return true;
+}
+
+/**
+ * Record the reason a refund was requested for an intent
+ * @param {string} intentId - On-chain intent ID
+ * @param {string} reason - Refund reason
+ */
+export function setRefundReason(intentId, reason) {
+  const db = getDatabase();
+
+  db.prepare(
+    'UPDATE intents SET refund_reason = ?, updated_at = ? WHERE intent_id = ?'
+  ).run(reason, Date.now(), intentId);
+}
+
+/**
+ * Link an intent to the STK Push that prompts its payment
+ * @param {string} txRef - Off-chain transaction reference
+ * @param {string} checkoutRequestId - CheckoutRequestID returned by the payment provider
+ */
+export function setCheckoutRequestId(txRef, checkoutRequestId) {
+  const db = getDatabase();
+
+  db.prepare(
+    'UPDATE intents SET checkout_request_id = ?, updated_at = ? WHERE tx_ref = ?'
+  ).run(checkoutRequestId, Date.now(), txRef);
+}
+
+/**
+ * Record the receipt of a confirmed payment for an intent
+ * @param {string} txRef - Off-chain transaction reference
+ * @param {string} receipt - Provider receipt (MpesaReceiptNumber, bank transfer ID, ...)
+ * @param {string} provider - Payment rail that confirmed the payment
+ */
+export function setPaymentReceipt(txRef, receipt, provider) {
+  const db = getDatabase();
+
+  db.prepare(
+    'UPDATE intents SET mpesa_receipt = ?, payment_provider = ?, updated_at = ? WHERE tx_ref = ?'
+  ).run(receipt, provider, Date.now(), txRef);
+}
+
+/**
+ * Record the amount actually paid for an intent
+ * @param {string} id - On-chain intent ID or txRef
+ * @param {bigint|string} amount - Paid amount in wei
+ */
+export function setPaidAmount(id, amount) {
+  const db = getDatabase();
+
+  db.prepare(
+    'UPDATE intents SET paid_amount = ?, updated_at = ? WHERE intent_id = ? OR tx_ref = ?'
+  ).run(amount.toString(), Date.now(), id, id);
+}
+
+/**
+ * Flag an intent for review, e.g. after a callback that does not match its escrow
+ * @param {string} id - On-chain intent ID or txRef
+ * @param {string} reason - Why the intent was flagged
+ * @returns {boolean} True if an intent was flagged
+ */
+export function flagIntent(id, reason) {
+  const db = getDatabase();
+  const now = Date.now();
+
+  const result = db.prepare(
+    `UPDATE intents SET flag_reason = ?, flagged_at = ?, updated_at = ?
+     WHERE intent_id = ? OR tx_ref = ?`
+  ).run(reason, now, now, id, id);
+
+  return result.changes > 0;
+}
+
+/**
+ * Get a locally recorded intent by M-PESA STK Push CheckoutRequestID
+ * @param {string} checkoutRequestId - CheckoutRequestID
+ * @returns {Object|undefined} Intent row
+ */
+export function getIntentByCheckoutRequestId(checkoutRequestId) {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM intents WHERE checkout_request_id = ?').get(checkoutRequestId);
+}
+
+/**
+ * Get a locally recorded intent by on-chain intent ID
+ * @param {string} intentId - On-chain intent ID
+ * @returns {Object|undefined} Intent row
+ */
+export function getIntentRecord(intentId) {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM intents WHERE intent_id = ?').get(intentId);
+}
+
+/**
+ * Get a locally recorded intent by txRef
+ * @param {string} txRef - Off-chain transaction reference
+ * @returns {Object|undefined} Intent row
+ */
+export function getIntentByTxRef(txRef) {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM intents WHERE tx_ref = ?').get(txRef);
+}
+
+/**
+ * Check whether an API client may see and act on an intent
+ * Clients only reach the intents they created; admins reach every intent,
+ * including those found on-chain or created before intents had an owner.
+ * @param {Object} client - Authenticated client (`req.apiClient`)
+ * @param {Object} [record] - Intent ledger row
+ * @returns {boolean} True if the client may access the intent
+ */
+export function canAccessIntent(client, record) {
+  if (client.admin) {
+    return true;
+  }
+
+  return Boolean(record) && record.client_id === client.id;
+}
+
+/**
+ * Encode a pagination cursor pointing after the given intent row
+ * @param {Object} row - Last intent row of the current page
+ * @returns {string} Opaque cursor (base64url)
+ */
+export function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.created_at, row.tx_ref])).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Opaque cursor from a previous page
+ * @returns {{createdAt: number, txRef: string}|null} Cursor position, or null if malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [createdAt, txRef] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+
+    if (!Number.isInteger(createdAt) || typeof txRef !== 'string') {
+      return null;
+    }
+
+    return { createdAt, txRef };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List intents newest first with optional filters
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.userAddress] - User address (case-insensitive)
+ * @param {string} [filters.status] - Lifecycle status
+ * @param {string} [filters.countryCode] - Country code
+ * @param {string} [filters.txRefPrefix] - txRef prefix
+ * @param {number} [filters.createdFrom] - Inclusive lower bound (ms)
+ * @param {number} [filters.createdTo] - Exclusive upper bound (ms)
+ * @param {boolean} [filters.flagged] - Only flagged (true) or unflagged (false) intents
+ * @param {string} [filters.clientId] - Only intents created by this API client
+ * @param {Object} [filters.cursor] - Decoded cursor from a previous page
+ * @param {number} limit - Maximum number of intents to return
+ * @returns {{items: Array, nextCursor: string|null}} Page of intent rows
+ */
+export function listIntents(filters, limit) {
+  const db = getDatabase();
+  const conditions = [];
+  const params = [];
+
+  if (filters.userAddress) {
+    conditions.push('user_address = ? COLLATE NOCASE');
+    params.push(filters.userAddress);
+  }
+
+  if (filters.status) {
+    conditions.push('status = ?');
+    params.push(filters.status);
+  }
+
+  if (filters.countryCode) {
+    conditions.push('country_code = ?');
+    params.push(filters.countryCode);
+  }
+
+  if (filters.txRefPrefix) {
+    conditions.push("tx_ref LIKE ? ESCAPE '\\'");
+    params.push(filters.txRefPrefix.replace(/[\\%_]/g, '\\$&') + '%');
+  }
+
+  if (filters.createdFrom !== undefined) {
+    conditions.push('created_at >= ?');
+    params.push(filters.createdFrom);
+  }
+
+  if (filters.createdTo !== undefined) {
+    conditions.push('created_at < ?');
+    params.push(filters.createdTo);
+  }
+
+  if (filters.flagged !== undefined) {
+    conditions.push(filters.flagged ? 'flagged_at IS NOT NULL' : 'flagged_at IS NULL');
+  }
+
+  if (filters.clientId !== undefined) {
+    conditions.push('client_id = ?');
+    params.push(filters.clientId);
+  }
+
+  if (filters.cursor) {
+    conditions.push('(created_at < ? OR (created_at = ? AND tx_ref < ?))');
+    params.push(filters.cursor.createdAt, filters.cursor.createdAt, filters.cursor.txRef);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // Fetch one extra row to know whether another page exists
+  const rows = db
+    .prepare(
+      `SELECT * FROM intents ${where}
+       ORDER BY created_at DESC, tx_ref DESC
+       LIMIT ?`
+    )
+    .all(...params, limit + 1);
+
+  const items = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(items[items.length - 1]) : null;
+
+  return { items, nextCursor };
+}
+
+/**
+ * Convert an intents row into its API representation
+ * @param {Object} row - Intent row from the database
+ * @returns {Object} Intent in camelCase form
+ */
+export function serializeIntent(row) {
+  return {
+    intentId: row.intent_id,
+    txRef: row.tx_ref,
+    userAddress: row.user_address,
+    amount: row.amount,
+    countryCode: row.country_code,
+    txHash: row.tx_hash,
+    status: row.status,
+    lastError: row.last_error,
+    refundReason: row.refund_reason,
+    checkoutRequestId: row.checkout_request_id ?? null,
+    mpesaReceipt: row.mpesa_receipt ?? null,
+    paymentProvider: row.payment_provider ?? null,
+    paidAmount: row.paid_amount ?? null,
+    quoteId: row.quote_id ?? null,
+    fiatAmount: row.fiat_amount ?? null,
+    flagReason: row.flag_reason ?? null,
+    flaggedAt: row.flagged_at ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
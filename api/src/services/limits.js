@@ -0,0 +1,84 @@
+import { getDatabase } from '../database.js';
+import { config } from '../config.js';
+import { INTENT_STATUS } from './intents.js';
+
+// Rolling window for the daily mint limit
+export const DAILY_LIMIT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute the allowance left for a request against a limit
+ * @param {bigint} used - Amount already used in the window
+ * @param {bigint} requested - Amount being requested
+ * @param {bigint} limit - Limit for the window
+ * @returns {{allowed: boolean, remaining: bigint}} Whether the request fits and what is left before it
+ */
+export function computeAllowance(used, requested, limit) {
+  const remaining = used >= limit ? 0n : limit - used;
+  return { allowed: requested <= remaining, remaining };
+}
+
+/**
+ * Sum the amounts a user has minted or has in flight in one country within the rolling window
+ *
+ * Counts intents submitted or executed inside the window, every intent still
+ * waiting in the retry queue regardless of age, and queued submit jobs that
+ * have no ledger row. Amounts exceed SQLite's integer range, so they are
+ * summed as BigInt here.
+ *
+ * @param {string} userAddress - User's Ethereum address
+ * @param {string} countryCode - Country code
+ * @param {number} now - Current time in milliseconds
+ * @returns {bigint} Amount used in wei
+ */
+export function getDailyMintUsage(userAddress, countryCode, now = Date.now()) {
+  const db = getDatabase();
+  const since = now - DAILY_LIMIT_WINDOW_MS;
+
+  const rows = db
+    .prepare(
+      `SELECT amount FROM intents
+       WHERE user_address = ? COLLATE NOCASE
+         AND country_code = ?
+         AND (
+           (status IN (?, ?, ?, ?) AND created_at >= ?)
+           OR status = ?
+         )
+       UNION ALL
+       SELECT json_extract(payload, '$.amount') AS amount FROM retry_queue
+       WHERE operation = 'submit'
+         AND attempt < max_attempts
+         AND json_extract(payload, '$.userAddress') = ? COLLATE NOCASE
+         AND json_extract(payload, '$.countryCode') = ?
+         AND intent_id NOT IN (SELECT tx_ref FROM intents)`
+    )
+    .all(
+      userAddress,
+      countryCode,
+      INTENT_STATUS.SUBMITTING,
+      INTENT_STATUS.SUBMITTED,
+      INTENT_STATUS.PENDING_CONFIRMATION,
+      INTENT_STATUS.EXECUTED,
+      since,
+      INTENT_STATUS.QUEUED,
+      userAddress,
+      countryCode
+    );
+
+  return rows.reduce((total, row) => total + BigInt(row.amount), 0n);
+}
+
+/**
+ * Check a requested amount against the user's daily mint limit in a country
+ * Amounts in different country tokens are not comparable, so each country has its own limit.
+ * @param {string} userAddress - User's Ethereum address
+ * @param {bigint} amount - Requested amount in wei
+ * @param {string} countryCode - Country code of the request
+ * @returns {{allowed: boolean, limit: bigint, used: bigint, remaining: bigint}} Limit check result
+ */
+export function checkDailyLimit(userAddress, amount, countryCode) {
+  const limit = (config.countries[countryCode]?.limits ?? config.limits).dailyMintLimit;
+  const used = getDailyMintUsage(userAddress, countryCode);
+  const { allowed, remaining } = computeAllowance(used, amount, limit);
+
+  return { allowed, limit, used, remaining };
+}
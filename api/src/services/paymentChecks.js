@@ -0,0 +1,174 @@
+import { createHash } from 'crypto';
+import { config } from '../config.js';
+import { metrics } from '../metrics.js';
+import { addToRetryQueue } from './retry.js';
+import { requestRefund, REFUND_REASONS } from './refunds.js';
+import {
+  INTENT_STATUS,
+  recordIntent,
+  updateIntentStatus,
+  getIntentByTxRef,
+  setPaidAmount,
+  flagIntent,
+} from './intents.js';
+
+/**
+ * How a payment below the escrowed amount is settled (PARTIAL_PAYMENT_POLICY)
+ */
+export const PARTIAL_PAYMENT_POLICIES = {
+  // Reject the intent and refund its escrow
+  REFUND: 'refund',
+  // Leave the escrow in place for an operator to refund
+  HOLD: 'hold',
+  // Refund the escrow and mint the paid amount through a replacement intent
+  MINT_PAID: 'mint_paid',
+};
+
+/**
+ * Describe an escrowed intent for the payment checks
+ * MintEscrow records the executor that submitted the intent as its `user`, so the
+ * user the intent mints for comes from the local ledger (null if it is not there).
+ * @param {string} intentId - On-chain intent ID
+ * @param {Object} onChain - On-chain intent from formatIntent()
+ * @param {Object} [record] - Intent row from the local ledger
+ * @returns {Object} On-chain intent with its intentId and the ledger's userAddress and clientId
+ */
+export function escrowedIntent(intentId, onChain, record) {
+  return {
+    ...onChain,
+    intentId,
+    userAddress: record?.user_address ?? null,
+    clientId: record?.client_id ?? null,
+  };
+}
+
+/**
+ * Compare a confirmed payment with the intent escrowed on-chain
+ * The payment must be for the intent's user and currency and must not exceed
+ * the escrowed amount; a smaller amount is a partial payment. An intent missing
+ * from the ledger has no known user, so its payments never match.
+ * @param {Object} intent - Escrowed intent from escrowedIntent()
+ * @param {Object} payment - Payment reported by the callback
+ * @param {string} payment.userAddress - User the payment is for
+ * @param {string} payment.amount - Paid amount in wei
+ * @param {string} [payment.currency] - Currency code of the payment, if reported
+ * @returns {{mismatches: string[], partial: boolean, paidAmount: bigint|null, escrowedAmount: bigint}}
+ */
+export function comparePayment(intent, { userAddress, amount, currency }) {
+  const mismatches = [];
+
+  if (
+    typeof userAddress !== 'string' ||
+    typeof intent.userAddress !== 'string' ||
+    userAddress.toLowerCase() !== intent.userAddress.toLowerCase()
+  ) {
+    mismatches.push('user');
+  }
+
+  if (currency !== undefined && currency !== null && String(currency).toUpperCase() !== intent.countryCode) {
+    mismatches.push('currency');
+  }
+
+  const escrowedAmount = BigInt(intent.amount);
+  const paidAmount = /^\d+$/.test(String(amount ?? '')) ? BigInt(amount) : null;
+
+  if (paidAmount === null || paidAmount === 0n || paidAmount > escrowedAmount) {
+    mismatches.push('amount');
+  }
+
+  return {
+    mismatches,
+    partial: mismatches.length === 0 && paidAmount < escrowedAmount,
+    paidAmount,
+    escrowedAmount,
+  };
+}
+
+/**
+ * Flag an intent whose callback does not match its escrow
+ * The intent is left as it was: the mismatching callback is not acted on.
+ * @param {string} intentId - On-chain intent ID
+ * @param {Object} comparison - Result of comparePayment()
+ * @returns {string} Flag reason
+ */
+export function flagPaymentMismatch(intentId, comparison) {
+  const reason = `Callback does not match escrowed intent: ${comparison.mismatches.join(', ')}`;
+
+  flagIntent(intentId, reason);
+
+  for (const field of comparison.mismatches) {
+    metrics.paymentMismatches.inc({ field });
+  }
+
+  console.warn(`Flagged intent ${intentId}: ${reason}`);
+  return reason;
+}
+
+/**
+ * Derive the txRef of the intent that mints a partial payment
+ * Deterministic, so a repeated callback finds the replacement already recorded.
+ * @param {string} txRef - txRef of the partially paid intent
+ * @returns {string} Replacement txRef (fits in bytes32)
+ */
+export function partialTxRef(txRef) {
+  return `PART-${createHash('sha256').update(txRef).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Settle a partial payment according to the partial payment policy
+ * @param {Object} intent - Escrowed intent from escrowedIntent()
+ * @param {Object} comparison - Result of comparePayment() with partial set
+ * @param {string} policy - One of PARTIAL_PAYMENT_POLICIES
+ * @returns {Object} Outcome: { status, message, refund, replacementTxRef? }
+ */
+export function resolvePartialPayment(intent, comparison, policy = config.payments.partialPaymentPolicy) {
+  const { intentId } = intent;
+  const { paidAmount, escrowedAmount } = comparison;
+  const reason = `${REFUND_REASONS.PARTIAL_PAYMENT}: paid ${paidAmount} of ${escrowedAmount}`;
+
+  setPaidAmount(intentId, paidAmount);
+  metrics.partialPayments.inc({ policy });
+  console.log(`Intent ${intentId}: ${reason} (policy: ${policy})`);
+
+  if (policy === PARTIAL_PAYMENT_POLICIES.HOLD) {
+    updateIntentStatus(intentId, INTENT_STATUS.HELD, { lastError: reason });
+
+    return { status: INTENT_STATUS.HELD, message: `${reason}, held for review`, refund: 'none' };
+  }
+
+  if (policy === PARTIAL_PAYMENT_POLICIES.MINT_PAID) {
+    const replacementTxRef = partialTxRef(intent.txRef);
+
+    updateIntentStatus(intentId, INTENT_STATUS.REJECTED, {
+      lastError: `${reason}, minted as ${replacementTxRef}`,
+    });
+    const refund = requestRefund(intentId, reason);
+
+    // Escrow the paid amount; the submit queues its execution once on-chain
+    if (!getIntentByTxRef(replacementTxRef)) {
+      const replacement = {
+        amount: paidAmount.toString(),
+        countryCode: intent.countryCode,
+        txRef: replacementTxRef,
+        userAddress: intent.userAddress,
+      };
+
+      // Owned by the same client, so its events reach the same webhooks
+      recordIntent({ ...replacement, status: INTENT_STATUS.QUEUED, clientId: intent.clientId });
+      setPaidAmount(replacementTxRef, paidAmount);
+      addToRetryQueue(replacementTxRef, 'submit', replacement);
+    }
+
+    return {
+      status: 'queued',
+      message: `${reason}, minting the paid amount as ${replacementTxRef}`,
+      refund: refund ? 'queued' : 'none',
+      replacementTxRef,
+    };
+  }
+
+  updateIntentStatus(intentId, INTENT_STATUS.REJECTED, { lastError: reason });
+  const refund = requestRefund(intentId, reason);
+
+  return { status: INTENT_STATUS.REJECTED, message: reason, refund: refund ? 'queued' : 'none' };
+}
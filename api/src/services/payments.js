@@ -0,0 +1,109 @@
+import { config } from '../config.js';
+import { metrics } from '../metrics.js';
+import { darajaProvider } from './daraja.js';
+
+/**
+ * Payment outcomes reported by provider callbacks, after status mapping
+ */
+export const PAYMENT_STATUS = {
+  PAID: 'paid',
+  FAILED: 'failed',
+  // Accepted by the provider but not settled yet; the callback is acknowledged only
+  PENDING: 'pending',
+};
+
+// Payment provider clients, keyed by name (each country's `paymentProvider` selects one)
+const providers = new Map();
+
+/**
+ * Register a payment provider client
+ * A provider exposes `initiatePayment({ txRef, phoneNumber, amount })`, resolving
+ * to `{ checkoutRequestId, ... }` once the payer has been prompted.
+ * @param {string} name - Provider name
+ * @param {Object} provider - Provider client
+ */
+export function registerPaymentProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+/**
+ * Get the configured payment provider
+ * @param {string} name - Provider name (defaults to PAYMENT_PROVIDER)
+ * @returns {Object|undefined} Provider client, or undefined if none is configured
+ */
+export function getPaymentProvider(name = config.payments.provider) {
+  return providers.get(name);
+}
+
+/**
+ * Convert a token amount into whole currency units for the payment request
+ * @param {bigint} amount - Amount in wei
+ * @param {number} decimals - Token decimals
+ * @returns {string|null} Whole units, or null if the amount has a fractional part
+ */
+export function toWholeUnits(amount, decimals = config.payments.tokenDecimals) {
+  const unit = 10n ** BigInt(decimals);
+  return amount % unit === 0n ? (amount / unit).toString() : null;
+}
+
+/**
+ * Convert an amount in currency units (e.g. a provider's "1" or "1.50") into token units
+ * @param {string|number} value - Amount in currency units
+ * @param {number} decimals - Token decimals
+ * @returns {bigint|null} Amount in wei, or null if the value is not a valid amount
+ */
+export function fromWholeUnits(value, decimals = config.payments.tokenDecimals) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(value ?? ''));
+
+  if (!match || (match[2] && match[2].length > decimals)) {
+    return null;
+  }
+
+  const [, whole, fraction = ''] = match;
+  return BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+}
+
+/**
+ * Format a token-unit amount in currency units (the inverse of fromWholeUnits)
+ * @param {bigint} amount - Amount in wei
+ * @param {number} decimals - Token decimals
+ * @returns {string} Amount in currency units, without trailing zeros (e.g. "6.5")
+ */
+export function toDecimalUnits(amount, decimals = config.payments.tokenDecimals) {
+  const unit = 10n ** BigInt(decimals);
+  const fraction = (amount % unit).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return fraction ? `${amount / unit}.${fraction}` : (amount / unit).toString();
+}
+
+/**
+ * Prompt the payer through a payment provider
+ * @param {Object} payment - Payment to request
+ * @param {string} payment.txRef - Off-chain transaction reference
+ * @param {string} payment.phoneNumber - Payer phone number
+ * @param {string} payment.amount - Amount in whole currency units
+ * @param {string} name - Provider name (defaults to PAYMENT_PROVIDER)
+ * @returns {Promise<Object>} Provider result with `checkoutRequestId`
+ */
+export async function initiatePayment(payment, name = config.payments.provider) {
+  const provider = getPaymentProvider(name);
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  try {
+    const result = await provider.initiatePayment(payment);
+    metrics.paymentRequests.inc({ provider: name, result: 'accepted' });
+    return result;
+  } catch (error) {
+    metrics.paymentRequests.inc({ provider: name, result: 'failed' });
+    throw error;
+  }
+}
+
+/**
+ * Register the built-in payment providers
+ */
+export function registerDefaultPaymentProviders() {
+  registerPaymentProvider('daraja', darajaProvider);
+}
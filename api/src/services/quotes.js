@@ -0,0 +1,291 @@
+import { randomUUID } from 'crypto';
+import { getDatabase } from '../database.js';
+import { config } from '../config.js';
+import { metrics } from '../metrics.js';
+import { signString, verifySignature } from '../utils/hmac.js';
+import { fromWholeUnits, toDecimalUnits } from './payments.js';
+import { staticRateSource } from './staticRates.js';
+
+// Rates are fixed-point with this many decimals
+const RATE_DECIMALS = 18;
+
+const BPS_DENOMINATOR = 10000n;
+
+/**
+ * Reasons a quote cannot lock the amount of a mint intent (returned as `code`)
+ */
+export const QUOTE_ERRORS = {
+  INVALID: 'QUOTE_INVALID',
+  EXPIRED: 'QUOTE_EXPIRED',
+  CONSUMED: 'QUOTE_CONSUMED',
+};
+
+/**
+ * Error thrown when quotes cannot be issued (QUOTE_SIGNING_SECRET is not set)
+ */
+export class QuotesUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuotesUnavailableError';
+  }
+}
+
+/**
+ * Error thrown when a fiat amount is too small to buy any tokens at the quoted rate
+ */
+export class QuoteAmountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuoteAmountError';
+  }
+}
+
+// FX rate sources, keyed by name (FX_RATE_SOURCE selects one)
+const rateSources = new Map();
+
+/**
+ * Register an FX rate source
+ * A source exposes `getRate(countryCode)`, resolving to the fiat units per
+ * USD stablecoin as a decimal string (e.g. "129.50").
+ * @param {string} name - Source name
+ * @param {Object} source - Rate source
+ */
+export function registerRateSource(name, source) {
+  rateSources.set(name, source);
+}
+
+/**
+ * Get an FX rate source
+ * @param {string} name - Source name (defaults to FX_RATE_SOURCE)
+ * @returns {Object|undefined} Rate source
+ */
+export function getRateSource(name = config.quotes.rateSource) {
+  return rateSources.get(name);
+}
+
+/**
+ * Price a fiat amount at a rate, net of the fee
+ * @param {bigint} fiatAmount - Fiat amount in wei
+ * @param {string} rate - Fiat units per USD stablecoin
+ * @param {number} feeBps - Fee in basis points of the fiat amount
+ * @returns {{fee: bigint, tokenAmount: bigint}|null} Fee (fiat wei) and token amount (wei),
+ *   or null if the rate is not a positive decimal
+ */
+export function computeQuoteAmounts(fiatAmount, rate, feeBps) {
+  const scaledRate = fromWholeUnits(rate, RATE_DECIMALS);
+
+  if (!scaledRate) {
+    return null;
+  }
+
+  const fee = (fiatAmount * BigInt(feeBps)) / BPS_DENOMINATOR;
+  const tokenAmount = ((fiatAmount - fee) * 10n ** BigInt(RATE_DECIMALS)) / scaledRate;
+
+  return { fee, tokenAmount };
+}
+
+/**
+ * Build the string a quote signature is computed over
+ * @param {Object} quote - quotes row
+ * @returns {string} Canonical string
+ */
+function quoteSigningString(quote) {
+  return [
+    quote.id,
+    quote.country_code,
+    quote.fiat_amount,
+    quote.token_amount,
+    quote.rate,
+    quote.fee,
+    quote.expires_at,
+  ].join('\n');
+}
+
+/**
+ * Sign a quote with QUOTE_SIGNING_SECRET
+ * @param {Object} quote - quotes row
+ * @returns {string} HMAC signature (hex)
+ */
+export function signQuote(quote) {
+  return signString(quoteSigningString(quote), config.quotes.signingSecret);
+}
+
+/**
+ * Issue a quote for a fiat amount at the current rate of the configured source
+ * @param {Object} request - Quote request
+ * @param {string} request.countryCode - Country code of the fiat currency
+ * @param {bigint} request.fiatAmount - Fiat amount in wei
+ * @returns {Promise<Object>} quotes row
+ * @throws {QuotesUnavailableError} If QUOTE_SIGNING_SECRET is not set
+ * @throws {QuoteAmountError} If the token amount rounds down to zero
+ * @throws {Error} If the rate source is unknown, fails or returns an invalid rate
+ */
+export async function createQuote({ countryCode, fiatAmount }) {
+  if (!config.quotes.signingSecret) {
+    throw new QuotesUnavailableError('QUOTE_SIGNING_SECRET is not set');
+  }
+
+  const name = config.quotes.rateSource;
+  const source = getRateSource(name);
+
+  if (!source) {
+    throw new Error(`Unknown rate source: ${name}`);
+  }
+
+  let rate;
+  let amounts;
+  try {
+    rate = await source.getRate(countryCode);
+    amounts = computeQuoteAmounts(fiatAmount, rate, config.quotes.feeBps);
+
+    if (!amounts) {
+      throw new Error(`Invalid rate from ${name}: ${rate}`);
+    }
+  } catch (error) {
+    metrics.quotes.inc({ source: name, result: 'failed' });
+    throw error;
+  }
+
+  // A zero-token quote would lock an intent that mints nothing
+  if (amounts.tokenAmount === 0n) {
+    throw new QuoteAmountError('fiatAmount is too small to buy any tokens');
+  }
+
+  const now = Date.now();
+  const quote = {
+    id: randomUUID(),
+    country_code: countryCode,
+    fiat_amount: fiatAmount.toString(),
+    token_amount: amounts.tokenAmount.toString(),
+    rate,
+    fee: amounts.fee.toString(),
+    source: name,
+    expires_at: now + config.quotes.ttlSeconds * 1000,
+    consumed_at: null,
+    consumed_by: null,
+    created_at: now,
+  };
+  quote.signature = signQuote(quote);
+
+  const db = getDatabase();
+  db.prepare(
+    `INSERT INTO quotes
+     (id, country_code, fiat_amount, token_amount, rate, fee, source, signature, expires_at, created_at)
+     VALUES (@id, @country_code, @fiat_amount, @token_amount, @rate, @fee, @source, @signature,
+      @expires_at, @created_at)`
+  ).run(quote);
+
+  metrics.quotes.inc({ source: name, result: 'issued' });
+  return quote;
+}
+
+/**
+ * Get a quote by ID
+ * @param {string} id - Quote ID
+ * @returns {Object|undefined} quotes row
+ */
+export function getQuote(id) {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM quotes WHERE id = ?').get(id);
+}
+
+/**
+ * Check that a quote can still lock the amount of a mint intent
+ * @param {Object} quote - quotes row
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} QUOTE_ERRORS code, or null if the quote is usable
+ */
+export function checkQuote(quote, now = Date.now()) {
+  const secret = config.quotes.signingSecret;
+  if (!secret || !verifySignature(quote.signature, quoteSigningString(quote), secret)) {
+    return QUOTE_ERRORS.INVALID;
+  }
+
+  if (quote.consumed_at !== null) {
+    return QUOTE_ERRORS.CONSUMED;
+  }
+
+  if (quote.expires_at <= now) {
+    return QUOTE_ERRORS.EXPIRED;
+  }
+
+  return null;
+}
+
+/**
+ * Mark a quote as used by a mint intent
+ * Expiry is checked in the same statement, so a quote that expires after
+ * checkQuote() cannot still be consumed.
+ * @param {string} id - Quote ID
+ * @param {string} txRef - Off-chain transaction reference of the intent
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} QUOTE_ERRORS code, or null if the quote is now consumed
+ */
+export function consumeQuote(id, txRef, now = Date.now()) {
+  const db = getDatabase();
+
+  const result = db.prepare(
+    `UPDATE quotes SET consumed_at = ?, consumed_by = ?
+     WHERE id = ? AND consumed_at IS NULL AND expires_at > ?`
+  ).run(now, txRef, id, now);
+
+  if (result.changes === 1) {
+    return null;
+  }
+
+  return getQuote(id)?.consumed_at == null ? QUOTE_ERRORS.EXPIRED : QUOTE_ERRORS.CONSUMED;
+}
+
+/**
+ * Make a quote usable again after the intent that consumed it failed before payment
+ * Only the intent that consumed the quote can release it.
+ * @param {string} id - Quote ID
+ * @param {string} txRef - Off-chain transaction reference of the consuming intent
+ * @returns {boolean} True if the quote was released
+ */
+export function releaseQuote(id, txRef) {
+  const db = getDatabase();
+
+  return db.prepare(
+    'UPDATE quotes SET consumed_at = NULL, consumed_by = NULL WHERE id = ? AND consumed_by = ?'
+  ).run(id, txRef).changes === 1;
+}
+
+/**
+ * Convert a fiat payment for a quoted intent into the token amount it pays for
+ * Paying the quoted fiat amount pays the whole escrow; less pays proportionally less.
+ * @param {Object} record - Intent ledger row with `fiat_amount` set
+ * @param {string} paidFiatAmount - Paid fiat amount in wei
+ * @returns {string} Paid token amount in wei
+ */
+export function fiatToQuotedAmount(record, paidFiatAmount) {
+  return ((BigInt(paidFiatAmount) * BigInt(record.amount)) / BigInt(record.fiat_amount)).toString();
+}
+
+/**
+ * Convert a quotes row into its API representation
+ * Fiat amounts and the fee are in currency units; the token amount is in wei.
+ * @param {Object} row - quotes row
+ * @returns {Object} Quote in camelCase form
+ */
+export function serializeQuote(row) {
+  return {
+    quoteId: row.id,
+    countryCode: row.country_code,
+    fiatAmount: toDecimalUnits(BigInt(row.fiat_amount)),
+    tokenAmount: row.token_amount,
+    rate: row.rate,
+    fee: toDecimalUnits(BigInt(row.fee)),
+    source: row.source,
+    expiresAt: row.expires_at,
+    signature: row.signature,
+    consumedBy: row.consumed_by,
+  };
+}
+
+/**
+ * Register the built-in FX rate sources
+ */
+export function registerDefaultRateSources() {
+  registerRateSource('static', staticRateSource);
+}
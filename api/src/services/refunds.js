@@ -0,0 +1,90 @@
+import { getDatabase } from '../database.js';
+import { config } from '../config.js';
+import { addToRetryQueue } from './retry.js';
+import { INTENT_STATUS, updateIntentStatus, setRefundReason } from './intents.js';
+
+/**
+ * Standard refund reasons used by the automatic refund policy
+ */
+export const REFUND_REASONS = {
+  NON_COMPLIANT: 'User is not compliant',
+  EXPIRED: 'Intent expired',
+  PAYMENT_FAILED: 'Payment failed',
+  PARTIAL_PAYMENT: 'Partial payment',
+  SCREENING_HIT: 'Sanctions screening hit',
+};
+
+/**
+ * Check whether a refund is already waiting in the retry queue
+ * @param {string} intentId - On-chain intent ID
+ * @returns {boolean} True if a refund job is pending
+ */
+export function hasPendingRefund(intentId) {
+  const db = getDatabase();
+
+  const row = db
+    .prepare(
+      `SELECT 1 FROM retry_queue
+       WHERE intent_id = ? AND operation = 'refund' AND attempt < max_attempts`
+    )
+    .get(intentId);
+
+  return Boolean(row);
+}
+
+/**
+ * Queue a refund of an escrowed intent
+ * All refunds go through the retry queue so RPC failures are retried and dead-lettered.
+ * @param {string} intentId - On-chain intent ID
+ * @param {string} reason - Refund reason (recorded on-chain)
+ * @returns {boolean} False if a refund was already pending
+ */
+export function requestRefund(intentId, reason) {
+  if (hasPendingRefund(intentId)) {
+    return false;
+  }
+
+  addToRetryQueue(intentId, 'refund', { intentId, reason });
+  updateIntentStatus(intentId, INTENT_STATUS.REFUNDING);
+  setRefundReason(intentId, reason);
+
+  console.log(`Refund queued for intent ${intentId}: ${reason}`);
+  return true;
+}
+
+/**
+ * Queue refunds for intents that stayed Pending on-chain past the configured TTL
+ * Covers submitted intents and rejected ones left in escrow when automatic
+ * refund on rejection is disabled. Intents with a retry job in flight are
+ * left alone until the job settles.
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Number of refunds queued
+ */
+export function refundExpiredIntents(now = Date.now()) {
+  const db = getDatabase();
+  const { pendingTtlSeconds } = config.refunds;
+
+  const candidates = db
+    .prepare(
+      `SELECT intent_id FROM intents
+       WHERE status IN (?, ?) AND intent_id IS NOT NULL AND created_at < ?
+         AND intent_id NOT IN (
+           SELECT intent_id FROM retry_queue WHERE attempt < max_attempts
+         )`
+    )
+    .all(INTENT_STATUS.SUBMITTED, INTENT_STATUS.REJECTED, now - pendingTtlSeconds * 1000);
+
+  let queued = 0;
+  for (const { intent_id: intentId } of candidates) {
+    const reason = `${REFUND_REASONS.EXPIRED}: pending longer than ${pendingTtlSeconds}s`;
+    if (requestRefund(intentId, reason)) {
+      queued++;
+    }
+  }
+
+  if (queued > 0) {
+    console.log(`Queued ${queued} refunds for expired intents`);
+  }
+
+  return queued;
+}
@@ -0,0 +1,52 @@
+import { getDatabase } from '../database.js';
+import { config } from '../config.js';
+
+/**
+ * Compute when a remembered signature can be forgotten
+ * A request is only accepted while its timestamp is fresh, so its signature
+ * only has to be kept until the timestamp falls out of the window.
+ * @param {number} timestamp - Request timestamp in milliseconds
+ * @param {number} windowMs - Replay window in milliseconds
+ * @returns {number} Expiry time in milliseconds
+ */
+export function signatureExpiry(timestamp, windowMs = config.replay.windowMs) {
+  return timestamp + windowMs;
+}
+
+/**
+ * Remember a verified request signature, rejecting one that was already used
+ * @param {string} scope - Namespace of the signer (client ID, callback provider)
+ * @param {string} signature - Verified request signature
+ * @param {number} timestamp - Request timestamp in milliseconds
+ * @returns {boolean} True the first time a signature is seen, false for a replay
+ */
+export function recordSignature(scope, signature, timestamp) {
+  const db = getDatabase();
+  const now = Date.now();
+
+  // An expired row left behind by cleanup is overwritten rather than treated as a replay
+  const result = db.prepare(
+    `INSERT INTO seen_signatures (scope, signature, expires_at, created_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(scope, signature) DO UPDATE
+     SET expires_at = excluded.expires_at, created_at = excluded.created_at
+     WHERE seen_signatures.expires_at < ?`
+  ).run(scope, signature.toLowerCase(), signatureExpiry(timestamp), now, now);
+
+  return result.changes > 0;
+}
+
+/**
+ * Forget signatures whose timestamps are outside the replay window
+ * @returns {number} Number of signatures removed
+ */
+export function cleanupExpiredSignatures() {
+  const db = getDatabase();
+  const result = db.prepare('DELETE FROM seen_signatures WHERE expires_at < ?').run(Date.now());
+
+  if (result.changes > 0) {
+    console.log(`Cleaned up ${result.changes} expired request signatures`);
+  }
+
+  return result.changes;
+}
@@ -1,7 +1,41 @@
 import { getDatabase } from '../database.js';
 import { config } from '../config.js';
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
+import { INTENT_STATUS, updateIntentStatus, getIntentRecord } from './intents.js';
+import { metrics } from '../metrics.js';
+import { readFileSync, existsSync, renameSync } from 'fs';
+
+// Registered operation handlers, keyed by operation name
+const operationHandlers = new Map();
+
+// Set while a pass over the retry queue is running
+let processing = false;
+
+// Ledger statuses of intents that have nothing left to execute
+const EXECUTION_FINAL_STATUSES = [
+  INTENT_STATUS.PENDING_CONFIRMATION,
+  INTENT_STATUS.EXECUTED,
+  INTENT_STATUS.REFUNDING,
+  INTENT_STATUS.REFUNDED,
+  INTENT_STATUS.REJECTED,
+];
+
+/**
+ * Register a handler for a retry queue operation
+ * @param {string} operation - Operation type (e.g. 'submit', 'execute', 'refund')
+ * @param {Function} handler - Async function receiving (payload, item); throws to retry
+ */
+export function registerRetryOperation(operation, handler) {
+  operationHandlers.set(operation, handler);
+}
+
+/**
+ * Get the handler registered for an operation
+ * @param {string} operation - Operation type
+ * @returns {Function|undefined} Registered handler
+ */
+export function getRetryOperation(operation) {
+  return operationHandlers.get(operation);
+}
 
 /**
  * Calculate next retry time using exponential backoff
@@ -15,17 +49,63 @@ export function calculateBackoff(attempt) {
   return Math.min(backoff, maxBackoffMs);
 }
 
+/**
+ * Check whether an intent in a ledger status is past execution
+ * A minted, refunded or rejected intent must not be executed again.
+ * @param {string} status - Ledger status
+ * @returns {boolean} True if no execution should be queued
+ */
+export function isExecutionFinal(status) {
+  return EXECUTION_FINAL_STATUSES.includes(status);
+}
+
+/**
+ * Check whether an operation is already waiting in the retry queue for an intent
+ * @param {string} intentId - Intent ID
+ * @param {string} operation - Operation type
+ * @returns {boolean} True if a job is pending
+ */
+export function hasPendingOperation(intentId, operation) {
+  const db = getDatabase();
+
+  const row = db
+    .prepare(
+      `SELECT 1 FROM retry_queue
+       WHERE intent_id = ? AND operation = ? AND attempt < max_attempts`
+    )
+    .get(intentId, operation);
+
+  return Boolean(row);
+}
+
 /**
  * Add operation to retry queue
+ * Executions are not queued for intents that are already final or that
+ * already have an execution waiting.
  * @param {string} intentId - Intent ID
- * @param {string} operation - Operation type ('execute' or 'refund')
+ * @param {string} operation - Operation type ('submit', 'execute' or 'refund')
  * @param {Object} payload - Operation payload
+ * @returns {boolean} True if the job was queued
  */
 export function addToRetryQueue(intentId, operation, payload) {
   const db = getDatabase();
   const now = Date.now();
   const nextRetryAt = now + calculateBackoff(0);
 
+  if (operation === 'execute') {
+    const record = getIntentRecord(intentId);
+
+    if (record && isExecutionFinal(record.status)) {
+      console.log(`Intent ${intentId} is ${record.status}, not queueing execution`);
+      return false;
+    }
+
+    if (hasPendingOperation(intentId, operation)) {
+      console.log(`Execution of intent ${intentId} is already queued`);
+      return false;
+    }
+  }
+
   db.prepare(
     `INSERT INTO retry_queue
      (intent_id, operation, payload, attempt, max_attempts, next_retry_at, created_at)
@@ -41,6 +121,7 @@ export function addToRetryQueue(intentId, operation, payload) {
   );
 
   console.log(`Added to retry queue: ${operation} for intent ${intentId}`);
+  return true;
 }
 
 /**
@@ -85,68 +166,294 @@ export function updateRetryItem(id, success, error = null) {
     if (nextAttempt >= item.max_attempts) {
       // Max attempts reached, move to DLQ
       moveToDLQ(item, error);
-      db.prepare('DELETE FROM retry_queue WHERE id = ?').run(id);
     } else {
       // Schedule next retry
       const nextRetryAt = Date.now() + calculateBackoff(nextAttempt);
+      const errorHistory = appendErrorHistory(item, error);
 
       db.prepare(
         `UPDATE retry_queue
-         SET attempt = ?, next_retry_at = ?, last_error = ?
+         SET attempt = ?, next_retry_at = ?, last_error = ?, error_history = ?
          WHERE id = ?`
-      ).run(nextAttempt, nextRetryAt, error, id);
+      ).run(nextAttempt, nextRetryAt, error, JSON.stringify(errorHistory), id);
 
       console.log(`Retry failed (attempt ${nextAttempt}/${item.max_attempts}), rescheduled item ${id}`);
     }
   }
 }
 
+/**
+ * Append a failed attempt to a retry item's error history
+ * @param {Object} item - Retry queue item
+ * @param {string} error - Error message of the failed attempt
+ * @param {number} now - Failure time in milliseconds
+ * @returns {Array} Error history including the new attempt
+ */
+export function appendErrorHistory(item, error, now = Date.now()) {
+  const history = JSON.parse(item.error_history || '[]');
+  history.push({ attempt: item.attempt + 1, error, failedAt: now });
+  return history;
+}
+
 /**
  * Move failed item to Dead Letter Queue
+ * Inserts the DLQ entry and removes the retry item in one transaction.
  * @param {Object} item - Retry queue item
  * @param {string} error - Final error message
  */
 export function moveToDLQ(item, error) {
-  // Ensure DLQ directory exists
-  mkdirSync(dirname(config.dlq.path), { recursive: true });
+  const db = getDatabase();
+  const now = Date.now();
+  const lastError = error || item.last_error;
+  const errorHistory = appendErrorHistory(item, lastError, now);
+
+  db.transaction(() => {
+    db.prepare(
+      `INSERT INTO dlq
+       (intent_id, operation, payload, attempts, error_history, last_error, created_at, failed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      item.intent_id,
+      item.operation,
+      item.payload,
+      item.attempt + 1,
+      JSON.stringify(errorHistory),
+      lastError,
+      item.created_at,
+      now
+    );
+
+    db.prepare('DELETE FROM retry_queue WHERE id = ?').run(item.id);
+
+    // intent_id holds the txRef for submits that never reached the chain
+    updateIntentStatus(item.intent_id, INTENT_STATUS.DEAD_LETTERED, { lastError });
+  })();
+
+  console.log(`Moved intent ${item.intent_id} to DLQ after ${item.attempt + 1} attempts`);
+}
+
+/**
+ * Import entries from the legacy dlq.json file into the DLQ table
+ * The file is renamed afterwards so entries are imported only once.
+ * @returns {number} Number of entries imported
+ */
+export function importLegacyDLQ() {
+  if (!existsSync(config.dlq.path)) {
+    return 0;
+  }
+
+  const db = getDatabase();
+  const entries = JSON.parse(readFileSync(config.dlq.path, 'utf-8'));
+
+  const insert = db.prepare(
+    `INSERT INTO dlq
+     (intent_id, operation, payload, attempts, error_history, last_error, created_at, failed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+
+  db.transaction(() => {
+    for (const entry of entries) {
+      insert.run(
+        entry.intentId,
+        entry.operation,
+        JSON.stringify(entry.payload),
+        entry.attempts,
+        JSON.stringify([{ attempt: entry.attempts, error: entry.lastError, failedAt: entry.failedAt }]),
+        entry.lastError,
+        entry.createdAt,
+        entry.failedAt
+      );
+    }
+  })();
+
+  renameSync(config.dlq.path, `${config.dlq.path}.imported`);
+  console.log(`Imported ${entries.length} entries from legacy DLQ file ${config.dlq.path}`);
 
-  // Load existing DLQ
-  let dlq = [];
-  if (existsSync(config.dlq.path)) {
-    dlq = JSON.parse(readFileSync(config.dlq.path, 'utf-8'));
+  return entries.length;
+}
+
+/**
+ * Count DLQ entries awaiting a decision
+ * @returns {number} Number of pending DLQ entries
+ */
+export function getDLQDepth() {
+  const db = getDatabase();
+  return db.prepare("SELECT COUNT(*) as count FROM dlq WHERE status = 'pending'").get().count;
+}
+
+/**
+ * List DLQ entries newest first
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.status] - Entry status ('pending', 'replayed' or 'discarded')
+ * @param {string} [filters.operation] - Operation type
+ * @param {string} [filters.intentId] - Intent ID or txRef
+ * @param {number} [filters.beforeId] - Only entries with a lower ID (pagination)
+ * @param {number} limit - Maximum number of entries to return
+ * @returns {Array} DLQ rows
+ */
+export function listDLQEntries(filters, limit) {
+  const db = getDatabase();
+  const conditions = [];
+  const params = [];
+
+  for (const [column, value] of [
+    ['status', filters.status],
+    ['operation', filters.operation],
+    ['intent_id', filters.intentId],
+  ]) {
+    if (value) {
+      conditions.push(`${column} = ?`);
+      params.push(value);
+    }
+  }
+
+  if (filters.beforeId) {
+    conditions.push('id < ?');
+    params.push(filters.beforeId);
   }
 
-  // Add item to DLQ
-  dlq.push({
-    intentId: item.intent_id,
-    operation: item.operation,
-    payload: JSON.parse(item.payload),
-    attempts: item.attempt,
-    createdAt: item.created_at,
-    failedAt: Date.now(),
-    lastError: error || item.last_error,
-  });
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return db
+    .prepare(`SELECT * FROM dlq ${where} ORDER BY id DESC LIMIT ?`)
+    .all(...params, limit);
+}
+
+/**
+ * Get a DLQ entry by ID
+ * @param {number} id - DLQ entry ID
+ * @returns {Object|undefined} DLQ row
+ */
+export function getDLQEntry(id) {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM dlq WHERE id = ?').get(id);
+}
+
+// Ledger status an intent returns to when its DLQ entry is replayed
+const REPLAY_INTENT_STATUS = {
+  submit: INTENT_STATUS.QUEUED,
+  execute: INTENT_STATUS.SUBMITTED,
+  refund: INTENT_STATUS.REFUNDING,
+};
+
+/**
+ * Replay a pending DLQ entry into the retry queue with a fresh attempt budget
+ * @param {number} id - DLQ entry ID
+ * @param {string} [reason] - Why the entry is being replayed
+ * @returns {Object|null} Updated DLQ row, or null if the entry is not pending
+ */
+export function replayDLQEntry(id, reason = null) {
+  const db = getDatabase();
+
+  return db.transaction(() => {
+    const entry = getDLQEntry(id);
+    if (!entry || entry.status !== 'pending') {
+      return null;
+    }
+
+    addToRetryQueue(entry.intent_id, entry.operation, JSON.parse(entry.payload));
+
+    db.prepare(
+      `UPDATE dlq SET status = 'replayed', resolved_at = ?, resolution_reason = ?
+       WHERE id = ?`
+    ).run(Date.now(), reason, id);
+
+    const intentStatus = REPLAY_INTENT_STATUS[entry.operation];
+    if (intentStatus) {
+      updateIntentStatus(entry.intent_id, intentStatus);
+    }
+
+    return getDLQEntry(id);
+  })();
+}
 
-  // Write DLQ
-  writeFileSync(config.dlq.path, JSON.stringify(dlq, null, 2));
+/**
+ * Discard a pending DLQ entry
+ * @param {number} id - DLQ entry ID
+ * @param {string} reason - Why the entry is being discarded
+ * @returns {Object|null} Updated DLQ row, or null if the entry is not pending
+ */
+export function discardDLQEntry(id, reason) {
+  const db = getDatabase();
 
-  console.log(`Moved intent ${item.intent_id} to DLQ after ${item.attempt} attempts`);
+  const result = db.prepare(
+    `UPDATE dlq SET status = 'discarded', resolved_at = ?, resolution_reason = ?
+     WHERE id = ? AND status = 'pending'`
+  ).run(Date.now(), reason, id);
+
+  return result.changes > 0 ? getDLQEntry(id) : null;
+}
+
+/**
+ * Convert a DLQ row into its API representation
+ * @param {Object} row - DLQ row from the database
+ * @returns {Object} DLQ entry in camelCase form
+ */
+export function serializeDLQEntry(row) {
+  return {
+    id: row.id,
+    intentId: row.intent_id,
+    operation: row.operation,
+    payload: JSON.parse(row.payload),
+    attempts: row.attempts,
+    errorHistory: JSON.parse(row.error_history),
+    lastError: row.last_error,
+    status: row.status,
+    createdAt: row.created_at,
+    failedAt: row.failed_at,
+    resolvedAt: row.resolved_at,
+    resolutionReason: row.resolution_reason,
+  };
 }
 
 /**
  * Process retry queue (called periodically)
- * @param {Function} processor - Async function to process each item
+ * Each item is dispatched to the handler registered for its operation.
+ * A pass that outlasts the polling interval (e.g. a submit waiting to be mined)
+ * makes the next ticks skip, so no item is replayed while its handler is running.
  */
-export async function processRetryQueue(processor) {
-  const items = getRetryableItems();
+export async function processRetryQueue() {
+  if (processing) {
+    return;
+  }
+
+  processing = true;
+
+  try {
+    await processRetryItems(getRetryableItems());
+  } finally {
+    processing = false;
+  }
+}
 
+/**
+ * Run retry queue items through their handlers, one at a time
+ * @param {Array} items - Retry queue items
+ */
+async function processRetryItems(items) {
   for (const item of items) {
+    const handler = getRetryOperation(item.operation);
+
+    // Retrying cannot fix a missing handler, so dead-letter immediately
+    if (!handler) {
+      moveToDLQ(item, `No handler registered for operation: ${item.operation}`);
+      metrics.retries.inc({ operation: item.operation, status: 'dead_lettered' });
+      continue;
+    }
+
     try {
       const payload = JSON.parse(item.payload);
-      await processor(item.operation, payload);
+      await handler(payload, item);
       updateRetryItem(item.id, true);
+      metrics.retries.inc({ operation: item.operation, status: 'success' });
     } catch (error) {
       updateRetryItem(item.id, false, error.message);
+
+      const exhausted = item.attempt + 1 >= item.max_attempts;
+      metrics.retries.inc({
+        operation: item.operation,
+        status: exhausted ? 'dead_lettered' : 'failure',
+      });
     }
   }
 }
@@ -0,0 +1,213 @@
+import {
+  submitMintIntent,
+  executeMint,
+  refundMintIntent,
+  checkCompliance,
+  getIntent,
+  formatIntent,
+  getMintEscrowRevert,
+} from '../blockchain.js';
+import { registerRetryOperation, addToRetryQueue } from './retry.js';
+import {
+  INTENT_STATUS,
+  updateIntentStatus,
+  getIntentByTxRef,
+  getIntentRecord,
+} from './intents.js';
+import { config } from '../config.js';
+import { requestRefund, REFUND_REASONS } from './refunds.js';
+import { recordExecution, recordPriorExecution } from './confirmations.js';
+import {
+  escrowedIntent,
+  comparePayment,
+  flagPaymentMismatch,
+  resolvePartialPayment,
+} from './paymentChecks.js';
+import { SCREENING_STAGES, screenParties, blockScreenedIntent } from './screening.js';
+
+/**
+ * Record a successful on-chain submission in the ledger
+ * The M-PESA callback may have arrived while the submission was in flight:
+ * a confirmed payment queues the execution of the amount paid, a failed one
+ * refunds the escrow.
+ * @param {Object} payload - { amount, countryCode, txRef, userAddress }
+ * @param {Object} result - { intentId, txHash } from submitMintIntent
+ */
+export function completeSubmission({ amount, txRef, userAddress }, { intentId, txHash }) {
+  const before = getIntentByTxRef(txRef);
+
+  if (before && before.status === INTENT_STATUS.REJECTED) {
+    updateIntentStatus(txRef, INTENT_STATUS.REJECTED, { intentId, txHash, lastError: before.last_error });
+    requestRefund(intentId, before.last_error || REFUND_REASONS.PAYMENT_FAILED);
+    return;
+  }
+
+  updateIntentStatus(txRef, INTENT_STATUS.SUBMITTED, { intentId, txHash });
+
+  if (before && (before.mpesa_receipt || before.paid_amount)) {
+    addToRetryQueue(intentId, 'execute', {
+      intentId,
+      txRef,
+      userAddress,
+      amount: before.paid_amount ?? amount,
+    });
+  }
+}
+
+/**
+ * Replay a mint intent submission that failed before reaching the chain
+ * @param {Object} payload - { amount, countryCode, txRef, userAddress }
+ */
+export async function replaySubmit(payload) {
+  const { amount, countryCode, txRef } = payload;
+
+  // A previous attempt may have recorded the intent already
+  const existing = getIntentByTxRef(txRef);
+  if (existing && existing.intent_id) {
+    console.log(`Intent for txRef ${txRef} already submitted as ${existing.intent_id}, skipping`);
+    return;
+  }
+
+  // The payment failed while the submit was waiting: nothing to escrow
+  if (existing && existing.status === INTENT_STATUS.REJECTED) {
+    console.log(`Intent for txRef ${txRef} was rejected before submission, skipping`);
+    return;
+  }
+
+  const result = await submitMintIntent(BigInt(amount), countryCode, txRef);
+
+  // Link the on-chain intentId to the txRef the client received with its 202
+  completeSubmission(payload, result);
+
+  console.log(`Replayed submit for txRef ${txRef}, intentId ${result.intentId}`);
+}
+
+/**
+ * Replay mint execution, re-screening the parties and re-checking the payment against
+ * the escrow and compliance first
+ * @param {Object} payload - { intentId, txRef, userAddress, amount, currency?, phoneNumber? }
+ */
+export async function replayExecute(payload) {
+  const { intentId, txRef, userAddress, amount, currency, phoneNumber } = payload;
+
+  // A refund may have been queued while this execution was waiting
+  const record = getIntentRecord(intentId);
+  if (record && [INTENT_STATUS.REFUNDING, INTENT_STATUS.REFUNDED].includes(record.status)) {
+    console.log(`Intent ${intentId} is ${record.status}, dropping execution`);
+    return;
+  }
+
+  // A transaction reorged out may have been mined again before this retry
+  const onChain = formatIntent(await getIntent(intentId, record?.country_code));
+  if (onChain && onChain.status === 'Executed') {
+    await recordPriorExecution(intentId, record?.country_code);
+    return;
+  }
+
+  if (!onChain) {
+    throw new Error(`Intent ${intentId} not found on-chain`);
+  }
+
+  // Screen the ledger's user: the escrow's `user` is only the executor that submitted it
+  const escrow = escrowedIntent(intentId, onChain, record);
+  const recipient = escrow.userAddress ?? userAddress;
+
+  const screening = await screenParties({
+    userAddress: recipient,
+    phoneNumber: phoneNumber ?? record?.phone_number,
+  }, SCREENING_STAGES.EXECUTION);
+
+  if (screening) {
+    console.log(`Dropping execution of ${intentId}: blocked by sanctions screening`);
+    blockScreenedIntent({ intentId, txRef, userAddress: recipient }, screening);
+    return;
+  }
+
+  const comparison = comparePayment(escrow, { userAddress, amount, currency });
+
+  if (comparison.mismatches.length > 0) {
+    flagPaymentMismatch(intentId, comparison);
+    console.log(`Dropping execution of ${intentId}: payment does not match the escrow`);
+    return;
+  }
+
+  if (comparison.partial) {
+    resolvePartialPayment(escrow, comparison);
+    return;
+  }
+
+  if (userAddress && !(await checkCompliance(userAddress))) {
+    console.log(`User ${userAddress} is not compliant, dropping execution of ${intentId}`);
+
+    updateIntentStatus(intentId, INTENT_STATUS.REJECTED, {
+      lastError: REFUND_REASONS.NON_COMPLIANT,
+    });
+
+    if (config.refunds.autoRefundOnRejection) {
+      requestRefund(intentId, REFUND_REASONS.NON_COMPLIANT);
+    }
+    return;
+  }
+
+  let result;
+  try {
+    result = await executeMint(intentId, record?.country_code);
+  } catch (error) {
+    // Minted by another delivery since the check above; retrying would only revert again
+    if (getMintEscrowRevert(error) === 'IntentAlreadyExecuted') {
+      await recordPriorExecution(intentId, record?.country_code);
+      return;
+    }
+    throw error;
+  }
+
+  recordExecution(intentId, result);
+}
+
+/**
+ * Replay a refund of escrowed funds
+ * MintEscrow reverts with IntentAlreadyExecuted once the intent is no longer
+ * pending; the ledger then follows the on-chain status instead of retrying.
+ * @param {Object} payload - { intentId, reason }
+ */
+export async function replayRefund(payload) {
+  const { intentId, reason } = payload;
+  const countryCode = getIntentRecord(intentId)?.country_code;
+
+  let result;
+  try {
+    result = await refundMintIntent(intentId, reason, countryCode);
+  } catch (error) {
+    if (getMintEscrowRevert(error) !== 'IntentAlreadyExecuted') {
+      throw error;
+    }
+
+    const onChain = formatIntent(await getIntent(intentId, countryCode));
+
+    // An execution mined before the refund: the funds went to the user
+    if (onChain?.status === 'Executed') {
+      console.warn(`Intent ${intentId} was minted before its refund (${reason}), dropping refund`);
+      await recordPriorExecution(intentId, countryCode);
+      return;
+    }
+
+    // Refunded by an earlier attempt; the indexer records its transaction
+    if (onChain?.status === 'Refunded') {
+      updateIntentStatus(intentId, INTENT_STATUS.REFUNDED);
+      return;
+    }
+
+    throw error;
+  }
+
+  updateIntentStatus(intentId, INTENT_STATUS.REFUNDED, { txHash: result.txHash });
+}
+
+/**
+ * Register the built-in retry queue operations
+ */
+export function registerDefaultRetryOperations() {
+  registerRetryOperation('submit', replaySubmit);
+  registerRetryOperation('execute', replayExecute);
+  registerRetryOperation('refund', replayRefund);
+}
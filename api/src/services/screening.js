@@ -0,0 +1,182 @@
+import { getDatabase } from '../database.js';
+import { config } from '../config.js';
+import { metrics } from '../metrics.js';
+import { DENYLIST_TYPES, denylistProvider } from './denylist.js';
+import { INTENT_STATUS, updateIntentStatus } from './intents.js';
+import { requestRefund, REFUND_REASONS } from './refunds.js';
+
+/**
+ * Points in an intent's flow where its parties are screened (recorded as the hit `stage`)
+ */
+export const SCREENING_STAGES = {
+  // POST /mint-intents, before anything is escrowed
+  SUBMISSION: 'submission',
+  // Paid callbacks and execution retries, before minting
+  EXECUTION: 'execution',
+};
+
+// Screening providers, keyed by name (SCREENING_PROVIDER selects one)
+const screeningProviders = new Map();
+
+/**
+ * Register a screening provider
+ * A provider exposes `screen(subjects)`, where each subject is `{ type, value }` with a
+ * DENYLIST_TYPES type. It resolves to the first match as `{ subject, entry }`, where the
+ * entry describes the list entry matched (`id`, `list`, `reason`...), or null if clear.
+ * @param {string} name - Provider name
+ * @param {Object} provider - Screening provider
+ */
+export function registerScreeningProvider(name, provider) {
+  screeningProviders.set(name, provider);
+}
+
+/**
+ * Get a screening provider
+ * @param {string} name - Provider name (defaults to SCREENING_PROVIDER)
+ * @returns {Object|undefined} Screening provider
+ */
+export function getScreeningProvider(name = config.screening.provider) {
+  return screeningProviders.get(name);
+}
+
+/**
+ * Screen the parties of an intent: the user address, and the payer phone if known
+ * @param {Object} parties - Parties to screen
+ * @param {string} parties.userAddress - User's Ethereum address
+ * @param {string} [parties.phoneNumber] - Payer phone number
+ * @param {string} stage - SCREENING_STAGES value
+ * @returns {Promise<Object|null>} `{ subject, entry }` of the first match, or null if clear
+ * @throws {Error} If the provider is unknown or cannot screen
+ */
+export async function screenParties({ userAddress, phoneNumber }, stage) {
+  const provider = getScreeningProvider();
+
+  if (!provider) {
+    metrics.screenings.inc({ stage, result: 'error' });
+    throw new Error(`Unknown screening provider: ${config.screening.provider}`);
+  }
+
+  const subjects = [{ type: DENYLIST_TYPES.ADDRESS, value: userAddress }];
+  if (phoneNumber) {
+    subjects.push({ type: DENYLIST_TYPES.PHONE, value: String(phoneNumber) });
+  }
+
+  try {
+    const match = await provider.screen(subjects);
+    metrics.screenings.inc({ stage, result: match ? 'hit' : 'clear' });
+    return match;
+  } catch (error) {
+    metrics.screenings.inc({ stage, result: 'error' });
+    throw error;
+  }
+}
+
+/**
+ * Record a screening hit for compliance review
+ * @param {Object} hit - Hit details
+ * @param {string} hit.stage - SCREENING_STAGES value
+ * @param {Object} hit.match - Match returned by screenParties()
+ * @param {string} [hit.userAddress] - User's Ethereum address
+ * @param {string} [hit.txRef] - Off-chain transaction reference
+ * @param {string} [hit.intentId] - On-chain intent ID
+ * @param {boolean} [hit.refundQueued] - Whether the escrow is being refunded
+ * @returns {Object} screening_hits row
+ */
+export function recordScreeningHit({ stage, match, userAddress = null, txRef = null, intentId = null, refundQueued = false }) {
+  const db = getDatabase();
+
+  const { lastInsertRowid } = db.prepare(
+    `INSERT INTO screening_hits
+     (stage, provider, subject_type, subject_value, entry, user_address, tx_ref, intent_id,
+      refund_queued, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    stage,
+    config.screening.provider,
+    match.subject.type,
+    String(match.subject.value),
+    JSON.stringify(match.entry),
+    userAddress,
+    txRef,
+    intentId,
+    refundQueued ? 1 : 0,
+    Date.now()
+  );
+
+  console.warn(
+    `Screening hit at ${stage}: ${match.subject.type} ${match.subject.value} ` +
+    `matched ${match.entry.list || 'denylist'} entry ${match.entry.id || match.entry.value}`
+  );
+
+  return db.prepare('SELECT * FROM screening_hits WHERE id = ?').get(lastInsertRowid);
+}
+
+/**
+ * Block an escrowed intent whose parties matched a screening list
+ * The intent is rejected and its escrow refunded whatever the automatic refund
+ * policy says: screened funds are never held for a later mint.
+ * @param {Object} intent - Intent details
+ * @param {string} intent.intentId - On-chain intent ID
+ * @param {string} [intent.txRef] - Off-chain transaction reference
+ * @param {string} [intent.userAddress] - User's Ethereum address
+ * @param {Object} match - Match returned by screenParties()
+ * @returns {boolean} True if a refund was queued (false if one was already pending)
+ */
+export function blockScreenedIntent({ intentId, txRef, userAddress }, match) {
+  updateIntentStatus(intentId, INTENT_STATUS.REJECTED, {
+    lastError: REFUND_REASONS.SCREENING_HIT,
+  });
+
+  const refundQueued = requestRefund(intentId, REFUND_REASONS.SCREENING_HIT);
+
+  recordScreeningHit({
+    stage: SCREENING_STAGES.EXECUTION,
+    match,
+    userAddress,
+    txRef,
+    intentId,
+    refundQueued,
+  });
+
+  return refundQueued;
+}
+
+/**
+ * List recorded screening hits, newest first
+ * @param {number} limit - Maximum number of hits
+ * @returns {Object[]} screening_hits rows
+ */
+export function listScreeningHits(limit = 50) {
+  const db = getDatabase();
+
+  return db
+    .prepare('SELECT * FROM screening_hits ORDER BY created_at DESC, id DESC LIMIT ?')
+    .all(limit);
+}
+
+/**
+ * Shape a screening_hits row for the API
+ * @param {Object} row - screening_hits row
+ * @returns {Object} Screening hit
+ */
+export function serializeScreeningHit(row) {
+  return {
+    id: row.id,
+    stage: row.stage,
+    provider: row.provider,
+    subject: { type: row.subject_type, value: row.subject_value },
+    entry: JSON.parse(row.entry),
+    userAddress: row.user_address,
+    txRef: row.tx_ref,
+    intentId: row.intent_id,
+    refundQueued: row.refund_queued === 1,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Register the built-in screening providers
+ */
+export function registerDefaultScreeningProviders() {
+  registerScreeningProvider('denylist', denylistProvider);
+}
@@ -0,0 +1,20 @@
+import { readFileSync } from 'fs';
+import { config } from '../config.js';
+
+/**
+ * File-backed FX rate source for local use (FX_RATE_SOURCE=static)
+ * Reads FX_RATES_PATH on every quote, so edited rates apply without a restart.
+ * The file maps country codes to fiat units per USD stablecoin, e.g. `{ "KES": "129.50" }`.
+ */
+export const staticRateSource = {
+  async getRate(countryCode) {
+    const rates = JSON.parse(readFileSync(config.quotes.ratesPath, 'utf-8'));
+    const rate = rates[countryCode];
+
+    if (rate === undefined) {
+      throw new Error(`No static rate for ${countryCode}`);
+    }
+
+    return String(rate);
+  },
+};
@@ -0,0 +1,399 @@
+import { randomBytes, randomUUID } from 'crypto';
+import { getDatabase } from '../database.js';
+import { config } from '../config.js';
+import { metrics } from '../metrics.js';
+import { generateHmac, SIGNATURE_VERSIONS } from '../utils/hmac.js';
+import { calculateBackoff } from './retry.js';
+import { INTENT_STATUS, onIntentTransition, serializeIntent } from './intents.js';
+
+/**
+ * Webhook event names, keyed by the intent status that triggers them
+ */
+export const WEBHOOK_EVENTS = {
+  [INTENT_STATUS.SUBMITTED]: 'intent.submitted',
+  [INTENT_STATUS.EXECUTED]: 'intent.executed',
+  [INTENT_STATUS.REFUNDED]: 'intent.refunded',
+  [INTENT_STATUS.REJECTED]: 'intent.rejected',
+  [INTENT_STATUS.DEAD_LETTERED]: 'intent.dead_lettered',
+};
+
+let processing = false;
+
+/**
+ * Generate a subscription signing secret
+ * @returns {string} 32-byte secret (hex)
+ */
+function generateSecret() {
+  return randomBytes(32).toString('hex');
+}
+
+/**
+ * Build the body of a webhook event
+ * @param {string} eventId - Unique event ID (lets partners deduplicate redeliveries)
+ * @param {string} event - Event name
+ * @param {Object} row - Intent row after the transition
+ * @param {number} now - Event time in milliseconds
+ * @returns {Object} Webhook payload
+ */
+export function buildWebhookPayload(eventId, event, row, now = Date.now()) {
+  return {
+    id: eventId,
+    event,
+    occurredAt: now,
+    data: serializeIntent(row),
+  };
+}
+
+/**
+ * Build the headers of a webhook delivery, signed like incoming API requests
+ * @param {Object} payload - Webhook payload
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {string} secret - Signing secret of the subscription
+ * @returns {Object} HTTP headers
+ */
+export function buildWebhookHeaders(payload, timestamp, secret) {
+  return {
+    'Content-Type': 'application/json',
+    'X-Signature': generateHmac(payload, timestamp, secret),
+    'X-Timestamp': timestamp.toString(),
+    'X-Signature-Version': SIGNATURE_VERSIONS.V1,
+    'X-Webhook-Event': payload.event,
+    'X-Webhook-Id': payload.id,
+  };
+}
+
+/**
+ * Check whether a subscription receives an event of an intent
+ * Partners only hear about their own intents: the subscription's client must be
+ * the one that created the intent.
+ * @param {Object} subscription - webhook_subscriptions row
+ * @param {string} event - Event name
+ * @param {Object} row - Intent row
+ * @returns {boolean} True if the event should be queued for the subscription
+ */
+export function isSubscribedTo(subscription, event, row) {
+  return (
+    subscription.enabled === 1 &&
+    JSON.parse(subscription.events).includes(event) &&
+    subscription.client_id != null &&
+    subscription.client_id === row.client_id
+  );
+}
+
+/**
+ * Queue webhook events for an intent transition (intent transition listener)
+ * @param {Object} row - Intent row after the transition
+ */
+export function enqueueIntentEvent(row) {
+  const event = WEBHOOK_EVENTS[row.status];
+  if (!event) {
+    return;
+  }
+
+  const db = getDatabase();
+  const subscriptions = listSubscriptions().filter((subscription) =>
+    isSubscribedTo(subscription, event, row)
+  );
+
+  if (subscriptions.length === 0) {
+    return;
+  }
+
+  const now = Date.now();
+  const eventId = randomUUID();
+  const payload = JSON.stringify(buildWebhookPayload(eventId, event, row, now));
+
+  const insert = db.prepare(
+    `INSERT INTO webhook_outbox
+     (event_id, subscription_id, event, tx_ref, payload, max_attempts, next_attempt_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+
+  db.transaction(() => {
+    for (const subscription of subscriptions) {
+      insert.run(eventId, subscription.id, event, row.tx_ref, payload, config.webhooks.maxAttempts, now, now);
+    }
+  })();
+}
+
+/**
+ * Queue webhook events for every notified intent transition
+ */
+export function registerWebhookNotifications() {
+  onIntentTransition(enqueueIntentEvent);
+}
+
+/**
+ * Create a webhook subscription with its signing secret
+ * @param {Object} fields - Subscription fields
+ * @param {string} fields.clientId - API client whose intents are delivered
+ * @param {string} fields.url - Partner callback URL
+ * @param {Array<string>} fields.events - Event names to deliver
+ * @param {string} [fields.description] - Free-form description
+ * @returns {{subscription: Object, secret: string}} Created subscription row and its secret
+ */
+export function createSubscription({ clientId, url, events, description = null }) {
+  const db = getDatabase();
+  const now = Date.now();
+  const secret = generateSecret();
+
+  const result = db.prepare(
+    `INSERT INTO webhook_subscriptions
+     (client_id, url, events, description, secret, enabled, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, 1, ?, ?)`
+  ).run(clientId, url, JSON.stringify(events), description, secret, now, now);
+
+  return { subscription: getSubscription(result.lastInsertRowid), secret };
+}
+
+/**
+ * Replace the signing secret of a webhook subscription
+ * Deliveries are signed with the new secret from the next attempt on.
+ * @param {number} id - Subscription ID
+ * @returns {string|null} New secret, or null if the subscription does not exist
+ */
+export function rotateSubscriptionSecret(id) {
+  const db = getDatabase();
+  const secret = generateSecret();
+
+  const result = db.prepare(
+    'UPDATE webhook_subscriptions SET secret = ?, updated_at = ? WHERE id = ?'
+  ).run(secret, Date.now(), id);
+
+  return result.changes > 0 ? secret : null;
+}
+
+/**
+ * List all webhook subscriptions
+ * @returns {Array} Subscription rows
+ */
+export function listSubscriptions() {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM webhook_subscriptions ORDER BY id ASC').all();
+}
+
+/**
+ * Get a webhook subscription by ID
+ * @param {number} id - Subscription ID
+ * @returns {Object|undefined} Subscription row
+ */
+export function getSubscription(id) {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(id);
+}
+
+/**
+ * Update a webhook subscription
+ * @param {number} id - Subscription ID
+ * @param {Object} fields - Fields to change ({ clientId, url, events, description, enabled })
+ * @returns {Object} Updated subscription row
+ */
+export function updateSubscription(id, { clientId, url, events, description, enabled }) {
+  const db = getDatabase();
+
+  db.prepare(
+    `UPDATE webhook_subscriptions
+     SET client_id = COALESCE(?, client_id), url = COALESCE(?, url), events = COALESCE(?, events),
+         description = COALESCE(?, description), enabled = COALESCE(?, enabled), updated_at = ?
+     WHERE id = ?`
+  ).run(
+    clientId ?? null,
+    url ?? null,
+    events ? JSON.stringify(events) : null,
+    description ?? null,
+    enabled === undefined ? null : Number(enabled),
+    Date.now(),
+    id
+  );
+
+  return getSubscription(id);
+}
+
+/**
+ * Delete a webhook subscription and cancel its undelivered events
+ * @param {number} id - Subscription ID
+ * @returns {boolean} True if a subscription was deleted
+ */
+export function deleteSubscription(id) {
+  const db = getDatabase();
+
+  return db.transaction(() => {
+    db.prepare(
+      "UPDATE webhook_outbox SET status = 'cancelled' WHERE subscription_id = ? AND status = 'pending'"
+    ).run(id);
+
+    return db.prepare('DELETE FROM webhook_subscriptions WHERE id = ?').run(id).changes > 0;
+  })();
+}
+
+/**
+ * List a subscription's events newest first, with their delivery attempts
+ * @param {number} subscriptionId - Subscription ID
+ * @param {number} [beforeId] - Only events with a lower outbox ID (pagination)
+ * @param {number} limit - Maximum number of events to return
+ * @returns {Array} Outbox rows, each with a `deliveries` array
+ */
+export function listSubscriptionEvents(subscriptionId, beforeId, limit) {
+  const db = getDatabase();
+
+  const rows = db
+    .prepare(
+      `SELECT * FROM webhook_outbox
+       WHERE subscription_id = ? AND id < ?
+       ORDER BY id DESC LIMIT ?`
+    )
+    .all(subscriptionId, beforeId || Number.MAX_SAFE_INTEGER, limit);
+
+  const attempts = db.prepare(
+    'SELECT * FROM webhook_deliveries WHERE outbox_id = ? ORDER BY attempt ASC'
+  );
+
+  return rows.map((row) => ({ ...row, deliveries: attempts.all(row.id) }));
+}
+
+/**
+ * Convert a subscription row into its API representation
+ * @param {Object} row - webhook_subscriptions row
+ * @returns {Object} Subscription in camelCase form (without the secret)
+ */
+export function serializeSubscription(row) {
+  return {
+    id: row.id,
+    clientId: row.client_id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    description: row.description,
+    enabled: row.enabled === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Convert an outbox row (with deliveries) into its API representation
+ * @param {Object} row - webhook_outbox row with a `deliveries` array
+ * @returns {Object} Event delivery log in camelCase form
+ */
+export function serializeWebhookEvent(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    event: row.event,
+    txRef: row.tx_ref,
+    status: row.status,
+    attempts: row.attempt,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+    deliveries: row.deliveries.map((delivery) => ({
+      attempt: delivery.attempt,
+      responseStatus: delivery.response_status,
+      error: delivery.error,
+      durationMs: delivery.duration_ms,
+      attemptedAt: delivery.attempted_at,
+    })),
+  };
+}
+
+/**
+ * POST one outbox event to its subscription URL
+ * @param {Object} item - Outbox row joined with the subscription URL and secret
+ * @returns {Promise<{responseStatus: number|null, error: string|null}>} Delivery outcome
+ */
+async function postWebhook(item) {
+  const payload = JSON.parse(item.payload);
+
+  try {
+    const response = await fetch(item.url, {
+      method: 'POST',
+      headers: buildWebhookHeaders(payload, Date.now(), item.secret),
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(config.timeouts.webhookTimeoutMs),
+    });
+
+    return {
+      responseStatus: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`,
+    };
+  } catch (error) {
+    return { responseStatus: null, error: error.message };
+  }
+}
+
+/**
+ * Deliver one outbox event and record the attempt
+ * @param {Object} item - Outbox row joined with the subscription URL and secret
+ */
+async function deliverWebhook(item) {
+  const db = getDatabase();
+  const startedAt = Date.now();
+  const { responseStatus, error } = await postWebhook(item);
+  const now = Date.now();
+  const attempt = item.attempt + 1;
+
+  db.transaction(() => {
+    db.prepare(
+      `INSERT INTO webhook_deliveries
+       (outbox_id, attempt, response_status, error, duration_ms, attempted_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(item.id, attempt, responseStatus, error, now - startedAt, startedAt);
+
+    if (!error) {
+      db.prepare(
+        `UPDATE webhook_outbox
+         SET status = 'delivered', attempt = ?, last_error = NULL, delivered_at = ?
+         WHERE id = ?`
+      ).run(attempt, now, item.id);
+    } else if (attempt >= item.max_attempts) {
+      db.prepare(
+        "UPDATE webhook_outbox SET status = 'failed', attempt = ?, last_error = ? WHERE id = ?"
+      ).run(attempt, error, item.id);
+    } else {
+      db.prepare(
+        'UPDATE webhook_outbox SET attempt = ?, last_error = ?, next_attempt_at = ? WHERE id = ?'
+      ).run(attempt, error, now + calculateBackoff(attempt), item.id);
+    }
+  })();
+
+  if (!error) {
+    metrics.webhookDeliveries.inc({ result: 'delivered' });
+  } else {
+    const exhausted = attempt >= item.max_attempts;
+    metrics.webhookDeliveries.inc({ result: exhausted ? 'failed' : 'retrying' });
+    console.warn(`Webhook ${item.event} to ${item.url} failed (attempt ${attempt}/${item.max_attempts}): ${error}`);
+  }
+}
+
+/**
+ * Deliver due outbox events (called periodically)
+ * Events for disabled subscriptions stay queued until re-enabled.
+ */
+export async function processWebhookOutbox() {
+  // A slow endpoint can outlast the polling interval
+  if (processing) {
+    return;
+  }
+
+  processing = true;
+
+  try {
+    const db = getDatabase();
+    const items = db
+      .prepare(
+        `SELECT webhook_outbox.*, webhook_subscriptions.url, webhook_subscriptions.secret
+         FROM webhook_outbox
+         JOIN webhook_subscriptions ON webhook_subscriptions.id = webhook_outbox.subscription_id
+         WHERE webhook_outbox.status = 'pending' AND webhook_outbox.next_attempt_at <= ?
+           AND webhook_subscriptions.enabled = 1
+         ORDER BY webhook_outbox.id ASC
+         LIMIT 20`
+      )
+      .all(Date.now());
+
+    for (const item of items) {
+      await deliverWebhook(item);
+    }
+  } finally {
+    processing = false;
+  }
+}
@@ -0,0 +1,496 @@
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import { getDatabase } from './database.js';
+import { metrics, observeRpc } from './metrics.js';
+
+/**
+ * A transaction that was mined and reverted, or whose nonce was taken by another transaction
+ */
+export class TransactionFailedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransactionFailedError';
+  }
+}
+
+/**
+ * A transaction still pending, or unreadable over RPC, when its wait budget ran out
+ * It may yet be mined: it stays stored as pending and an identical send waits for it
+ * instead of broadcasting a second one.
+ */
+export class TransactionTimeoutError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'TransactionTimeoutError';
+  }
+}
+
+// Broadcast errors meaning the node definitely did not accept the transaction
+const REJECTED_ERROR_CODES = ['NONCE_EXPIRED', 'INSUFFICIENT_FUNDS', 'REPLACEMENT_UNDERPRICED', 'CALL_EXCEPTION'];
+
+let wallet = null;
+let nextNonce = null;
+
+// Serializes nonce assignment and broadcast; receipts are awaited outside it
+let sendQueue = Promise.resolve();
+
+/**
+ * Run a function once all previously queued sends have finished
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+function withSendLock(fn) {
+  const run = sendQueue.then(fn);
+  sendQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Raise transaction fees by a percentage, rounding up
+ * @param {Object} fees - { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+ * @param {number} percent - Percentage increase
+ * @returns {Object} Bumped fees
+ */
+export function bumpFees(fees, percent) {
+  const bump = (value) => (value * BigInt(100 + percent) + 99n) / 100n;
+
+  if (fees.gasPrice != null) {
+    return { gasPrice: bump(fees.gasPrice) };
+  }
+
+  return {
+    maxFeePerGas: bump(fees.maxFeePerGas),
+    maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas),
+  };
+}
+
+/**
+ * Take the higher of two fee sets, field by field
+ * @param {Object} a - Fees
+ * @param {Object} b - Fees of the same type
+ * @returns {Object} Higher fees
+ */
+export function maxFees(a, b) {
+  const max = (x, y) => (x > y ? x : y);
+
+  if (a.gasPrice != null) {
+    return { gasPrice: max(a.gasPrice, b.gasPrice ?? 0n) };
+  }
+
+  return {
+    maxFeePerGas: max(a.maxFeePerGas, b.maxFeePerGas ?? 0n),
+    maxPriorityFeePerGas: max(a.maxPriorityFeePerGas, b.maxPriorityFeePerGas ?? 0n),
+  };
+}
+
+/**
+ * Read the fees of a stored transaction
+ * @param {Object} row - executor_transactions row
+ * @returns {Object} Fees as bigints
+ */
+function rowFees(row) {
+  if (row.gas_price !== null) {
+    return { gasPrice: BigInt(row.gas_price) };
+  }
+
+  return {
+    maxFeePerGas: BigInt(row.max_fee_per_gas),
+    maxPriorityFeePerGas: BigInt(row.max_priority_fee_per_gas),
+  };
+}
+
+/**
+ * Get current network fees (EIP-1559 where supported)
+ * @returns {Promise<Object>} Fees as bigints
+ */
+async function getNetworkFees() {
+  const feeData = await observeRpc('getFeeData', () => wallet.provider.getFeeData());
+
+  if (feeData.maxFeePerGas != null) {
+    return {
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+    };
+  }
+
+  return { gasPrice: feeData.gasPrice };
+}
+
+/**
+ * Get the executor's next nonce according to the node
+ * @param {string} blockTag - 'latest' or 'pending'
+ * @returns {Promise<number>} Transaction count
+ */
+async function getChainNonce(blockTag) {
+  return await observeRpc('getTransactionCount', () =>
+    wallet.provider.getTransactionCount(wallet.address, blockTag)
+  );
+}
+
+/**
+ * Get a stored executor transaction
+ * @param {number} nonce - Transaction nonce
+ * @returns {Object|undefined} executor_transactions row
+ */
+export function getExecutorTransaction(nonce) {
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM executor_transactions WHERE nonce = ?').get(nonce);
+}
+
+/**
+ * Count executor transactions not yet mined
+ * @returns {number} Number of pending transactions
+ */
+export function getPendingTransactionCount() {
+  const db = getDatabase();
+  return db
+    .prepare("SELECT COUNT(*) as count FROM executor_transactions WHERE status = 'pending'")
+    .get().count;
+}
+
+/**
+ * Find a stored transaction still pending with the same call
+ * A retry of an operation whose wait timed out encodes the same call again.
+ * @param {Object} request - Transaction request with `to` and `data`
+ * @returns {Object|undefined} executor_transactions row
+ */
+function findPendingTransaction(request) {
+  const db = getDatabase();
+  return db
+    .prepare(
+      `SELECT * FROM executor_transactions
+       WHERE status = 'pending' AND to_address = ? AND data = ?
+       ORDER BY nonce ASC LIMIT 1`
+    )
+    .get(request.to, request.data);
+}
+
+/**
+ * Set the final status of a stored transaction
+ * @param {number} nonce - Transaction nonce
+ * @param {string} status - 'mined', 'reverted' or 'dropped'
+ * @param {string} [txHash] - Hash of the mined transaction
+ */
+function settleTransaction(nonce, status, txHash = null) {
+  const db = getDatabase();
+  db.prepare(
+    `UPDATE executor_transactions
+     SET status = ?, tx_hash = COALESCE(?, tx_hash), updated_at = ?
+     WHERE nonce = ?`
+  ).run(status, txHash, Date.now(), nonce);
+}
+
+/**
+ * Set the next nonce from the node and the stored pending transactions
+ * Stored transactions may not have reached the node's mempool yet.
+ */
+async function syncNonce() {
+  const db = getDatabase();
+  const { maxNonce } = db
+    .prepare("SELECT MAX(nonce) as maxNonce FROM executor_transactions WHERE status = 'pending'")
+    .get();
+
+  const chainNonce = await getChainNonce('pending');
+  nextNonce = Math.max(chainNonce, maxNonce === null ? 0 : maxNonce + 1);
+}
+
+/**
+ * Initialize the transaction manager and recover pending transactions
+ * Pending transactions from a previous run keep being monitored and bumped
+ * in the background; the event indexer reconciles their effects.
+ * @param {ethers.Wallet} executorWallet - Wallet connected to a provider
+ */
+export async function initTxManager(executorWallet) {
+  wallet = executorWallet;
+
+  const db = getDatabase();
+  const pending = db
+    .prepare("SELECT * FROM executor_transactions WHERE status = 'pending' ORDER BY nonce ASC")
+    .all();
+
+  try {
+    await syncNonce();
+  } catch (error) {
+    // Retried on the first send
+    console.error('Failed to sync executor nonce:', error.message);
+  }
+
+  for (const row of pending) {
+    // Nothing is waiting on these, so they are followed until they settle
+    waitForTransaction(row.nonce, Infinity).catch((error) => {
+      console.error(`Recovered transaction ${row.label} (nonce ${row.nonce}) failed:`, error.message);
+    });
+  }
+
+  console.log('Transaction manager initialized:', {
+    nextNonce,
+    recovered: pending.length,
+  });
+}
+
+/**
+ * Sign a transaction for a nonce
+ * @param {Object} fields - { to, data, nonce, gasLimit, fees }
+ * @returns {Promise<{signed: string, hash: string}>} Signed transaction and its hash
+ */
+async function signTransaction({ to, data, nonce, gasLimit, fees }) {
+  const signed = await wallet.signTransaction({
+    to,
+    data,
+    nonce,
+    gasLimit,
+    chainId: config.chain.chainId,
+    type: fees.gasPrice != null ? 0 : 2,
+    ...fees,
+  });
+
+  return { signed, hash: ethers.keccak256(signed) };
+}
+
+/**
+ * Broadcast a signed transaction
+ * @param {string} label - Operation label
+ * @param {string} signed - Signed raw transaction
+ */
+async function broadcast(label, signed) {
+  await observeRpc(label, () => wallet.provider.broadcastTransaction(signed));
+}
+
+/**
+ * Serialize fees for storage
+ * @param {Object} fees - Fees as bigints
+ * @returns {Array} [max_fee_per_gas, max_priority_fee_per_gas, gas_price]
+ */
+function feeColumns(fees) {
+  return [
+    fees.maxFeePerGas?.toString() ?? null,
+    fees.maxPriorityFeePerGas?.toString() ?? null,
+    fees.gasPrice?.toString() ?? null,
+  ];
+}
+
+/**
+ * Sign and broadcast an executor transaction, then wait for it to be mined
+ * The transaction is persisted before it is broadcast so it can be recovered
+ * after a restart. If the same call is still pending from an earlier send whose
+ * wait timed out, that transaction is waited for instead.
+ * @param {string} label - Operation label for metrics and logs (e.g. 'executeMint')
+ * @param {Object} request - Transaction request with `to` and `data`
+ * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+ */
+export async function sendTransaction(label, request) {
+  if (!wallet) {
+    throw new Error('Transaction manager not initialized. Call initTxManager() first.');
+  }
+
+  const nonce = await withSendLock(async () => {
+    const db = getDatabase();
+
+    const inFlight = findPendingTransaction(request);
+    if (inFlight) {
+      console.log(`${label} already pending as nonce ${inFlight.nonce}, waiting for it`);
+      return inFlight.nonce;
+    }
+
+    // Estimating first surfaces reverts before a nonce is used
+    const gasLimit = await observeRpc('estimateGas', () =>
+      wallet.estimateGas({ ...request, from: wallet.address })
+    );
+    const fees = await getNetworkFees();
+    if (nextNonce === null) {
+      await syncNonce();
+    }
+    const assignedNonce = nextNonce;
+
+    const { signed, hash } = await signTransaction({ ...request, nonce: assignedNonce, gasLimit, fees });
+    const broadcastBlock = await observeRpc('getBlockNumber', () => wallet.provider.getBlockNumber());
+    const now = Date.now();
+
+    db.prepare(
+      `INSERT OR REPLACE INTO executor_transactions
+       (nonce, label, to_address, data, gas_limit, max_fee_per_gas, max_priority_fee_per_gas,
+        gas_price, tx_hash, tx_hashes, status, bumps, broadcast_block, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)`
+    ).run(
+      assignedNonce,
+      label,
+      request.to,
+      request.data,
+      gasLimit.toString(),
+      ...feeColumns(fees),
+      hash,
+      JSON.stringify([hash]),
+      broadcastBlock,
+      now,
+      now
+    );
+
+    try {
+      await broadcast(label, signed);
+    } catch (error) {
+      if (REJECTED_ERROR_CODES.includes(error.code)) {
+        db.prepare('DELETE FROM executor_transactions WHERE nonce = ?').run(assignedNonce);
+
+        // Another sender used our nonce; resync so the next send succeeds
+        if (error.code === 'NONCE_EXPIRED') {
+          nextNonce = null;
+        }
+        throw error;
+      }
+
+      // The node may still have accepted it (e.g. timeout); fee bumps rebroadcast it otherwise
+      console.warn(`Broadcast of ${label} (nonce ${assignedNonce}) uncertain:`, error.message);
+    }
+
+    nextNonce = assignedNonce + 1;
+    return assignedNonce;
+  });
+
+  return await waitForTransaction(nonce);
+}
+
+/**
+ * Rebroadcast a stuck transaction with the same nonce and a higher fee
+ * @param {Object} row - executor_transactions row
+ * @param {number} blockNumber - Current block number
+ */
+async function bumpTransaction(row, blockNumber) {
+  const { bumpPercent } = config.transactions;
+  const fees = maxFees(bumpFees(rowFees(row), bumpPercent), await getNetworkFees());
+
+  const { signed, hash } = await signTransaction({
+    to: row.to_address,
+    data: row.data,
+    nonce: row.nonce,
+    gasLimit: BigInt(row.gas_limit),
+    fees,
+  });
+
+  getDatabase()
+    .prepare(
+      `UPDATE executor_transactions
+       SET tx_hash = ?, tx_hashes = ?, max_fee_per_gas = ?, max_priority_fee_per_gas = ?,
+           gas_price = ?, bumps = bumps + 1, broadcast_block = ?, updated_at = ?
+       WHERE nonce = ?`
+    )
+    .run(
+      hash,
+      JSON.stringify([...JSON.parse(row.tx_hashes), hash]),
+      ...feeColumns(fees),
+      blockNumber,
+      Date.now(),
+      row.nonce
+    );
+
+  try {
+    await broadcast(row.label, signed);
+  } catch (error) {
+    // The original may have been mined in the meantime; the next poll finds it
+    console.warn(`Failed to bump ${row.label} (nonce ${row.nonce}):`, error.message);
+    return;
+  }
+
+  metrics.txReplacements.inc({ label: row.label });
+  console.log(`Bumped ${row.label} (nonce ${row.nonce}) to ${hash}`);
+}
+
+/**
+ * Check a stored transaction once, bumping its fee if it is stuck
+ * @param {number} nonce - Transaction nonce
+ * @returns {Promise<ethers.TransactionReceipt|null>} Receipt, or null while still pending
+ */
+async function checkTransaction(nonce) {
+  const { bumpAfterBlocks, maxBumps } = config.transactions;
+  const row = getExecutorTransaction(nonce);
+
+  // Read before the receipts, so a transaction mined in between is not taken as dropped
+  const chainNonce = await getChainNonce('latest');
+
+  // Any broadcast version may be the one that gets mined
+  for (const hash of JSON.parse(row.tx_hashes)) {
+    const receipt = await observeRpc('getTransactionReceipt', () =>
+      wallet.provider.getTransactionReceipt(hash)
+    );
+
+    if (receipt) {
+      if (receipt.status === 0) {
+        settleTransaction(nonce, 'reverted', hash);
+        throw new TransactionFailedError(`Transaction ${hash} (${row.label}) reverted`);
+      }
+
+      settleTransaction(nonce, 'mined', hash);
+      return receipt;
+    }
+  }
+
+  // The nonce was consumed by a transaction we did not broadcast
+  if (chainNonce > nonce) {
+    settleTransaction(nonce, 'dropped');
+    throw new TransactionFailedError(`Transaction ${row.label} (nonce ${nonce}) was replaced outside the manager`);
+  }
+
+  const blockNumber = await observeRpc('getBlockNumber', () => wallet.provider.getBlockNumber());
+  if (row.bumps < maxBumps && blockNumber - row.broadcast_block >= bumpAfterBlocks) {
+    await bumpTransaction(row, blockNumber);
+  }
+
+  return null;
+}
+
+/**
+ * Poll a transaction check until it returns a receipt or the wait budget runs out
+ * RPC errors while polling are logged and retried on the next poll; once the budget
+ * is used up, the last one is thrown (or a TransactionTimeoutError if the last poll
+ * found the transaction still pending).
+ * @param {Function} check - Async function resolving to a receipt, or null while pending
+ * @param {number} nonce - Transaction nonce (for logs and errors)
+ * @param {Object} options - Polling options
+ * @param {number} options.timeoutMs - Wait budget in milliseconds
+ * @param {number} options.pollIntervalMs - Delay between polls in milliseconds
+ * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+ */
+export async function pollTransaction(check, nonce, { timeoutMs, pollIntervalMs }) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    let rpcError = null;
+
+    try {
+      const receipt = await check(nonce);
+      if (receipt) {
+        return receipt;
+      }
+    } catch (error) {
+      if (error instanceof TransactionFailedError) {
+        throw error;
+      }
+      console.warn(`Error polling transaction nonce ${nonce}:`, error.message);
+      rpcError = error;
+    }
+
+    if (Date.now() + pollIntervalMs > deadline) {
+      if (rpcError) {
+        throw rpcError;
+      }
+
+      throw new TransactionTimeoutError(`Transaction nonce ${nonce} not mined within ${timeoutMs}ms`);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+  }
+}
+
+/**
+ * Poll until a stored transaction (or one of its replacements) is mined
+ * Bumps the fee once it has been pending for `bumpAfterBlocks` blocks. Gives up after
+ * TX_WAIT_TIMEOUT_MS so callers can queue the operation for retry.
+ * @param {number} nonce - Transaction nonce
+ * @param {number} timeoutMs - Wait budget in milliseconds
+ * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+ */
+export async function waitForTransaction(nonce, timeoutMs = config.transactions.waitTimeoutMs) {
+  return await pollTransaction(checkTransaction, nonce, {
+    timeoutMs,
+    pollIntervalMs: config.transactions.pollIntervalMs,
+  });
+}
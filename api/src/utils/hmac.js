@@ -2,27 +2,93 @@ import { createHmac, timingSafeEqual } from 'crypto';
 import { config } from '../config.js';
 
 /**
- * Generate HMAC signature for a request
- * @param {Object} payload - Request payload
- * @param {number} timestamp - Unix timestamp in milliseconds
+ * Request signature formats, selected per request with `X-Signature-Version`
+ */
+export const SIGNATURE_VERSIONS = {
+  // JSON.stringify(parsed body) + timestamp; breaks on key order or whitespace differences
+  V1: 'v1',
+  // "v2\n<timestamp>\n<METHOD>\n<path and query>\n<raw body>"
+  V2: 'v2',
+};
+
+/**
+ * Build the canonical string a request signature is computed over
+ * @param {string} version - Signature version (see SIGNATURE_VERSIONS)
+ * @param {Object} request - Signed request parts
+ * @param {number} request.timestamp - Unix timestamp in milliseconds
+ * @param {string} [request.method] - HTTP method (v2)
+ * @param {string} [request.path] - Request path including query string (v2)
+ * @param {Object} [request.body] - Parsed request body (v1)
+ * @param {string} [request.rawBody] - Request body exactly as received (v2)
+ * @returns {string} String to sign
+ */
+export function canonicalString(version, { timestamp, method, path, body, rawBody = '' }) {
+  if (version === SIGNATURE_VERSIONS.V2) {
+    return [SIGNATURE_VERSIONS.V2, timestamp.toString(), method.toUpperCase(), path, rawBody].join('\n');
+  }
+
+  return JSON.stringify(body) + timestamp.toString();
+}
+
+/**
+ * Build the canonical string of an incoming Express request
+ * @param {Object} req - Express request (with `rawBody` captured by the JSON parser)
+ * @param {string} version - Signature version
+ * @param {number} timestamp - Request timestamp
+ * @returns {string} String to verify the signature against
+ */
+export function requestSigningString(req, version, timestamp) {
+  return canonicalString(version, {
+    timestamp,
+    method: req.method,
+    path: req.originalUrl,
+    body: req.body,
+    rawBody: req.rawBody,
+  });
+}
+
+/**
+ * Resolve the signature version of a request
+ * Requests without `X-Signature-Version` use v1 until it is removed from
+ * ACCEPTED_SIGNATURE_VERSIONS.
+ * @param {Object} req - Express request
+ * @returns {string|null} Signature version, or null if missing/unknown and not accepted
+ */
+export function getSignatureVersion(req) {
+  const version = (req.headers['x-signature-version'] || SIGNATURE_VERSIONS.V1).toLowerCase();
+  return config.auth.signatureVersions.includes(version) ? version : null;
+}
+
+// HMAC-SHA256 in hex; anything else is rejected before it is decoded
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Sign a canonical string
+ * @param {string} message - Canonical string
+ * @param {string} [secret] - HMAC secret (defaults to the shared seed.json salt)
  * @returns {string} HMAC signature (hex)
  */
-export function generateHmac(payload, timestamp) {
-  const message = JSON.stringify(payload) + timestamp.toString();
-  const hmac = createHmac('sha256', config.secrets.hmacSalt);
+export function signString(message, secret = config.secrets.hmacSalt) {
+  const hmac = createHmac('sha256', secret);
   hmac.update(message);
   return hmac.digest('hex');
 }
 
 /**
- * Verify HMAC signature
+ * Verify a signature over a canonical string
  * @param {string} signature - Provided signature
- * @param {Object} payload - Request payload
- * @param {number} timestamp - Request timestamp
+ * @param {string} message - Canonical string
+ * @param {string} [secret] - HMAC secret (defaults to the shared seed.json salt)
  * @returns {boolean} True if signature is valid
  */
-export function verifyHmac(signature, payload, timestamp) {
-  const expected = generateHmac(payload, timestamp);
+export function verifySignature(signature, message, secret = config.secrets.hmacSalt) {
+  // Buffer.from(hex) drops a trailing odd or non-hex tail, so a suffixed copy of a
+  // signature would verify while looking new to the replay cache
+  if (typeof signature !== 'string' || !SIGNATURE_PATTERN.test(signature)) {
+    return false;
+  }
+
+  const expected = signString(message, secret);
 
   // Use timing-safe comparison to prevent timing attacks
   try {
@@ -39,16 +105,48 @@ export function verifyHmac(signature, payload, timestamp) {
   }
 }
 
+/**
+ * Generate a v1 HMAC signature for a request
+ * @param {Object} payload - Request payload
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {string} [secret] - HMAC secret (defaults to the shared seed.json salt)
+ * @returns {string} HMAC signature (hex)
+ */
+export function generateHmac(payload, timestamp, secret = config.secrets.hmacSalt) {
+  return signString(canonicalString(SIGNATURE_VERSIONS.V1, { body: payload, timestamp }), secret);
+}
+
+/**
+ * Verify a v1 HMAC signature
+ * @param {string} signature - Provided signature
+ * @param {Object} payload - Request payload
+ * @param {number} timestamp - Request timestamp
+ * @param {string} [secret] - HMAC secret (defaults to the shared seed.json salt)
+ * @returns {boolean} True if signature is valid
+ */
+export function verifyHmac(signature, payload, timestamp, secret = config.secrets.hmacSalt) {
+  return verifySignature(
+    signature,
+    canonicalString(SIGNATURE_VERSIONS.V1, { body: payload, timestamp }),
+    secret
+  );
+}
+
 /**
  * Check if timestamp is fresh (within acceptable window)
  * @param {number} timestamp - Unix timestamp in milliseconds
- * @param {number} maxAgeMs - Maximum age in milliseconds (default: 5 minutes)
+ * @param {number} maxAgeMs - Maximum age in milliseconds (default: REPLAY_WINDOW_SECONDS)
+ * @param {number} maxFutureDriftMs - Tolerated clock skew ahead of the server (default: REPLAY_MAX_FUTURE_DRIFT_SECONDS)
  * @returns {boolean} True if timestamp is fresh
  */
-export function isTimestampFresh(timestamp, maxAgeMs = 300000) {
+export function isTimestampFresh(
+  timestamp,
+  maxAgeMs = config.replay.windowMs,
+  maxFutureDriftMs = config.replay.maxFutureDriftMs
+) {
   const now = Date.now();
   const age = now - timestamp;
 
-  // Check if timestamp is in the past and not too old
-  return age >= 0 && age <= maxAgeMs;
+  // Check if timestamp is not too old and not too far in the future
+  return age >= -maxFutureDriftMs && age <= maxAgeMs;
 }
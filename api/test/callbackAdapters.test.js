@@ -0,0 +1,264 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { config } from '../src/config.js';
+import { canonicalString, signString, SIGNATURE_VERSIONS } from '../src/utils/hmac.js';
+import { PAYMENT_STATUS } from '../src/services/payments.js';
+import { mpesaAdapter, darajaAdapter } from '../src/adapters/mpesa.js';
+import { bankTransferAdapter, mapTransferStatus } from '../src/adapters/bankTransfer.js';
+import {
+  registerDefaultCallbackAdapters,
+  getCallbackAdapter,
+} from '../src/services/callbackAdapters.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Load a callback payload from test/fixtures
+ * @param {string} provider - Fixture directory
+ * @param {string} name - Fixture file name without extension
+ * @returns {Object} Parsed payload
+ */
+function fixture(provider, name) {
+  return JSON.parse(readFileSync(join(__dirname, 'fixtures', provider, `${name}.json`), 'utf-8'));
+}
+
+/**
+ * Build a v2-signed request as the JSON parser hands it to a route
+ * @param {string} path - Request path
+ * @param {Object} body - Payload
+ * @param {Object} options - Signing options
+ * @param {string} options.header - Signature header
+ * @param {string} options.secret - Secret to sign with
+ * @param {number} [options.timestamp] - Request timestamp
+ * @returns {Object} Request-like object
+ */
+function signedRequest(path, body, { header, secret, timestamp = Date.now() }) {
+  const rawBody = JSON.stringify(body);
+  const message = canonicalString(SIGNATURE_VERSIONS.V2, { timestamp, method: 'POST', path, rawBody });
+
+  return {
+    method: 'POST',
+    originalUrl: path,
+    body,
+    rawBody,
+    query: {},
+    headers: {
+      [header]: signString(message, secret),
+      'x-timestamp': timestamp.toString(),
+      'x-signature-version': SIGNATURE_VERSIONS.V2,
+    },
+  };
+}
+
+describe('Callback Adapters', () => {
+  describe('registry', () => {
+    it('should register the built-in rails', () => {
+      registerDefaultCallbackAdapters();
+
+      assert.strictEqual(getCallbackAdapter('mpesa'), mpesaAdapter);
+      assert.strictEqual(getCallbackAdapter('daraja'), darajaAdapter);
+      assert.strictEqual(getCallbackAdapter('bank-transfer'), bankTransferAdapter);
+      assert.strictEqual(getCallbackAdapter('missing'), undefined);
+    });
+  });
+
+  describe('mpesa', () => {
+    const path = '/callbacks/mpesa';
+    const header = 'x-mpesa-signature';
+
+    it('should verify callbacks signed with the M-PESA secret', () => {
+      const body = fixture('mpesa', 'confirmation');
+      const req = signedRequest(path, body, { header, secret: config.rails.mpesa.webhookSecret });
+
+      const verification = mpesaAdapter.verify(req);
+
+      assert.strictEqual(verification.error, undefined);
+      assert.strictEqual(verification.signature, req.headers[header]);
+      assert.strictEqual(verification.version, SIGNATURE_VERSIONS.V2);
+    });
+
+    it('should reject callbacks signed with another rail secret', () => {
+      const req = signedRequest(path, fixture('mpesa', 'confirmation'), { header, secret: 'bank-secret' });
+      assert.deepStrictEqual(mpesaAdapter.verify(req), { error: 'Invalid signature' });
+    });
+
+    it('should reject stale callbacks', () => {
+      const req = signedRequest(path, fixture('mpesa', 'confirmation'), {
+        header,
+        secret: config.rails.mpesa.webhookSecret,
+        timestamp: Date.now() - 60 * 60 * 1000,
+      });
+
+      assert.deepStrictEqual(mpesaAdapter.verify(req), { error: 'Callback timestamp is too old or in the future' });
+    });
+
+    it('should normalize the flat confirmation', () => {
+      const body = fixture('mpesa', 'confirmation');
+
+      assert.deepStrictEqual(mpesaAdapter.normalize(body), {
+        payment: {
+          status: PAYMENT_STATUS.PAID,
+          intentId: body.intentId,
+          txRef: 'MPESA-ABC123',
+          userAddress: body.userAddress,
+          amount: '1000000000000000000',
+          currency: 'KES',
+        },
+      });
+    });
+
+    it('should reject a confirmation without an amount', () => {
+      const { amount, ...body } = fixture('mpesa', 'confirmation');
+      assert.match(mpesaAdapter.normalize(body).error, /Missing required fields/);
+    });
+
+    it('should normalize signed Daraja-shaped callbacks', () => {
+      const { payment } = mpesaAdapter.normalize(fixture('daraja', 'stk-success'));
+
+      assert.strictEqual(payment.status, PAYMENT_STATUS.PAID);
+      assert.strictEqual(payment.checkoutRequestId, 'ws_CO_191220191020363925');
+    });
+  });
+
+  describe('daraja', () => {
+    it('should verify the callback token', () => {
+      const previous = config.daraja.callbackToken;
+      config.daraja.callbackToken = 'daraja-token';
+
+      try {
+        assert.deepStrictEqual(darajaAdapter.verify({ query: { token: 'daraja-token' } }), {});
+        assert.deepStrictEqual(darajaAdapter.verify({ query: { token: 'other' } }), {
+          error: 'Invalid callback token',
+        });
+      } finally {
+        config.daraja.callbackToken = previous;
+      }
+    });
+
+    it('should normalize a paid STK callback', () => {
+      assert.deepStrictEqual(darajaAdapter.normalize(fixture('daraja', 'stk-success')), {
+        payment: {
+          status: PAYMENT_STATUS.PAID,
+          checkoutRequestId: 'ws_CO_191220191020363925',
+          amount: '1000000000000000000',
+          currency: 'KES',
+          receipt: 'NLJ7RT61SV',
+          phoneNumber: '254708374149',
+          description: 'ResultCode 0: The service request is processed successfully.',
+        },
+      });
+    });
+
+    it('should map unsuccessful result codes to failed', () => {
+      for (const name of ['stk-cancelled', 'stk-timeout', 'stk-insufficient-balance']) {
+        const { payment } = darajaAdapter.normalize(fixture('daraja', name));
+        assert.strictEqual(payment.status, PAYMENT_STATUS.FAILED, name);
+      }
+
+      assert.strictEqual(darajaAdapter.mapStatus(0), PAYMENT_STATUS.PAID);
+      assert.strictEqual(darajaAdapter.mapStatus(1032), PAYMENT_STATUS.FAILED);
+    });
+
+    it('should reject payloads without an stkCallback', () => {
+      assert.deepStrictEqual(darajaAdapter.normalize({ Body: {} }), {
+        error: 'Invalid Daraja STK callback payload',
+      });
+    });
+  });
+
+  describe('bank-transfer', () => {
+    const path = '/callbacks/bank-transfer';
+    const header = 'x-bank-signature';
+
+    /**
+     * Run a test with a bank transfer webhook secret configured
+     * @param {string} secret - Webhook secret
+     * @param {Function} fn - Test body
+     */
+    function withBankSecret(secret, fn) {
+      const previous = config.rails.bankTransfer.webhookSecret;
+      config.rails.bankTransfer.webhookSecret = secret;
+
+      try {
+        fn();
+      } finally {
+        config.rails.bankTransfer.webhookSecret = previous;
+      }
+    }
+
+    it('should verify callbacks signed with the bank transfer secret', () => {
+      withBankSecret('bank-secret', () => {
+        const req = signedRequest(path, fixture('bank-transfer', 'completed'), { header, secret: 'bank-secret' });
+        assert.strictEqual(bankTransferAdapter.verify(req).error, undefined);
+      });
+    });
+
+    it('should reject callbacks signed with the M-PESA secret', () => {
+      withBankSecret('bank-secret', () => {
+        const req = signedRequest(path, fixture('bank-transfer', 'completed'), {
+          header,
+          secret: config.rails.mpesa.webhookSecret,
+        });
+
+        assert.deepStrictEqual(bankTransferAdapter.verify(req), { error: 'Invalid signature' });
+      });
+    });
+
+    it('should reject every callback while no secret is configured', () => {
+      withBankSecret('', () => {
+        const req = signedRequest(path, fixture('bank-transfer', 'completed'), { header, secret: '' });
+        assert.deepStrictEqual(bankTransferAdapter.verify(req), { error: 'Invalid signature' });
+      });
+    });
+
+    it('should reject callbacks without a signature header', () => {
+      const req = signedRequest(path, fixture('bank-transfer', 'completed'), { header: 'x-other', secret: 'x' });
+      assert.deepStrictEqual(bankTransferAdapter.verify(req), { error: 'Missing signature or timestamp' });
+    });
+
+    it('should normalize a completed transfer', () => {
+      assert.deepStrictEqual(bankTransferAdapter.normalize(fixture('bank-transfer', 'completed')), {
+        payment: {
+          status: PAYMENT_STATUS.PAID,
+          txRef: 'BANK-REF-001',
+          amount: '1500000000000000000',
+          currency: 'KES',
+          receipt: 'TRF-20240611-000123',
+          description: 'completed',
+        },
+      });
+    });
+
+    it('should normalize a returned transfer as failed', () => {
+      const { payment } = bankTransferAdapter.normalize(fixture('bank-transfer', 'failed'));
+
+      assert.strictEqual(payment.status, PAYMENT_STATUS.FAILED);
+      assert.strictEqual(payment.description, 'returned: Account closed');
+    });
+
+    it('should normalize a processing transfer as pending', () => {
+      const { payment } = bankTransferAdapter.normalize(fixture('bank-transfer', 'pending'));
+      assert.strictEqual(payment.status, PAYMENT_STATUS.PENDING);
+    });
+
+    it('should reject unknown statuses and missing references', () => {
+      const body = fixture('bank-transfer', 'completed');
+
+      assert.deepStrictEqual(bankTransferAdapter.normalize({ ...body, status: 'lost' }), {
+        error: 'Unknown transfer status: lost',
+      });
+      assert.deepStrictEqual(bankTransferAdapter.normalize({ ...body, reference: '' }), {
+        error: 'Missing required fields: transferId, reference',
+      });
+    });
+
+    it('should map transfer statuses case-insensitively', () => {
+      assert.strictEqual(mapTransferStatus('SETTLED'), PAYMENT_STATUS.PAID);
+      assert.strictEqual(mapTransferStatus('cancelled'), PAYMENT_STATUS.FAILED);
+      assert.strictEqual(mapTransferStatus(undefined), null);
+    });
+  });
+});
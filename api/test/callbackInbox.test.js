@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { PAYMENT_STATUS } from '../src/services/payments.js';
+import { deliveryKey, isSettledOutcome } from '../src/services/callbackInbox.js';
+
+describe('Callback Inbox', () => {
+  describe('deliveryKey', () => {
+    it('should key flat M-PESA confirmations by transaction reference and intentId', () => {
+      const payment = {
+        status: PAYMENT_STATUS.PAID,
+        intentId: '0x' + 'ab'.repeat(32),
+        txRef: 'MPESA-ABC123',
+        amount: '1000000000000000000',
+      };
+
+      assert.deepStrictEqual(deliveryKey('mpesa', payment), {
+        provider: 'mpesa',
+        receipt: 'MPESA-ABC123',
+        intentRef: payment.intentId,
+        paymentStatus: PAYMENT_STATUS.PAID,
+      });
+    });
+
+    it('should key Daraja callbacks by receipt and CheckoutRequestID', () => {
+      const key = deliveryKey('daraja', {
+        status: PAYMENT_STATUS.PAID,
+        checkoutRequestId: 'ws_CO_191220191020363925',
+        receipt: 'NLJ7RT61SV',
+      });
+
+      assert.strictEqual(key.receipt, 'NLJ7RT61SV');
+      assert.strictEqual(key.intentRef, 'ws_CO_191220191020363925');
+    });
+
+    it('should key failures without a receipt by the intent alone', () => {
+      const key = deliveryKey('daraja', {
+        status: PAYMENT_STATUS.FAILED,
+        checkoutRequestId: 'ws_CO_191220191020363925',
+      });
+
+      assert.strictEqual(key.receipt, '');
+    });
+
+    it('should tell status changes of one bank transfer apart', () => {
+      const transfer = { txRef: 'BANK-REF-001', receipt: 'TRF-20240611-000123' };
+      const pending = deliveryKey('bank-transfer', { ...transfer, status: PAYMENT_STATUS.PENDING });
+      const paid = deliveryKey('bank-transfer', { ...transfer, status: PAYMENT_STATUS.PAID });
+
+      assert.strictEqual(pending.intentRef, 'BANK-REF-001');
+      assert.notDeepStrictEqual(pending, paid);
+    });
+  });
+
+  describe('isSettledOutcome', () => {
+    it('should keep decisions for redeliveries', () => {
+      for (const statusCode of [200, 400, 409, 422]) {
+        assert.strictEqual(isSettledOutcome(statusCode), true, String(statusCode));
+      }
+    });
+
+    it('should let redeliveries retry queued outcomes', () => {
+      assert.strictEqual(isSettledOutcome(202), false);
+    });
+
+    it('should let redeliveries retry server errors and unknown intents', () => {
+      for (const statusCode of [404, 500, 502]) {
+        assert.strictEqual(isSettledOutcome(statusCode), false, String(statusCode));
+      }
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { config } from '../src/config.js';
+import { isSecretActive, ensureBootstrapAdminClient } from '../src/services/clients.js';
+
+describe('API Clients', () => {
+  describe('isSecretActive', () => {
+    const secret = {
+      valid_from: 1000,
+      valid_until: null,
+      revoked_at: null,
+    };
+
+    it('should accept a secret inside its validity window', () => {
+      assert.strictEqual(isSecretActive(secret, 1000), true);
+      assert.strictEqual(isSecretActive({ ...secret, valid_until: 5000 }, 4999), true);
+    });
+
+    it('should reject a secret that is not valid yet', () => {
+      assert.strictEqual(isSecretActive(secret, 999), false);
+    });
+
+    it('should reject a secret past its validity window', () => {
+      assert.strictEqual(isSecretActive({ ...secret, valid_until: 5000 }, 5000), false);
+    });
+
+    it('should reject a revoked secret', () => {
+      assert.strictEqual(isSecretActive({ ...secret, revoked_at: 2000 }, 3000), false);
+    });
+
+    it('should keep old and new secrets valid during a rotation overlap', () => {
+      const oldSecret = { ...secret, valid_until: 10000 };
+      const newSecret = { ...secret, valid_from: 5000 };
+
+      assert.strictEqual(isSecretActive(oldSecret, 7000), true);
+      assert.strictEqual(isSecretActive(newSecret, 7000), true);
+      assert.strictEqual(isSecretActive(oldSecret, 10000), false);
+    });
+  });
+
+  describe('ensureBootstrapAdminClient', () => {
+    it('should do nothing unless both the ID and secret are configured', () => {
+      const original = config.auth.bootstrapAdmin;
+      try {
+        config.auth.bootstrapAdmin = { id: '', secret: '' };
+        assert.strictEqual(ensureBootstrapAdminClient(), null);
+        config.auth.bootstrapAdmin = { id: 'ops-admin', secret: '' };
+        assert.strictEqual(ensureBootstrapAdminClient(), null);
+      } finally {
+        config.auth.bootstrapAdmin = original;
+      }
+    });
+  });
+});
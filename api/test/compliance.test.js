@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { config } from '../src/config.js';
+import {
+  COMPLIANCE_ACTIONS,
+  COMPLIANCE_REASONS,
+  evaluateCompliance,
+  checkUserCompliance,
+  serializeComplianceAudit,
+} from '../src/services/compliance.js';
+
+const NOW = 1_700_000_000_000;
+
+const rules = { maxRiskScore: 83, requireAttestation: true, minAttestationAge: 0 };
+
+/**
+ * Build a UserRegistry record of a compliant user
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} Record as returned by getUserCompliance()
+ */
+function user(overrides = {}) {
+  return {
+    riskScore: 20,
+    attestationHash: ethers.id('kyc-document'),
+    lastUpdated: NOW / 1000 - 3600,
+    isVerified: true,
+    ...overrides,
+  };
+}
+
+describe('Compliance', () => {
+  describe('evaluateCompliance', () => {
+    it('should pass a verified user with an attestation and acceptable risk', () => {
+      assert.deepStrictEqual(evaluateCompliance(user(), rules, NOW), {
+        compliant: true,
+        reason: null,
+        riskScore: 20,
+      });
+    });
+
+    it('should reject users missing from the registry', () => {
+      const unregistered = user({ riskScore: 0, attestationHash: ethers.ZeroHash, lastUpdated: 0, isVerified: false });
+      assert.strictEqual(evaluateCompliance(unregistered, rules, NOW).reason, COMPLIANCE_REASONS.NOT_REGISTERED);
+    });
+
+    it('should reject users without KYC', () => {
+      assert.strictEqual(
+        evaluateCompliance(user({ isVerified: false }), rules, NOW).reason,
+        COMPLIANCE_REASONS.NOT_VERIFIED
+      );
+    });
+
+    it('should allow the maximum risk score and reject anything above it', () => {
+      assert.strictEqual(evaluateCompliance(user({ riskScore: 83 }), rules, NOW).compliant, true);
+
+      const result = evaluateCompliance(user({ riskScore: 84 }), rules, NOW);
+      assert.strictEqual(result.reason, COMPLIANCE_REASONS.RISK_SCORE_TOO_HIGH);
+      assert.strictEqual(result.riskScore, 84);
+    });
+
+    it('should require an attestation only when configured', () => {
+      const unattested = user({ attestationHash: ethers.ZeroHash });
+
+      assert.strictEqual(evaluateCompliance(unattested, rules, NOW).reason, COMPLIANCE_REASONS.ATTESTATION_MISSING);
+      assert.strictEqual(
+        evaluateCompliance(unattested, { ...rules, requireAttestation: false }, NOW).compliant,
+        true
+      );
+    });
+
+    it('should reject attestations younger than the minimum age', () => {
+      const aged = { ...rules, minAttestationAge: 86400 };
+
+      assert.strictEqual(evaluateCompliance(user(), aged, NOW).reason, COMPLIANCE_REASONS.ATTESTATION_TOO_RECENT);
+      assert.strictEqual(
+        evaluateCompliance(user({ lastUpdated: NOW / 1000 - 86400 }), aged, NOW).compliant,
+        true
+      );
+    });
+
+    it('should use the seed.json rules by default', () => {
+      assert.strictEqual(config.compliance.maxRiskScore, 83);
+      assert.strictEqual(evaluateCompliance(user({ riskScore: 84 })).reason, COMPLIANCE_REASONS.RISK_SCORE_TOO_HIGH);
+    });
+  });
+
+  describe('checkUserCompliance', () => {
+    it('should surface registry read failures instead of caching them', async () => {
+      const address = '0x' + '11'.repeat(20);
+
+      await assert.rejects(checkUserCompliance(address), /not initialized/);
+      await assert.rejects(checkUserCompliance(address), /not initialized/);
+    });
+  });
+
+  describe('serializeComplianceAudit', () => {
+    it('should expose audit rows in camelCase with parsed changes', () => {
+      const previous = user({ riskScore: 90 });
+      const row = {
+        id: 7,
+        user_address: '0x' + 'ab'.repeat(20),
+        action: COMPLIANCE_ACTIONS.UPDATE_RISK,
+        changes: JSON.stringify({ riskScore: 40 }),
+        previous: JSON.stringify(previous),
+        client_id: 'ops-console',
+        officer_address: '0x' + 'cd'.repeat(20),
+        status: 'success',
+        tx_hash: '0x' + 'ef'.repeat(32),
+        error: null,
+        created_at: NOW,
+      };
+
+      assert.deepStrictEqual(serializeComplianceAudit(row), {
+        id: 7,
+        userAddress: row.user_address,
+        action: 'update_risk',
+        changes: { riskScore: 40 },
+        previous,
+        clientId: 'ops-console',
+        officerAddress: row.officer_address,
+        status: 'success',
+        txHash: row.tx_hash,
+        error: null,
+        createdAt: NOW,
+      });
+    });
+
+    it('should keep failed changes without a previous record', () => {
+      const audit = serializeComplianceAudit({
+        id: 8,
+        user_address: '0x' + 'ab'.repeat(20),
+        action: COMPLIANCE_ACTIONS.REGISTER,
+        changes: JSON.stringify({ riskScore: 10, attestationHash: ethers.ZeroHash, isVerified: true }),
+        previous: null,
+        client_id: 'ops-console',
+        officer_address: null,
+        status: 'failed',
+        tx_hash: null,
+        error: 'execution reverted',
+        created_at: NOW,
+      });
+
+      assert.strictEqual(audit.previous, null);
+      assert.strictEqual(audit.status, 'failed');
+      assert.strictEqual(audit.error, 'execution reverted');
+    });
+  });
+});
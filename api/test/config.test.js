@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { config } from '../src/config.js';
+import { config, buildCountryRegistry } from '../src/config.js';
 
 describe('Configuration', () => {
   describe('seed.json values', () => {
@@ -80,6 +80,59 @@ describe('Configuration', () => {
     });
   });
 
+  describe('country registry', () => {
+    it('should serve the seed.json country by default', () => {
+      assert.deepStrictEqual(Object.keys(config.countries), ['KES']);
+      assert.strictEqual(config.defaultCountry, 'KES');
+      assert.strictEqual(config.countries.KES.mintEscrow, config.contracts.mintEscrow);
+      assert.strictEqual(config.countries.KES.limits.dailyMintLimit, config.limits.dailyMintLimit);
+    });
+
+    it('should build per-country settings from registry entries', () => {
+      const countries = buildCountryRegistry({
+        kes: { mintEscrow: '0xescrow-kes', countryToken: '0xtoken-kes', paymentProvider: 'daraja' },
+        NGN: {
+          mintEscrow: '0xescrow-ngn',
+          countryToken: '0xtoken-ngn',
+          limits: { maxMintAmount: '500000000000000000000000' },
+        },
+      });
+
+      assert.deepStrictEqual(Object.keys(countries), ['KES', 'NGN']);
+      assert.strictEqual(countries.KES.paymentProvider, 'daraja');
+      assert.strictEqual(countries.NGN.paymentProvider, '');
+      assert.strictEqual(countries.NGN.mintEscrow, '0xescrow-ngn');
+      assert.strictEqual(countries.NGN.limits.maxMintAmount, 500000000000000000000000n);
+      assert.strictEqual(countries.NGN.limits.minMintAmount, config.limits.minMintAmount);
+    });
+  });
+
+  describe('refund policy', () => {
+    it('should enable automatic refund on rejection by default', () => {
+      assert.strictEqual(config.refunds.autoRefundOnRejection, true);
+    });
+
+    it('should have a positive pending TTL', () => {
+      assert.strictEqual(typeof config.refunds.pendingTtlSeconds, 'number');
+      assert.ok(config.refunds.pendingTtlSeconds > 0);
+    });
+  });
+
+  describe('confirmations', () => {
+    it('should require at least one confirmation', () => {
+      assert.ok(Number.isInteger(config.chain.confirmations));
+      assert.ok(config.chain.confirmations >= 1);
+    });
+  });
+
+  describe('replay protection', () => {
+    it('should default to a five minute window with bounded future drift', () => {
+      assert.strictEqual(config.replay.windowMs, 300000);
+      assert.ok(config.replay.maxFutureDriftMs >= 0);
+      assert.ok(config.replay.maxFutureDriftMs < config.replay.windowMs);
+    });
+  });
+
   describe('database paths', () => {
     it('should have database path configured', () => {
       assert.ok(config.database.path);
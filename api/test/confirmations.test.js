@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { confirmationCount } from '../src/services/confirmations.js';
+import { getMintEscrowRevert } from '../src/blockchain.js';
+
+describe('Confirmations', () => {
+  describe('confirmationCount', () => {
+    it('should count the inclusion block as one confirmation', () => {
+      assert.strictEqual(confirmationCount(100, 100), 1);
+    });
+
+    it('should count blocks built on top of the inclusion block', () => {
+      assert.strictEqual(confirmationCount(100, 111), 12);
+    });
+
+    it('should not go negative when the head lags the receipt', () => {
+      assert.strictEqual(confirmationCount(105, 100), 0);
+    });
+  });
+
+  describe('getMintEscrowRevert', () => {
+    const errors = new ethers.Interface(['error IntentAlreadyExecuted()', 'error IntentNotFound()']);
+
+    it('should name the MintEscrow error in the revert data', () => {
+      const data = errors.encodeErrorResult('IntentAlreadyExecuted', []);
+
+      assert.strictEqual(getMintEscrowRevert({ data }), 'IntentAlreadyExecuted');
+      assert.strictEqual(
+        getMintEscrowRevert({ info: { error: { data: errors.encodeErrorResult('IntentNotFound', []) } } }),
+        'IntentNotFound'
+      );
+    });
+
+    it('should return null for other failures', () => {
+      assert.strictEqual(getMintEscrowRevert(new Error('timeout')), null);
+      assert.strictEqual(getMintEscrowRevert({ data: '0xdeadbeef' }), null);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { config } from '../src/config.js';
+import {
+  DARAJA_RESULT_CODES,
+  parseStkCallback,
+  describeResult,
+  isValidCallbackToken,
+  darajaTimestamp,
+  stkPassword,
+  buildStkPushRequest,
+} from '../src/services/daraja.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Load a recorded Daraja callback payload
+ * @param {string} name - Fixture file name without extension
+ * @returns {Object} Parsed payload
+ */
+function fixture(name) {
+  return JSON.parse(readFileSync(join(__dirname, 'fixtures/daraja', `${name}.json`), 'utf-8'));
+}
+
+describe('Daraja STK Callbacks', () => {
+  describe('parseStkCallback', () => {
+    it('should parse a successful payment with its metadata', () => {
+      assert.deepStrictEqual(parseStkCallback(fixture('stk-success')), {
+        merchantRequestId: '29115-34620561-1',
+        checkoutRequestId: 'ws_CO_191220191020363925',
+        resultCode: DARAJA_RESULT_CODES.SUCCESS,
+        resultDesc: 'The service request is processed successfully.',
+        success: true,
+        amount: '1',
+        receipt: 'NLJ7RT61SV',
+        phoneNumber: '254708374149',
+        transactionDate: '20191219102115',
+      });
+    });
+
+    it('should parse failed payments without metadata', () => {
+      const cases = {
+        'stk-cancelled': DARAJA_RESULT_CODES.CANCELLED_BY_USER,
+        'stk-timeout': DARAJA_RESULT_CODES.USER_UNREACHABLE,
+        'stk-insufficient-balance': DARAJA_RESULT_CODES.INSUFFICIENT_BALANCE,
+      };
+
+      for (const [name, resultCode] of Object.entries(cases)) {
+        const callback = parseStkCallback(fixture(name));
+
+        assert.strictEqual(callback.success, false, name);
+        assert.strictEqual(callback.resultCode, resultCode, name);
+        assert.strictEqual(callback.receipt, null, name);
+        assert.strictEqual(callback.amount, null, name);
+      }
+    });
+
+    it('should accept a ResultCode sent as a string', () => {
+      const body = fixture('stk-cancelled');
+      body.Body.stkCallback.ResultCode = '1032';
+
+      assert.strictEqual(parseStkCallback(body).resultCode, 1032);
+    });
+
+    it('should reject payloads that are not STK callbacks', () => {
+      assert.strictEqual(parseStkCallback({}), null);
+      assert.strictEqual(parseStkCallback({ intentId: '0x01', txRef: 'MPESA-1' }), null);
+      assert.strictEqual(parseStkCallback({ Body: { stkCallback: { ResultCode: 0 } } }), null);
+    });
+
+    it('should reject a successful callback without a receipt', () => {
+      const body = fixture('stk-success');
+      body.Body.stkCallback.CallbackMetadata.Item = body.Body.stkCallback.CallbackMetadata.Item.filter(
+        (item) => item.Name !== 'MpesaReceiptNumber'
+      );
+
+      assert.strictEqual(parseStkCallback(body), null);
+
+      delete body.Body.stkCallback.CallbackMetadata;
+      assert.strictEqual(parseStkCallback(body), null);
+    });
+  });
+
+  describe('describeResult', () => {
+    it('should include the result code and description', () => {
+      assert.strictEqual(
+        describeResult(parseStkCallback(fixture('stk-cancelled'))),
+        'ResultCode 1032: Request cancelled by user'
+      );
+    });
+  });
+
+  describe('isValidCallbackToken', () => {
+    it('should reject every token while none is configured', () => {
+      const previous = config.daraja.callbackToken;
+      config.daraja.callbackToken = '';
+
+      try {
+        assert.strictEqual(isValidCallbackToken(''), false);
+        assert.strictEqual(isValidCallbackToken(undefined), false);
+      } finally {
+        config.daraja.callbackToken = previous;
+      }
+    });
+
+    it('should accept only the configured token', () => {
+      const previous = config.daraja.callbackToken;
+      config.daraja.callbackToken = 'daraja-token';
+
+      try {
+        assert.strictEqual(isValidCallbackToken('daraja-token'), true);
+        assert.strictEqual(isValidCallbackToken('daraja-tokem'), false);
+        assert.strictEqual(isValidCallbackToken('daraja'), false);
+        assert.strictEqual(isValidCallbackToken(['daraja-token']), false);
+      } finally {
+        config.daraja.callbackToken = previous;
+      }
+    });
+  });
+
+  describe('STK Push requests', () => {
+    it('should format timestamps in East Africa Time', () => {
+      assert.strictEqual(darajaTimestamp(Date.UTC(2019, 11, 19, 7, 20, 36)), '20191219102036');
+      assert.strictEqual(darajaTimestamp(Date.UTC(2019, 11, 31, 22, 0, 0)), '20200101010000');
+    });
+
+    it('should derive the password from shortcode, passkey and timestamp', () => {
+      assert.strictEqual(
+        stkPassword('174379', 'passkey', '20191219102036'),
+        Buffer.from('174379passkey20191219102036').toString('base64')
+      );
+    });
+
+    it('should build a CustomerPayBillOnline request', () => {
+      const previous = { ...config.daraja };
+      Object.assign(config.daraja, {
+        shortcode: '174379',
+        passkey: 'passkey',
+        callbackUrl: 'http://localhost:3000/callbacks/mpesa',
+      });
+
+      try {
+        const now = Date.UTC(2019, 11, 19, 7, 20, 36);
+        const request = buildStkPushRequest(
+          { txRef: 'MPESA-1234567890', phoneNumber: '254708374149', amount: '15' },
+          now
+        );
+
+        assert.deepStrictEqual(request, {
+          BusinessShortCode: '174379',
+          Password: stkPassword('174379', 'passkey', '20191219102036'),
+          Timestamp: '20191219102036',
+          TransactionType: 'CustomerPayBillOnline',
+          Amount: 15,
+          PartyA: '254708374149',
+          PartyB: '174379',
+          PhoneNumber: '254708374149',
+          CallBackURL: 'http://localhost:3000/callbacks/mpesa',
+          AccountReference: 'MPESA-123456',
+          TransactionDesc: 'FiatRails',
+        });
+      } finally {
+        Object.assign(config.daraja, previous);
+      }
+    });
+  });
+});
@@ -1,6 +1,14 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { generateHmac, verifyHmac, isTimestampFresh } from '../src/utils/hmac.js';
+import {
+  generateHmac,
+  verifyHmac,
+  isTimestampFresh,
+  canonicalString,
+  signString,
+  verifySignature,
+  SIGNATURE_VERSIONS,
+} from '../src/utils/hmac.js';
 
 describe('HMAC Utilities', () => {
   describe('generateHmac', () => {
@@ -77,6 +85,15 @@ describe('HMAC Utilities', () => {
       assert.strictEqual(result, false);
     });
 
+    it('should verify with a client secret and reject the shared salt', () => {
+      const payload = { amount: '1000' };
+      const timestamp = 1234567890000;
+      const signature = generateHmac(payload, timestamp, 'client-secret');
+
+      assert.strictEqual(verifyHmac(signature, payload, timestamp, 'client-secret'), true);
+      assert.strictEqual(verifyHmac(signature, payload, timestamp), false);
+    });
+
     it('should handle malformed signatures gracefully', () => {
       const payload = { amount: '1000' };
       const timestamp = 1234567890000;
@@ -85,6 +102,69 @@ describe('HMAC Utilities', () => {
       assert.strictEqual(verifyHmac('', payload, timestamp), false);
       assert.strictEqual(verifyHmac('abc', payload, timestamp), false);
     });
+
+    it('should reject a valid signature with anything appended', () => {
+      const payload = { amount: '1000' };
+      const timestamp = 1234567890000;
+      const signature = generateHmac(payload, timestamp);
+
+      assert.strictEqual(verifyHmac(signature, payload, timestamp), true);
+      for (const suffix of ['0', 'zz', 'ab', ' ']) {
+        assert.strictEqual(verifyHmac(signature + suffix, payload, timestamp), false, suffix);
+      }
+    });
+  });
+
+  describe('canonicalString', () => {
+    const timestamp = 1234567890000;
+
+    it('should keep the v1 format (re-serialized body + timestamp)', () => {
+      const body = { amount: '1000' };
+
+      assert.strictEqual(
+        canonicalString(SIGNATURE_VERSIONS.V1, { body, timestamp }),
+        '{"amount":"1000"}1234567890000'
+      );
+      assert.strictEqual(generateHmac(body, timestamp), signString('{"amount":"1000"}1234567890000'));
+    });
+
+    it('should build v2 from timestamp, method, path and raw body', () => {
+      const message = canonicalString(SIGNATURE_VERSIONS.V2, {
+        timestamp,
+        method: 'post',
+        path: '/mint-intents',
+        rawBody: '{ "amount": "1000" }',
+      });
+
+      assert.strictEqual(message, 'v2\n1234567890000\nPOST\n/mint-intents\n{ "amount": "1000" }');
+    });
+
+    it('should sign v2 bodies byte for byte, regardless of key order or whitespace', () => {
+      const request = { timestamp, method: 'POST', path: '/callbacks/mpesa' };
+      const raw = '{"txRef":"MPESA-1",  "intentId":"0x01"}';
+      const signature = signString(canonicalString('v2', { ...request, rawBody: raw }));
+
+      assert.strictEqual(verifySignature(signature, canonicalString('v2', { ...request, rawBody: raw })), true);
+      assert.strictEqual(
+        verifySignature(signature, canonicalString('v2', { ...request, rawBody: '{"intentId":"0x01","txRef":"MPESA-1"}' })),
+        false
+      );
+    });
+
+    it('should bind v2 signatures to the method and path', () => {
+      const request = { timestamp, method: 'POST', path: '/admin/clients', rawBody: '{}' };
+      const signature = signString(canonicalString('v2', request));
+
+      assert.strictEqual(verifySignature(signature, canonicalString('v2', { ...request, path: '/admin/webhooks' })), false);
+      assert.strictEqual(verifySignature(signature, canonicalString('v2', { ...request, method: 'PATCH' })), false);
+    });
+
+    it('should sign a missing body as an empty string', () => {
+      assert.strictEqual(
+        canonicalString('v2', { timestamp, method: 'GET', path: '/admin/dlq?status=pending' }),
+        'v2\n1234567890000\nGET\n/admin/dlq?status=pending\n'
+      );
+    });
   });
 
   describe('isTimestampFresh', () => {
@@ -120,6 +200,14 @@ describe('HMAC Utilities', () => {
       assert.strictEqual(isTimestampFresh(recent, 600000), true);
     });
 
+    it('should tolerate bounded clock drift into the future', () => {
+      const now = Date.now();
+
+      assert.strictEqual(isTimestampFresh(now + 10000, 300000, 30000), true);
+      assert.strictEqual(isTimestampFresh(now + 40000, 300000, 30000), false);
+      assert.strictEqual(isTimestampFresh(now + 10000, 300000, 0), false);
+    });
+
     it('should accept current timestamp', () => {
       const now = Date.now();
 
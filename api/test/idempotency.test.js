@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { config } from '../src/config.js';
+import { signString } from '../src/utils/hmac.js';
+import {
+  IDEMPOTENCY_ACTIONS,
+  scopedKey,
+  requestFingerprint,
+  resolveIdempotencyAction,
+} from '../src/middleware/idempotency.js';
+
+describe('Idempotency', () => {
+  describe('scopedKey', () => {
+    it('should hash the key with the idempotency salt', () => {
+      assert.strictEqual(
+        scopedKey('client-a', 'post', '/mint-intents', 'key-1'),
+        signString('client-a\nPOST\n/mint-intents\nkey-1', config.secrets.idempotencyKeySalt)
+      );
+    });
+
+    it('should scope the same key per client and route', () => {
+      const key = scopedKey('client-a', 'POST', '/mint-intents', 'key-1');
+
+      assert.notStrictEqual(key, scopedKey('client-b', 'POST', '/mint-intents', 'key-1'));
+      assert.notStrictEqual(key, scopedKey('client-a', 'POST', '/mint-intents/0xabc/refund', 'key-1'));
+      assert.strictEqual(key, scopedKey('client-a', 'POST', '/mint-intents', 'key-1'));
+    });
+  });
+
+  describe('requestFingerprint', () => {
+    it('should ignore key order', () => {
+      assert.strictEqual(
+        requestFingerprint({ amount: '1', user: { address: '0x1', country: 'KE' } }),
+        requestFingerprint({ user: { country: 'KE', address: '0x1' }, amount: '1' })
+      );
+    });
+
+    it('should differ when a value changes', () => {
+      assert.notStrictEqual(requestFingerprint({ amount: '1' }), requestFingerprint({ amount: '2' }));
+      assert.notStrictEqual(requestFingerprint({ ids: [1, 2] }), requestFingerprint({ ids: [2, 1] }));
+    });
+
+    it('should treat a missing body as empty', () => {
+      assert.strictEqual(requestFingerprint(undefined), requestFingerprint({}));
+    });
+  });
+
+  describe('resolveIdempotencyAction', () => {
+    const fingerprint = requestFingerprint({ amount: '1' });
+    const row = { request_hash: fingerprint, completed_at: null, locked_until: 2000, expires_at: 90000 };
+
+    it('should replay completed requests with the same body', () => {
+      assert.strictEqual(
+        resolveIdempotencyAction({ ...row, completed_at: 1500 }, fingerprint, 5000),
+        IDEMPOTENCY_ACTIONS.REPLAY
+      );
+    });
+
+    it('should reject a different body whether or not the request completed', () => {
+      const other = requestFingerprint({ amount: '2' });
+
+      assert.strictEqual(resolveIdempotencyAction(row, other, 1000), IDEMPOTENCY_ACTIONS.MISMATCH);
+      assert.strictEqual(
+        resolveIdempotencyAction({ ...row, completed_at: 1500 }, other, 1000),
+        IDEMPOTENCY_ACTIONS.MISMATCH
+      );
+    });
+
+    it('should report requests within their lease as in progress', () => {
+      assert.strictEqual(resolveIdempotencyAction(row, fingerprint, 1999), IDEMPOTENCY_ACTIONS.IN_PROGRESS);
+    });
+
+    it('should reclaim requests stalled past their lease', () => {
+      assert.strictEqual(resolveIdempotencyAction(row, fingerprint, 2000), IDEMPOTENCY_ACTIONS.RECLAIM);
+    });
+
+    it('should treat keys past their retention window as new, whatever the body', () => {
+      const other = requestFingerprint({ amount: '2' });
+
+      assert.strictEqual(
+        resolveIdempotencyAction({ ...row, completed_at: 1500 }, other, 90000),
+        IDEMPOTENCY_ACTIONS.EXPIRED
+      );
+      assert.strictEqual(resolveIdempotencyAction(row, fingerprint, 90000), IDEMPOTENCY_ACTIONS.EXPIRED);
+    });
+
+    it('should not expire a key whose request is still running', () => {
+      assert.strictEqual(
+        resolveIdempotencyAction({ ...row, locked_until: 95000 }, fingerprint, 90000),
+        IDEMPOTENCY_ACTIONS.IN_PROGRESS
+      );
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { toEventRow, nextRange } from '../src/services/indexer.js';
+
+describe('MintEscrow Indexer', () => {
+  const intentId = '0x' + 'ab'.repeat(32);
+  const user = '0x' + '11'.repeat(20);
+  const location = {
+    blockNumber: 42,
+    blockHash: '0x' + 'ee'.repeat(32),
+    logIndex: 3,
+    txHash: '0x' + 'cd'.repeat(32),
+  };
+
+  describe('toEventRow', () => {
+    it('should decode MintIntentSubmitted fields', () => {
+      const row = toEventRow({
+        ...location,
+        name: 'MintIntentSubmitted',
+        args: {
+          intentId,
+          user,
+          amount: 1000000000000000000n,
+          countryCode: ethers.encodeBytes32String('KES'),
+          txRef: ethers.encodeBytes32String('MPESA-ABC123'),
+        },
+      });
+
+      assert.deepStrictEqual(row, {
+        block_number: 42,
+        log_index: 3,
+        block_hash: location.blockHash,
+        tx_hash: location.txHash,
+        event_name: 'MintIntentSubmitted',
+        intent_id: intentId,
+        user_address: user,
+        amount: '1000000000000000000',
+        country_code: 'KES',
+        tx_ref: 'MPESA-ABC123',
+        reason: null,
+      });
+    });
+
+    it('should keep the refund reason of MintRefunded', () => {
+      const row = toEventRow({
+        ...location,
+        name: 'MintRefunded',
+        args: { intentId, user, amount: 5n, reason: 'Intent expired' },
+      });
+
+      assert.strictEqual(row.reason, 'Intent expired');
+      assert.strictEqual(row.tx_ref, null);
+      assert.strictEqual(row.country_code, null);
+    });
+  });
+
+  describe('nextRange', () => {
+    it('should start after the checkpoint', () => {
+      assert.deepStrictEqual(nextRange(99, 150, 2000), { fromBlock: 100, toBlock: 150 });
+    });
+
+    it('should cap the range at the batch size', () => {
+      assert.deepStrictEqual(nextRange(-1, 10000, 2000), { fromBlock: 0, toBlock: 1999 });
+    });
+
+    it('should return null when caught up', () => {
+      assert.strictEqual(nextRange(150, 150, 2000), null);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { ethers } from 'ethers';
+import { config } from '../src/config.js';
+import { initDatabase, closeDatabase } from '../src/database.js';
+import { formatIntent } from '../src/blockchain.js';
+import {
+  INTENT_STATUS,
+  serializeIntent,
+  encodeCursor,
+  decodeCursor,
+  recordIntent,
+  listIntents,
+  canAccessIntent,
+} from '../src/services/intents.js';
+
+describe('Intent Ledger', () => {
+  describe('serializeIntent', () => {
+    it('should convert a database row to camelCase', () => {
+      const row = {
+        tx_ref: 'MPESA-ABC123',
+        intent_id: '0x' + 'ab'.repeat(32),
+        user_address: '0x' + '11'.repeat(20),
+        amount: '1000000000000000000',
+        country_code: 'KES',
+        tx_hash: '0x' + 'cd'.repeat(32),
+        status: INTENT_STATUS.SUBMITTED,
+        last_error: null,
+        refund_reason: null,
+        checkout_request_id: 'ws_CO_191220191020363925',
+        mpesa_receipt: 'NLJ7RT61SV',
+        payment_provider: 'daraja',
+        paid_amount: '500000000000000000',
+        quote_id: '6f1c2b7e-1d2a-4c55-9a51-0f3e2d1c4b5a',
+        fiat_amount: '129500000000000000000',
+        flag_reason: 'Callback does not match escrowed intent: user',
+        flagged_at: 1500,
+        created_at: 1000,
+        updated_at: 2000,
+      };
+
+      assert.deepStrictEqual(serializeIntent(row), {
+        intentId: row.intent_id,
+        txRef: 'MPESA-ABC123',
+        userAddress: row.user_address,
+        amount: '1000000000000000000',
+        countryCode: 'KES',
+        txHash: row.tx_hash,
+        status: 'submitted',
+        lastError: null,
+        refundReason: null,
+        checkoutRequestId: 'ws_CO_191220191020363925',
+        mpesaReceipt: 'NLJ7RT61SV',
+        paymentProvider: 'daraja',
+        paidAmount: '500000000000000000',
+        quoteId: '6f1c2b7e-1d2a-4c55-9a51-0f3e2d1c4b5a',
+        fiatAmount: '129500000000000000000',
+        flagReason: 'Callback does not match escrowed intent: user',
+        flaggedAt: 1500,
+        createdAt: 1000,
+        updatedAt: 2000,
+      });
+    });
+  });
+
+  describe('pagination cursor', () => {
+    it('should round-trip the last row position', () => {
+      const cursor = encodeCursor({ created_at: 1700000000000, tx_ref: 'MPESA-ABC123' });
+
+      assert.deepStrictEqual(decodeCursor(cursor), {
+        createdAt: 1700000000000,
+        txRef: 'MPESA-ABC123',
+      });
+    });
+
+    it('should be URL-safe', () => {
+      const cursor = encodeCursor({ created_at: 1700000000000, tx_ref: '??>>' });
+      assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    });
+
+    it('should reject malformed cursors', () => {
+      assert.strictEqual(decodeCursor('not-a-cursor'), null);
+      assert.strictEqual(decodeCursor(''), null);
+      assert.strictEqual(
+        decodeCursor(Buffer.from(JSON.stringify(['x', 1])).toString('base64url')),
+        null
+      );
+    });
+  });
+
+  describe('formatIntent', () => {
+    it('should decode an on-chain intent struct', () => {
+      const intent = {
+        user: '0x' + '22'.repeat(20),
+        amount: 5000000000000000000n,
+        countryCode: ethers.encodeBytes32String('KES'),
+        txRef: ethers.encodeBytes32String('MPESA-ABC123'),
+        timestamp: 1700000000n,
+        status: 1n,
+      };
+
+      assert.deepStrictEqual(formatIntent(intent), {
+        user: intent.user,
+        amount: '5000000000000000000',
+        countryCode: 'KES',
+        txRef: 'MPESA-ABC123',
+        timestamp: 1700000000,
+        status: 'Executed',
+      });
+    });
+
+    it('should return null for an unknown intent', () => {
+      const intent = {
+        user: ethers.ZeroAddress,
+        amount: 0n,
+        countryCode: ethers.ZeroHash,
+        txRef: ethers.ZeroHash,
+        timestamp: 0n,
+        status: 0n,
+      };
+
+      assert.strictEqual(formatIntent(intent), null);
+    });
+  });
+
+  describe('client scoping', () => {
+    const previousPath = config.database.path;
+    const acme = { id: 'acme', admin: false };
+    const admin = { id: 'ops', admin: true };
+
+    before(() => {
+      config.database.path = ':memory:';
+      initDatabase();
+
+      for (const [txRef, clientId] of [['SCOPE-1', 'acme'], ['SCOPE-2', 'globex'], ['SCOPE-3', null]]) {
+        recordIntent({
+          txRef,
+          userAddress: ethers.ZeroAddress,
+          amount: '1000',
+          countryCode: 'KES',
+          status: INTENT_STATUS.SUBMITTED,
+          clientId,
+        });
+      }
+    });
+
+    after(() => {
+      closeDatabase();
+      config.database.path = previousPath;
+    });
+
+    it('should let a client reach only its own intents', () => {
+      assert.strictEqual(canAccessIntent(acme, { client_id: 'acme' }), true);
+      assert.strictEqual(canAccessIntent(acme, { client_id: 'globex' }), false);
+      assert.strictEqual(canAccessIntent(acme, { client_id: null }), false);
+      assert.strictEqual(canAccessIntent(acme, undefined), false);
+    });
+
+    it('should let an admin reach every intent', () => {
+      assert.strictEqual(canAccessIntent(admin, { client_id: 'globex' }), true);
+      assert.strictEqual(canAccessIntent(admin, undefined), true);
+    });
+
+    it('should filter the list by client', () => {
+      const own = listIntents({ clientId: 'acme' }, 10).items.map((row) => row.tx_ref);
+      const all = listIntents({}, 10).items.map((row) => row.tx_ref).sort();
+
+      assert.deepStrictEqual(own, ['SCOPE-1']);
+      assert.deepStrictEqual(all, ['SCOPE-1', 'SCOPE-2', 'SCOPE-3']);
+    });
+  });
+});
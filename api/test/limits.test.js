@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { computeAllowance, DAILY_LIMIT_WINDOW_MS } from '../src/services/limits.js';
+import { config } from '../src/config.js';
+
+describe('Daily Mint Limit', () => {
+  describe('computeAllowance', () => {
+    const limit = config.limits.dailyMintLimit; // 1e22 from seed.json
+
+    it('should allow a request within the remaining allowance', () => {
+      const result = computeAllowance(0n, 10n ** 21n, limit);
+      assert.strictEqual(result.allowed, true);
+      assert.strictEqual(result.remaining, limit);
+    });
+
+    it('should allow a request that exactly fills the limit', () => {
+      const result = computeAllowance(limit - 10n ** 18n, 10n ** 18n, limit);
+      assert.strictEqual(result.allowed, true);
+      assert.strictEqual(result.remaining, 10n ** 18n);
+    });
+
+    it('should reject a request that exceeds the remaining allowance', () => {
+      const result = computeAllowance(limit - 10n ** 18n, 10n ** 18n + 1n, limit);
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.remaining, 10n ** 18n);
+    });
+
+    it('should report zero remaining when usage exceeds the limit', () => {
+      const result = computeAllowance(limit + 1n, 1n, limit);
+      assert.strictEqual(result.allowed, false);
+      assert.strictEqual(result.remaining, 0n);
+    });
+  });
+
+  it('should use a rolling 24 hour window', () => {
+    assert.strictEqual(DAILY_LIMIT_WINDOW_MS, 86400000);
+  });
+});
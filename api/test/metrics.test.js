@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { register } from 'prom-client';
+import { metrics, observeRpc } from '../src/metrics.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Read the current value of a counter for a label set
+ */
+async function counterValue(counter, labels) {
+  const { values } = await counter.get();
+  const match = values.find((v) =>
+    Object.entries(labels).every(([key, value]) => v.labels[key] === value)
+  );
+  return match ? match.value : 0;
+}
+
+describe('Metrics', () => {
+  describe('observeRpc', () => {
+    it('should count successful calls and return the result', async () => {
+      const before = await counterValue(metrics.rpcRequests, { method: 'testOk', status: 'success' });
+
+      const result = await observeRpc('testOk', async () => 42);
+
+      assert.strictEqual(result, 42);
+      assert.strictEqual(
+        await counterValue(metrics.rpcRequests, { method: 'testOk', status: 'success' }),
+        before + 1
+      );
+    });
+
+    it('should count failed calls and rethrow', async () => {
+      const before = await counterValue(metrics.rpcRequests, { method: 'testFail', status: 'error' });
+
+      await assert.rejects(
+        observeRpc('testFail', async () => {
+          throw new Error('RPC timeout');
+        }),
+        /RPC timeout/
+      );
+
+      assert.strictEqual(
+        await counterValue(metrics.rpcRequests, { method: 'testFail', status: 'error' }),
+        before + 1
+      );
+    });
+
+    it('should record latency for the method', async () => {
+      await observeRpc('testLatency', async () => null);
+
+      const { values } = await metrics.rpcLatency.get();
+      const count = values.find(
+        (v) => v.metricName === 'fiatrails_rpc_call_duration_seconds_count' && v.labels.method === 'testLatency'
+      );
+
+      assert.strictEqual(count.value, 1);
+    });
+  });
+
+  describe('alert rules', () => {
+    it('should only reference metrics the API exports', () => {
+      const alerts = readFileSync(join(__dirname, '../../ops/alerts.yml'), 'utf-8');
+      const referenced = new Set(
+        [...alerts.matchAll(/fiatrails_[a-z_]+/g)]
+          .map(([name]) => name.replace(/_(bucket|sum|count)$/, ''))
+          .filter((name) => name !== 'fiatrails_api_alerts')
+      );
+
+      for (const name of referenced) {
+        assert.ok(register.getSingleMetric(name), `ops/alerts.yml references unknown metric ${name}`);
+      }
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { escrowedIntent, comparePayment, partialTxRef } from '../src/services/paymentChecks.js';
+
+const INTENT_ID = '0x' + 'ab'.repeat(32);
+const USER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+// MintEscrow records the executor that submitted the intent as its user
+const onChain = {
+  user: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  amount: '2000000000000000000',
+  countryCode: 'KES',
+  txRef: 'MPESA-ABC123',
+  status: 'Pending',
+};
+
+const intent = escrowedIntent(INTENT_ID, onChain, { user_address: USER, client_id: 'acme' });
+
+describe('Payment Checks', () => {
+  describe('escrowedIntent', () => {
+    it('should take the user from the ledger, not the on-chain submitter', () => {
+      assert.deepStrictEqual(intent, { ...onChain, intentId: INTENT_ID, userAddress: USER, clientId: 'acme' });
+      assert.strictEqual(escrowedIntent(INTENT_ID, onChain, undefined).userAddress, null);
+      assert.strictEqual(escrowedIntent(INTENT_ID, onChain, undefined).clientId, null);
+    });
+  });
+
+  describe('comparePayment', () => {
+    it('should accept a payment matching the escrow', () => {
+      const comparison = comparePayment(intent, {
+        userAddress: USER.toLowerCase(),
+        amount: '2000000000000000000',
+        currency: 'kes',
+      });
+
+      assert.deepStrictEqual(comparison, {
+        mismatches: [],
+        partial: false,
+        paidAmount: 2000000000000000000n,
+        escrowedAmount: 2000000000000000000n,
+      });
+    });
+
+    it('should not require a currency', () => {
+      const comparison = comparePayment(intent, { userAddress: USER, amount: '2000000000000000000' });
+      assert.deepStrictEqual(comparison.mismatches, []);
+    });
+
+    it('should report a smaller amount as a partial payment', () => {
+      const comparison = comparePayment(intent, { userAddress: USER, amount: '500000000000000000' });
+
+      assert.deepStrictEqual(comparison.mismatches, []);
+      assert.strictEqual(comparison.partial, true);
+      assert.strictEqual(comparison.paidAmount, 500000000000000000n);
+    });
+
+    it('should match the ledger user when the on-chain user is the executor', () => {
+      assert.deepStrictEqual(
+        comparePayment(intent, { userAddress: USER, amount: '2000000000000000000' }).mismatches,
+        []
+      );
+      assert.deepStrictEqual(
+        comparePayment(intent, { userAddress: onChain.user, amount: '2000000000000000000' }).mismatches,
+        ['user']
+      );
+    });
+
+    it('should flag payments for an intent missing from the ledger', () => {
+      const unknown = escrowedIntent(INTENT_ID, onChain, undefined);
+      assert.deepStrictEqual(comparePayment(unknown, { userAddress: USER, amount: '1' }).mismatches, ['user']);
+    });
+
+    it('should flag a different user or currency', () => {
+      const comparison = comparePayment(intent, {
+        userAddress: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+        amount: '2000000000000000000',
+        currency: 'UGX',
+      });
+
+      assert.deepStrictEqual(comparison.mismatches, ['user', 'currency']);
+      assert.strictEqual(comparison.partial, false);
+    });
+
+    it('should flag overpaid, zero and unreadable amounts', () => {
+      for (const amount of ['3000000000000000000', '0', '1.5', '-1', undefined]) {
+        const comparison = comparePayment(intent, { userAddress: USER, amount });
+        assert.deepStrictEqual(comparison.mismatches, ['amount'], String(amount));
+      }
+    });
+
+    it('should not treat a mismatching callback as a partial payment', () => {
+      const comparison = comparePayment(intent, { userAddress: undefined, amount: '1' });
+
+      assert.deepStrictEqual(comparison.mismatches, ['user']);
+      assert.strictEqual(comparison.partial, false);
+    });
+  });
+
+  describe('partialTxRef', () => {
+    it('should derive a stable txRef that fits in bytes32', () => {
+      const ref = partialTxRef('MPESA-ABC123');
+
+      assert.strictEqual(ref, partialTxRef('MPESA-ABC123'));
+      assert.notStrictEqual(ref, partialTxRef('MPESA-ABC124'));
+      assert.match(ref, /^PART-[0-9a-f]{16}$/);
+      assert.ok(Buffer.byteLength(ref) <= 31);
+    });
+  });
+});
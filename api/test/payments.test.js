@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { config } from '../src/config.js';
+import {
+  registerPaymentProvider,
+  getPaymentProvider,
+  initiatePayment,
+  toWholeUnits,
+  fromWholeUnits,
+  toDecimalUnits,
+} from '../src/services/payments.js';
+
+describe('Payment Providers', () => {
+  describe('toWholeUnits', () => {
+    it('should convert whole token amounts', () => {
+      assert.strictEqual(toWholeUnits(10n ** 18n, 18), '1');
+      assert.strictEqual(toWholeUnits(2500n * 10n ** 18n, 18), '2500');
+      assert.strictEqual(toWholeUnits(1500n, 2), '15');
+    });
+
+    it('should reject fractional amounts', () => {
+      assert.strictEqual(toWholeUnits(5n * 10n ** 17n, 18), null);
+      assert.strictEqual(toWholeUnits(10n ** 18n + 1n, 18), null);
+    });
+  });
+
+  describe('fromWholeUnits', () => {
+    it('should convert currency amounts to token units', () => {
+      assert.strictEqual(fromWholeUnits('1', 18), 10n ** 18n);
+      assert.strictEqual(fromWholeUnits(15, 2), 1500n);
+      assert.strictEqual(fromWholeUnits('1.50', 18), 15n * 10n ** 17n);
+    });
+
+    it('should reject values that are not amounts', () => {
+      assert.strictEqual(fromWholeUnits(null, 18), null);
+      assert.strictEqual(fromWholeUnits('', 18), null);
+      assert.strictEqual(fromWholeUnits('-1', 18), null);
+      assert.strictEqual(fromWholeUnits('1e3', 18), null);
+      assert.strictEqual(fromWholeUnits('1.005', 2), null);
+    });
+  });
+
+  describe('toDecimalUnits', () => {
+    it('should format token units as currency amounts', () => {
+      assert.strictEqual(toDecimalUnits(10n ** 18n, 18), '1');
+      assert.strictEqual(toDecimalUnits(65n * 10n ** 17n, 18), '6.5');
+      assert.strictEqual(toDecimalUnits(5n, 2), '0.05');
+      assert.strictEqual(toDecimalUnits(fromWholeUnits('1300.25', 18), 18), '1300.25');
+    });
+  });
+
+  describe('initiatePayment', () => {
+    it('should call the configured provider', async () => {
+      const previous = config.payments.provider;
+      const calls = [];
+      registerPaymentProvider('test-ok', {
+        initiatePayment: async (payment) => {
+          calls.push(payment);
+          return { checkoutRequestId: 'ws_CO_1' };
+        },
+      });
+      config.payments.provider = 'test-ok';
+
+      try {
+        const payment = { txRef: 'MPESA-1', phoneNumber: '254708374149', amount: '1' };
+
+        assert.strictEqual(getPaymentProvider(), getPaymentProvider('test-ok'));
+        assert.deepStrictEqual(await initiatePayment(payment), { checkoutRequestId: 'ws_CO_1' });
+        assert.deepStrictEqual(calls, [payment]);
+      } finally {
+        config.payments.provider = previous;
+      }
+    });
+
+    it('should pass on provider failures', async () => {
+      const previous = config.payments.provider;
+      registerPaymentProvider('test-failing', {
+        initiatePayment: async () => {
+          throw new Error('STK Push rejected: Invalid PhoneNumber');
+        },
+      });
+      config.payments.provider = 'test-failing';
+
+      try {
+        await assert.rejects(initiatePayment({}), /Invalid PhoneNumber/);
+      } finally {
+        config.payments.provider = previous;
+      }
+    });
+
+    it('should fail when no provider is registered under the configured name', async () => {
+      const previous = config.payments.provider;
+      config.payments.provider = 'missing';
+
+      try {
+        assert.strictEqual(getPaymentProvider(), undefined);
+        await assert.rejects(initiatePayment({}), /Unknown payment provider: missing/);
+      } finally {
+        config.payments.provider = previous;
+      }
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { config } from '../src/config.js';
+import { initDatabase, closeDatabase } from '../src/database.js';
+import { staticRateSource } from '../src/services/staticRates.js';
+import {
+  QUOTE_ERRORS,
+  QuotesUnavailableError,
+  QuoteAmountError,
+  createQuote,
+  computeQuoteAmounts,
+  signQuote,
+  checkQuote,
+  consumeQuote,
+  releaseQuote,
+  getQuote,
+  fiatToQuotedAmount,
+  serializeQuote,
+  registerDefaultRateSources,
+  getRateSource,
+} from '../src/services/quotes.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const WEI = 10n ** 18n;
+
+/**
+ * Build a signed quotes row
+ * @param {Object} overrides - Column overrides applied before signing
+ * @returns {Object} quotes row
+ */
+function signedQuote(overrides = {}) {
+  const quote = {
+    id: '6f1c2b7e-1d2a-4c55-9a51-0f3e2d1c4b5a',
+    country_code: 'KES',
+    fiat_amount: (1295n * WEI).toString(),
+    token_amount: (10n * WEI).toString(),
+    rate: '129.50',
+    fee: '0',
+    source: 'static',
+    expires_at: Date.now() + 60000,
+    consumed_at: null,
+    consumed_by: null,
+    created_at: Date.now(),
+    ...overrides,
+  };
+  return { ...quote, signature: signQuote(quote) };
+}
+
+describe('Quotes', () => {
+  const previousSecret = config.quotes.signingSecret;
+
+  before(() => {
+    config.quotes.signingSecret = 'test-quote-signing-secret';
+  });
+
+  after(() => {
+    config.quotes.signingSecret = previousSecret;
+  });
+
+  describe('computeQuoteAmounts', () => {
+    it('should divide the fiat amount by the rate', () => {
+      assert.deepStrictEqual(computeQuoteAmounts(1295n * WEI, '129.50', 0), {
+        fee: 0n,
+        tokenAmount: 10n * WEI,
+      });
+    });
+
+    it('should take the fee from the fiat amount first', () => {
+      // 1% of KES 1000 leaves KES 990 at 99 KES/USD
+      assert.deepStrictEqual(computeQuoteAmounts(1000n * WEI, '99', 100), {
+        fee: 10n * WEI,
+        tokenAmount: 10n * WEI,
+      });
+    });
+
+    it('should round the token amount down', () => {
+      const { tokenAmount } = computeQuoteAmounts(WEI, '3', 0);
+      assert.strictEqual(tokenAmount, 333333333333333333n);
+    });
+
+    it('should reject rates that are not positive decimals', () => {
+      assert.strictEqual(computeQuoteAmounts(WEI, '0', 0), null);
+      assert.strictEqual(computeQuoteAmounts(WEI, '-1', 0), null);
+      assert.strictEqual(computeQuoteAmounts(WEI, 'n/a', 0), null);
+    });
+  });
+
+  describe('checkQuote', () => {
+    it('should accept an unexpired, unused quote', () => {
+      assert.strictEqual(checkQuote(signedQuote()), null);
+    });
+
+    it('should reject expired quotes', () => {
+      assert.strictEqual(checkQuote(signedQuote({ expires_at: Date.now() - 1 })), QUOTE_ERRORS.EXPIRED);
+    });
+
+    it('should reject consumed quotes', () => {
+      const quote = { ...signedQuote(), consumed_at: Date.now(), consumed_by: 'MPESA-1' };
+      assert.strictEqual(checkQuote(quote), QUOTE_ERRORS.CONSUMED);
+    });
+
+    it('should reject quotes whose terms changed after signing', () => {
+      const quote = { ...signedQuote(), token_amount: (20n * WEI).toString() };
+      assert.strictEqual(checkQuote(quote), QUOTE_ERRORS.INVALID);
+    });
+
+    it('should reject every quote while no signing secret is set', () => {
+      const quote = signedQuote();
+      config.quotes.signingSecret = '';
+
+      try {
+        assert.strictEqual(checkQuote(quote), QUOTE_ERRORS.INVALID);
+      } finally {
+        config.quotes.signingSecret = 'test-quote-signing-secret';
+      }
+    });
+  });
+
+  describe('createQuote', () => {
+    it('should refuse to issue quotes while no signing secret is set', async () => {
+      config.quotes.signingSecret = '';
+
+      try {
+        await assert.rejects(createQuote({ countryCode: 'KES', fiatAmount: 1295n * WEI }), QuotesUnavailableError);
+      } finally {
+        config.quotes.signingSecret = 'test-quote-signing-secret';
+      }
+    });
+
+    it('should reject fiat amounts that buy no tokens', async () => {
+      const previous = config.quotes.ratesPath;
+      config.quotes.ratesPath = join(__dirname, 'fixtures/fx/rates.json');
+      registerDefaultRateSources();
+
+      try {
+        // 100 wei of KES at 129.50 KES/USD rounds down to 0 wei
+        await assert.rejects(createQuote({ countryCode: 'KES', fiatAmount: 100n }), QuoteAmountError);
+      } finally {
+        config.quotes.ratesPath = previous;
+      }
+    });
+  });
+
+  describe('consumeQuote and releaseQuote', () => {
+    const previous = { path: config.database.path, ratesPath: config.quotes.ratesPath };
+    let quote;
+
+    before(async () => {
+      config.database.path = ':memory:';
+      config.quotes.ratesPath = join(__dirname, 'fixtures/fx/rates.json');
+      initDatabase();
+      registerDefaultRateSources();
+
+      quote = await createQuote({ countryCode: 'KES', fiatAmount: 1295n * WEI });
+    });
+
+    after(() => {
+      closeDatabase();
+      config.database.path = previous.path;
+      config.quotes.ratesPath = previous.ratesPath;
+    });
+
+    it('should let one intent consume a quote', () => {
+      assert.strictEqual(consumeQuote(quote.id, 'MPESA-Q1'), null);
+      assert.strictEqual(consumeQuote(quote.id, 'MPESA-Q2'), QUOTE_ERRORS.CONSUMED);
+      assert.strictEqual(getQuote(quote.id).consumed_by, 'MPESA-Q1');
+    });
+
+    it('should only be released by the intent that consumed it', () => {
+      assert.strictEqual(releaseQuote(quote.id, 'MPESA-Q2'), false);
+      assert.strictEqual(releaseQuote(quote.id, 'MPESA-Q1'), true);
+
+      assert.strictEqual(getQuote(quote.id).consumed_at, null);
+      assert.strictEqual(consumeQuote(quote.id, 'MPESA-Q2'), null);
+    });
+
+    it('should not consume an expired quote', () => {
+      assert.strictEqual(consumeQuote(quote.id, 'MPESA-Q3', quote.expires_at), QUOTE_ERRORS.CONSUMED);
+      releaseQuote(quote.id, 'MPESA-Q2');
+      assert.strictEqual(consumeQuote(quote.id, 'MPESA-Q3', quote.expires_at), QUOTE_ERRORS.EXPIRED);
+    });
+  });
+
+  describe('fiatToQuotedAmount', () => {
+    const record = { amount: (10n * WEI).toString(), fiat_amount: (1295n * WEI).toString() };
+
+    it('should map the quoted fiat amount to the escrowed amount', () => {
+      assert.strictEqual(fiatToQuotedAmount(record, (1295n * WEI).toString()), (10n * WEI).toString());
+    });
+
+    it('should scale partial payments', () => {
+      assert.strictEqual(fiatToQuotedAmount(record, ((1295n * WEI) / 2n).toString()), (5n * WEI).toString());
+    });
+  });
+
+  describe('serializeQuote', () => {
+    it('should report fiat amounts in currency units', () => {
+      const quote = signedQuote({ fee: (65n * WEI / 10n).toString() });
+      const serialized = serializeQuote(quote);
+
+      assert.strictEqual(serialized.quoteId, quote.id);
+      assert.strictEqual(serialized.fiatAmount, '1295');
+      assert.strictEqual(serialized.fee, '6.5');
+      assert.strictEqual(serialized.tokenAmount, (10n * WEI).toString());
+      assert.strictEqual(serialized.signature, quote.signature);
+    });
+  });
+
+  describe('static rate source', () => {
+    it('should be the default source', () => {
+      registerDefaultRateSources();
+      assert.strictEqual(getRateSource('static'), staticRateSource);
+      assert.strictEqual(getRateSource(), staticRateSource);
+    });
+
+    it('should read rates from the rates file', async () => {
+      const previous = config.quotes.ratesPath;
+      config.quotes.ratesPath = join(__dirname, 'fixtures/fx/rates.json');
+
+      try {
+        assert.strictEqual(await staticRateSource.getRate('KES'), '129.50');
+        assert.strictEqual(await staticRateSource.getRate('NGN'), '1550');
+        await assert.rejects(staticRateSource.getRate('ZAR'), /No static rate for ZAR/);
+      } finally {
+        config.quotes.ratesPath = previous;
+      }
+    });
+  });
+});
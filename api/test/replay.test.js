@@ -0,0 +1,148 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { config } from '../src/config.js';
+import { initDatabase, closeDatabase } from '../src/database.js';
+import { generateHmac } from '../src/utils/hmac.js';
+import { hmacVerification } from '../src/middleware/hmacVerification.js';
+import { signatureExpiry, recordSignature } from '../src/services/replay.js';
+
+/**
+ * Build a v1-signed request signed with the shared seed.json salt
+ * @param {Object} body - Parsed request body
+ * @param {number} timestamp - Request timestamp in milliseconds
+ * @param {string} [signature] - Signature override
+ * @returns {Object} Request-like object for hmacVerification
+ */
+function signedRequest(body, timestamp, signature = generateHmac(body, timestamp)) {
+  return {
+    method: 'POST',
+    originalUrl: '/mint-intents',
+    body,
+    headers: { 'x-signature': signature, 'x-timestamp': timestamp.toString() },
+  };
+}
+
+/**
+ * Run hmacVerification on a request
+ * @param {Object} req - Request-like object
+ * @returns {{statusCode: number|null, body: Object|null, passed: boolean}} Outcome
+ */
+function verify(req) {
+  const outcome = { statusCode: null, body: null, passed: false };
+  const res = {
+    status(code) {
+      outcome.statusCode = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+
+  hmacVerification(req, res, () => {
+    outcome.passed = true;
+  });
+  return outcome;
+}
+
+describe('Replay Protection', () => {
+  const previous = { path: config.database.path, allowLegacySecret: config.auth.allowLegacySecret };
+
+  before(() => {
+    config.database.path = ':memory:';
+    config.auth.allowLegacySecret = true;
+    initDatabase();
+  });
+
+  after(() => {
+    closeDatabase();
+    config.database.path = previous.path;
+    config.auth.allowLegacySecret = previous.allowLegacySecret;
+  });
+
+  describe('signatureExpiry', () => {
+    it('should keep a signature until its timestamp leaves the window', () => {
+      assert.strictEqual(signatureExpiry(1000, 300000), 301000);
+    });
+
+    it('should use the configured replay window by default', () => {
+      assert.strictEqual(signatureExpiry(1000), 1000 + config.replay.windowMs);
+    });
+  });
+
+  describe('recordSignature', () => {
+    const signature = 'ab'.repeat(32);
+
+    it('should accept a signature once per scope', () => {
+      const timestamp = Date.now();
+
+      assert.strictEqual(recordSignature('acme', signature, timestamp), true);
+      assert.strictEqual(recordSignature('acme', signature, timestamp), false);
+      assert.strictEqual(recordSignature('acme', signature.toUpperCase(), timestamp), false);
+      assert.strictEqual(recordSignature('globex', signature, timestamp), true);
+    });
+
+    it('should accept a signature again once its timestamp left the window', () => {
+      const expired = Date.now() - config.replay.windowMs - 1000;
+
+      assert.strictEqual(recordSignature('initech', signature, expired), true);
+      assert.strictEqual(recordSignature('initech', signature, expired), true);
+    });
+  });
+
+  describe('hmacVerification', () => {
+    it('should reject a second identical signed request', () => {
+      const req = signedRequest({ txRef: 'REPLAY-1' }, Date.now());
+
+      assert.strictEqual(verify(req).passed, true);
+
+      const replay = verify(req);
+      assert.strictEqual(replay.passed, false);
+      assert.strictEqual(replay.statusCode, 401);
+      assert.strictEqual(replay.body.message, 'Request signature already used');
+    });
+
+    it('should reject suffixed copies of a used signature', () => {
+      const body = { txRef: 'REPLAY-2' };
+      const timestamp = Date.now();
+      const signature = generateHmac(body, timestamp);
+
+      assert.strictEqual(verify(signedRequest(body, timestamp)).passed, true);
+
+      for (const suffix of ['0', 'zz']) {
+        const outcome = verify(signedRequest(body, timestamp, signature + suffix));
+        assert.strictEqual(outcome.passed, false, suffix);
+        assert.strictEqual(outcome.body.message, 'Invalid signature', suffix);
+      }
+    });
+
+    it('should reject a tampered body', () => {
+      const timestamp = Date.now();
+      const req = signedRequest({ txRef: 'REPLAY-3' }, timestamp);
+      const outcome = verify({ ...req, body: { txRef: 'REPLAY-4' } });
+
+      assert.strictEqual(outcome.passed, false);
+      assert.strictEqual(outcome.body.message, 'Invalid signature');
+    });
+
+    it('should bound how far a timestamp may run ahead of the server clock', () => {
+      const ahead = Date.now() + config.replay.maxFutureDriftMs + 60000;
+      const outcome = verify(signedRequest({ txRef: 'REPLAY-5' }, ahead));
+
+      assert.strictEqual(outcome.passed, false);
+      assert.strictEqual(outcome.body.message, 'Request timestamp is too old or in the future');
+
+      const drifted = Date.now() + config.replay.maxFutureDriftMs / 2;
+      assert.strictEqual(verify(signedRequest({ txRef: 'REPLAY-5' }, drifted)).passed, true);
+    });
+
+    it('should reject a request whose timestamp left the window', () => {
+      const stale = Date.now() - config.replay.windowMs - 1000;
+      const outcome = verify(signedRequest({ txRef: 'REPLAY-6' }, stale));
+
+      assert.strictEqual(outcome.passed, false);
+      assert.strictEqual(outcome.statusCode, 401);
+    });
+  });
+});
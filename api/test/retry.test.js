@@ -1,6 +1,14 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { calculateBackoff } from '../src/services/retry.js';
+import {
+  calculateBackoff,
+  registerRetryOperation,
+  getRetryOperation,
+  appendErrorHistory,
+  isExecutionFinal,
+} from '../src/services/retry.js';
+import { INTENT_STATUS } from '../src/services/intents.js';
+import { registerDefaultRetryOperations } from '../src/services/retryOperations.js';
 
 describe('Retry System', () => {
   describe('calculateBackoff', () => {
@@ -59,4 +67,64 @@ describe('Retry System', () => {
       }
     });
   });
+
+  describe('operation registry', () => {
+    it('should return undefined for unregistered operations', () => {
+      assert.strictEqual(getRetryOperation('unknown-operation'), undefined);
+    });
+
+    it('should return the registered handler', () => {
+      const handler = async () => {};
+      registerRetryOperation('test-operation', handler);
+
+      assert.strictEqual(getRetryOperation('test-operation'), handler);
+    });
+
+    it('should register submit, execute and refund by default', () => {
+      registerDefaultRetryOperations();
+
+      for (const operation of ['submit', 'execute', 'refund']) {
+        assert.strictEqual(typeof getRetryOperation(operation), 'function');
+      }
+    });
+  });
+
+  describe('appendErrorHistory', () => {
+    it('should start a history for an item without one', () => {
+      const history = appendErrorHistory({ attempt: 0 }, 'RPC timeout', 1000);
+      assert.deepStrictEqual(history, [{ attempt: 1, error: 'RPC timeout', failedAt: 1000 }]);
+    });
+
+    it('should append to an existing history', () => {
+      const item = {
+        attempt: 1,
+        error_history: JSON.stringify([{ attempt: 1, error: 'RPC timeout', failedAt: 1000 }]),
+      };
+
+      const history = appendErrorHistory(item, 'nonce too low', 2000);
+
+      assert.strictEqual(history.length, 2);
+      assert.deepStrictEqual(history[1], { attempt: 2, error: 'nonce too low', failedAt: 2000 });
+    });
+  });
+
+  describe('isExecutionFinal', () => {
+    it('should treat minted, refunded and rejected intents as final', () => {
+      for (const status of [
+        INTENT_STATUS.PENDING_CONFIRMATION,
+        INTENT_STATUS.EXECUTED,
+        INTENT_STATUS.REFUNDING,
+        INTENT_STATUS.REFUNDED,
+        INTENT_STATUS.REJECTED,
+      ]) {
+        assert.strictEqual(isExecutionFinal(status), true, status);
+      }
+    });
+
+    it('should allow executing intents still waiting for their mint', () => {
+      for (const status of [INTENT_STATUS.SUBMITTED, INTENT_STATUS.HELD, INTENT_STATUS.DEAD_LETTERED]) {
+        assert.strictEqual(isExecutionFinal(status), false, status);
+      }
+    });
+  });
 });
@@ -0,0 +1,259 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, utimesSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { config } from '../src/config.js';
+import {
+  DENYLIST_TYPES,
+  normalizeListedValue,
+  parseDenylist,
+  loadDenylist,
+  denylistProvider,
+} from '../src/services/denylist.js';
+import {
+  SCREENING_STAGES,
+  screenParties,
+  registerScreeningProvider,
+  registerDefaultScreeningProviders,
+  getScreeningProvider,
+  serializeScreeningHit,
+} from '../src/services/screening.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const LISTED_ADDRESS = '0x8589427373D6D84E98730D7795D8f6f8731FDA16';
+const CLEAR_ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+/**
+ * Run a test against a denylist file, restoring the configured one afterwards
+ * @param {string} path - Denylist file
+ * @param {Function} fn - Test body
+ */
+async function withDenylist(path, fn) {
+  const previous = config.screening.denylistPath;
+  config.screening.denylistPath = path;
+
+  try {
+    await fn();
+  } finally {
+    config.screening.denylistPath = previous;
+  }
+}
+
+describe('Screening', () => {
+  describe('normalizeListedValue', () => {
+    it('should compare addresses case-insensitively', () => {
+      assert.strictEqual(
+        normalizeListedValue(DENYLIST_TYPES.ADDRESS, ` ${LISTED_ADDRESS} `),
+        LISTED_ADDRESS.toLowerCase()
+      );
+    });
+
+    it('should compare phone numbers by their digits', () => {
+      assert.strictEqual(normalizeListedValue(DENYLIST_TYPES.PHONE, '+254 708-374149'), '254708374149');
+      assert.strictEqual(normalizeListedValue(DENYLIST_TYPES.PHONE, 254708374149), '254708374149');
+    });
+  });
+
+  describe('parseDenylist', () => {
+    const expected = [
+      {
+        id: 'OFAC-1001',
+        type: 'address',
+        value: LISTED_ADDRESS.toLowerCase(),
+        list: 'OFAC SDN',
+        reason: 'Sanctioned mixer, cluster 7',
+      },
+      {
+        id: 'INT-0042',
+        type: 'phone',
+        value: '254708374149',
+        list: 'Internal',
+        reason: 'Confirmed fraud',
+      },
+    ];
+
+    it('should parse CSV with quoted fields and comments', () => {
+      const csv = [
+        '# comment',
+        'id,type,value,list,reason',
+        `OFAC-1001,address,${LISTED_ADDRESS},OFAC SDN,"Sanctioned mixer, cluster 7"`,
+        '',
+        'INT-0042,PHONE,+254 708 374149,Internal,Confirmed fraud',
+      ].join('\n');
+
+      assert.deepStrictEqual(parseDenylist(csv, 'csv'), expected);
+    });
+
+    it('should parse a JSON array or entries object', () => {
+      const entries = [
+        { id: 'OFAC-1001', type: 'address', value: LISTED_ADDRESS, list: 'OFAC SDN', reason: 'Sanctioned mixer, cluster 7' },
+        { id: 'INT-0042', type: 'phone', value: 254708374149, list: 'Internal', reason: 'Confirmed fraud' },
+      ];
+
+      assert.deepStrictEqual(parseDenylist(JSON.stringify(entries), 'json'), expected);
+      assert.deepStrictEqual(parseDenylist(JSON.stringify({ entries }), 'json'), expected);
+    });
+
+    it('should keep optional columns null', () => {
+      assert.deepStrictEqual(parseDenylist('type,value\naddress,0xABC', 'csv'), [
+        { id: null, type: 'address', value: '0xabc', list: null, reason: null },
+      ]);
+    });
+
+    it('should reject entries without a known type or a value', () => {
+      assert.throws(() => parseDenylist('type,value\nemail,a@b.c', 'csv'), /line 2: type must be one of/);
+      assert.throws(() => parseDenylist('type,value\nphone,n/a', 'csv'), /line 2: missing value/);
+      assert.throws(() => parseDenylist('[{"type":"address"}]', 'json'), /entry 0: missing value/);
+      assert.throws(() => parseDenylist('{"address":"0x1"}', 'json'), /must be an array/);
+    });
+  });
+
+  describe('loadDenylist', () => {
+    it('should list nothing without a file', () => {
+      assert.strictEqual(loadDenylist('').size, 0);
+    });
+
+    it('should reload an edited file and keep the last good list on a bad edit', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'denylist-'));
+      const path = join(dir, 'denylist.csv');
+
+      try {
+        writeFileSync(path, `type,value\naddress,${LISTED_ADDRESS}\n`);
+        assert.ok(loadDenylist(path).has(`address:${LISTED_ADDRESS.toLowerCase()}`));
+
+        writeFileSync(path, 'type,value\nphone,254708374149\naddress,0xabc\n');
+        utimesSync(path, new Date(), new Date(Date.now() + 5000));
+        const reloaded = loadDenylist(path);
+        assert.strictEqual(reloaded.size, 2);
+        assert.ok(reloaded.has('phone:254708374149'));
+
+        writeFileSync(path, 'type,value\nunknown,1\n');
+        utimesSync(path, new Date(), new Date(Date.now() + 10000));
+        assert.strictEqual(loadDenylist(path), reloaded);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should throw if a file never loaded', () => {
+      assert.throws(() => loadDenylist(join(__dirname, 'fixtures/denylist/missing.csv')), /ENOENT/);
+    });
+  });
+
+  describe('denylistProvider', () => {
+    for (const file of ['denylist.csv', 'denylist.json']) {
+      it(`should match addresses and phone numbers listed in ${file}`, async () => {
+        await withDenylist(join(__dirname, 'fixtures/denylist', file), async () => {
+          const addressHit = await denylistProvider.screen([
+            { type: DENYLIST_TYPES.ADDRESS, value: LISTED_ADDRESS.toLowerCase() },
+          ]);
+          assert.strictEqual(addressHit.entry.id, 'OFAC-1001');
+          assert.strictEqual(addressHit.entry.list, 'OFAC SDN');
+
+          const phoneHit = await denylistProvider.screen([
+            { type: DENYLIST_TYPES.ADDRESS, value: CLEAR_ADDRESS },
+            { type: DENYLIST_TYPES.PHONE, value: '254708374149' },
+          ]);
+          assert.deepStrictEqual(phoneHit.subject, { type: DENYLIST_TYPES.PHONE, value: '254708374149' });
+          assert.strictEqual(phoneHit.entry.id, 'INT-0042');
+
+          assert.strictEqual(
+            await denylistProvider.screen([{ type: DENYLIST_TYPES.ADDRESS, value: CLEAR_ADDRESS }]),
+            null
+          );
+        });
+      });
+    }
+  });
+
+  describe('screenParties', () => {
+    it('should screen the user address, then the phone number if present', async () => {
+      const screened = [];
+      registerScreeningProvider('test', {
+        async screen(subjects) {
+          screened.push(subjects);
+          return null;
+        },
+      });
+
+      const previous = config.screening.provider;
+      config.screening.provider = 'test';
+
+      try {
+        assert.strictEqual(await screenParties({ userAddress: CLEAR_ADDRESS }, SCREENING_STAGES.SUBMISSION), null);
+        await screenParties({ userAddress: CLEAR_ADDRESS, phoneNumber: 254708374149 }, SCREENING_STAGES.EXECUTION);
+      } finally {
+        config.screening.provider = previous;
+      }
+
+      assert.deepStrictEqual(screened, [
+        [{ type: 'address', value: CLEAR_ADDRESS }],
+        [{ type: 'address', value: CLEAR_ADDRESS }, { type: 'phone', value: '254708374149' }],
+      ]);
+    });
+
+    it('should return the match of the default denylist provider', async () => {
+      registerDefaultScreeningProviders();
+      assert.strictEqual(getScreeningProvider('denylist'), denylistProvider);
+
+      await withDenylist(join(__dirname, 'fixtures/denylist/denylist.csv'), async () => {
+        const match = await screenParties(
+          { userAddress: CLEAR_ADDRESS, phoneNumber: '254708374149' },
+          SCREENING_STAGES.SUBMISSION
+        );
+        assert.strictEqual(match.entry.reason, 'Confirmed fraud');
+      });
+    });
+
+    it('should fail for an unknown provider', async () => {
+      const previous = config.screening.provider;
+      config.screening.provider = 'missing';
+
+      try {
+        await assert.rejects(
+          screenParties({ userAddress: CLEAR_ADDRESS }, SCREENING_STAGES.SUBMISSION),
+          /Unknown screening provider: missing/
+        );
+      } finally {
+        config.screening.provider = previous;
+      }
+    });
+  });
+
+  describe('serializeScreeningHit', () => {
+    it('should expose the matched list entry', () => {
+      const entry = { id: 'INT-0042', type: 'phone', value: '254708374149', list: 'Internal', reason: 'Confirmed fraud' };
+
+      assert.deepStrictEqual(
+        serializeScreeningHit({
+          id: 3,
+          stage: 'execution',
+          provider: 'denylist',
+          subject_type: 'phone',
+          subject_value: '254708374149',
+          entry: JSON.stringify(entry),
+          user_address: CLEAR_ADDRESS,
+          tx_ref: 'MPESA-1',
+          intent_id: '0x01',
+          refund_queued: 1,
+          created_at: 1700000000000,
+        }),
+        {
+          id: 3,
+          stage: 'execution',
+          provider: 'denylist',
+          subject: { type: 'phone', value: '254708374149' },
+          entry,
+          userAddress: CLEAR_ADDRESS,
+          txRef: 'MPESA-1',
+          intentId: '0x01',
+          refundQueued: true,
+          createdAt: 1700000000000,
+        }
+      );
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  bumpFees,
+  maxFees,
+  pollTransaction,
+  TransactionFailedError,
+  TransactionTimeoutError,
+} from '../src/txManager.js';
+
+describe('Transaction Manager', () => {
+  describe('bumpFees', () => {
+    it('should raise EIP-1559 fees by the given percentage', () => {
+      const bumped = bumpFees({ maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n }, 15);
+
+      assert.deepStrictEqual(bumped, { maxFeePerGas: 1150n, maxPriorityFeePerGas: 115n });
+    });
+
+    it('should raise legacy gas price', () => {
+      assert.deepStrictEqual(bumpFees({ gasPrice: 2000n }, 10), { gasPrice: 2200n });
+    });
+
+    it('should round up so small fees still increase', () => {
+      const bumped = bumpFees({ maxFeePerGas: 3n, maxPriorityFeePerGas: 1n }, 15);
+
+      assert.ok(bumped.maxFeePerGas > 3n);
+      assert.ok(bumped.maxPriorityFeePerGas > 1n);
+    });
+  });
+
+  describe('maxFees', () => {
+    it('should take the higher value of each field', () => {
+      const fees = maxFees(
+        { maxFeePerGas: 1150n, maxPriorityFeePerGas: 115n },
+        { maxFeePerGas: 2000n, maxPriorityFeePerGas: 100n }
+      );
+
+      assert.deepStrictEqual(fees, { maxFeePerGas: 2000n, maxPriorityFeePerGas: 115n });
+    });
+
+    it('should handle legacy gas price', () => {
+      assert.deepStrictEqual(maxFees({ gasPrice: 5n }, { gasPrice: 7n }), { gasPrice: 7n });
+    });
+  });
+
+  describe('pollTransaction', () => {
+    const options = { timeoutMs: 50, pollIntervalMs: 5 };
+
+    it('should return the receipt once the transaction is mined', async () => {
+      let polls = 0;
+      const receipt = await pollTransaction(async () => (++polls === 3 ? { status: 1 } : null), 7, options);
+
+      assert.deepStrictEqual(receipt, { status: 1 });
+      assert.strictEqual(polls, 3);
+    });
+
+    it('should retry RPC errors within the budget', async () => {
+      let polls = 0;
+      const receipt = await pollTransaction(async () => {
+        if (++polls === 1) throw new Error('connection refused');
+        return { status: 1 };
+      }, 7, options);
+
+      assert.deepStrictEqual(receipt, { status: 1 });
+    });
+
+    it('should throw a TransactionTimeoutError once a pending transaction uses up the budget', async () => {
+      await assert.rejects(pollTransaction(async () => null, 7, options), (error) => {
+        assert.ok(error instanceof TransactionTimeoutError);
+        assert.match(error.message, /nonce 7 not mined within 50ms/);
+        return true;
+      });
+    });
+
+    it('should throw the RPC error once the budget is used up', async () => {
+      await assert.rejects(
+        pollTransaction(async () => { throw new Error('connection refused'); }, 7, options),
+        /connection refused/
+      );
+    });
+
+    it('should not retry a failed transaction', async () => {
+      let polls = 0;
+      await assert.rejects(
+        pollTransaction(async () => {
+          polls++;
+          throw new TransactionFailedError('reverted');
+        }, 7, options),
+        TransactionFailedError
+      );
+      assert.strictEqual(polls, 1);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { verifyHmac } from '../src/utils/hmac.js';
+import { INTENT_STATUS } from '../src/services/intents.js';
+import {
+  WEBHOOK_EVENTS,
+  buildWebhookPayload,
+  buildWebhookHeaders,
+  isSubscribedTo,
+} from '../src/services/webhooks.js';
+
+describe('Webhooks', () => {
+  const row = {
+    tx_ref: 'MPESA-ABC123',
+    intent_id: '0x' + 'ab'.repeat(32),
+    user_address: '0x' + '11'.repeat(20),
+    amount: '1000000000000000000',
+    country_code: 'KES',
+    tx_hash: '0x' + 'cd'.repeat(32),
+    status: INTENT_STATUS.EXECUTED,
+    last_error: null,
+    refund_reason: null,
+    client_id: 'acme',
+    created_at: 1000,
+    updated_at: 2000,
+  };
+
+  describe('WEBHOOK_EVENTS', () => {
+    it('should notify the partner-facing transitions only', () => {
+      assert.deepStrictEqual(Object.keys(WEBHOOK_EVENTS).sort(), [
+        'dead_lettered',
+        'executed',
+        'refunded',
+        'rejected',
+        'submitted',
+      ]);
+      assert.strictEqual(WEBHOOK_EVENTS[INTENT_STATUS.PENDING_CONFIRMATION], undefined);
+    });
+  });
+
+  describe('buildWebhookPayload', () => {
+    it('should wrap the serialized intent with event metadata', () => {
+      const payload = buildWebhookPayload('evt-1', 'intent.executed', row, 3000);
+
+      assert.strictEqual(payload.id, 'evt-1');
+      assert.strictEqual(payload.event, 'intent.executed');
+      assert.strictEqual(payload.occurredAt, 3000);
+      assert.strictEqual(payload.data.txRef, 'MPESA-ABC123');
+      assert.strictEqual(payload.data.status, 'executed');
+    });
+  });
+
+  describe('buildWebhookHeaders', () => {
+    it('should sign the payload with the subscription secret', () => {
+      const payload = buildWebhookPayload('evt-1', 'intent.executed', row, 3000);
+      const timestamp = Date.now();
+      const headers = buildWebhookHeaders(payload, timestamp, 'subscription-secret');
+
+      assert.strictEqual(headers['X-Timestamp'], timestamp.toString());
+      assert.strictEqual(headers['X-Webhook-Event'], 'intent.executed');
+      assert.strictEqual(headers['X-Webhook-Id'], 'evt-1');
+      assert.ok(verifyHmac(headers['X-Signature'], payload, timestamp, 'subscription-secret'));
+      assert.strictEqual(verifyHmac(headers['X-Signature'], payload, timestamp), false);
+    });
+  });
+
+  describe('isSubscribedTo', () => {
+    const subscription = {
+      client_id: 'acme',
+      events: JSON.stringify(['intent.executed']),
+      enabled: 1,
+    };
+
+    it('should deliver subscribed events of the client\'s own intents', () => {
+      assert.strictEqual(isSubscribedTo(subscription, 'intent.executed', row), true);
+      assert.strictEqual(isSubscribedTo(subscription, 'intent.refunded', row), false);
+      assert.strictEqual(isSubscribedTo({ ...subscription, enabled: 0 }, 'intent.executed', row), false);
+    });
+
+    it('should not deliver intents of another client', () => {
+      assert.strictEqual(isSubscribedTo(subscription, 'intent.executed', { ...row, client_id: 'globex' }), false);
+      assert.strictEqual(isSubscribedTo(subscription, 'intent.executed', { ...row, client_id: null }), false);
+      assert.strictEqual(isSubscribedTo({ ...subscription, client_id: null }, 'intent.executed', { ...row, client_id: null }), false);
+    });
+  });
+});
@@ -22,7 +22,10 @@ const seed = JSON.parse(fs.readFileSync(seedPath, 'utf8'));
 
 const API_BASE_URL = process.env.API_URL || 'http://localhost:3000';
 const RPC_URL = process.env.RPC_URL || 'http://localhost:8545';
-const HMAC_SECRET = seed.secrets.hmacSalt;
+// Per-client credentials (X-Client-Id); falls back to the shared seed.json salt, which
+// cannot call /admin routes
+const CLIENT_ID = process.env.FIATRAILS_CLIENT_ID || '';
+const HMAC_SECRET = process.env.FIATRAILS_CLIENT_SECRET || seed.secrets.hmacSalt;
 const WEBHOOK_SECRET = seed.secrets.mpesaWebhookSecret;
 
 // Load deployments
@@ -35,15 +38,20 @@ try {
 }
 
 /**
- * Generate HMAC signature for API request
- * @param {string} payload - Request body as JSON string
- * @param {number} timestamp - Unix timestamp in seconds
+ * Sign a request with the v2 canonical string:
+ * "v2\n<timestamp>\n<METHOD>\n<path and query>\n<raw body>"
+ * The raw body is signed as sent, so any JSON serialization works.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path (including query string)
+ * @param {string} rawBody - Request body exactly as sent ('' for none)
  * @param {string} secret - HMAC secret
- * @returns {string} HMAC signature in hex format
+ * @returns {{timestamp: number, signature: string}} Timestamp (ms) and signature (hex)
  */
-function generateHmac(payload, timestamp, secret) {
-  const message = `${timestamp}:${payload}`;
-  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+function signRequest(method, path, rawBody, secret) {
+  const timestamp = Date.now();
+  const message = ['v2', timestamp.toString(), method.toUpperCase(), path, rawBody].join('\n');
+  const signature = crypto.createHmac('sha256', secret).update(message).digest('hex');
+  return { timestamp, signature };
 }
 
 /**
@@ -53,27 +61,28 @@ function generateHmac(payload, timestamp, secret) {
  * @param {string} params.amount - Amount in wei (as string)
  * @param {string} params.transactionRef - Unique transaction reference
  * @param {string} params.idempotencyKey - Optional idempotency key (UUID)
+ * @param {string} params.phoneNumber - Optional payer phone number (2547XXXXXXXX) to prompt with STK Push
  * @returns {Promise<Object>} API response
  */
-export async function submitMintIntent({ userAddress, amount, transactionRef, idempotencyKey }) {
-  const timestamp = Date.now(); // Milliseconds
+export async function submitMintIntent({ userAddress, amount, transactionRef, idempotencyKey, phoneNumber }) {
   const body = {
     userAddress: userAddress,
     amount: amount,
     countryCode: seed.tokens.country.countryCode,
-    txRef: transactionRef
+    txRef: transactionRef,
+    ...(phoneNumber ? { phoneNumber } : {})
   };
 
   const payload = JSON.stringify(body);
-  // Match the API's HMAC format: JSON.stringify(payload) + timestamp
-  const message = payload + timestamp.toString();
-  const signature = crypto.createHmac('sha256', HMAC_SECRET).update(message).digest('hex');
+  const { timestamp, signature } = signRequest('POST', '/mint-intents', payload, HMAC_SECRET);
 
   const headers = {
     'Content-Type': 'application/json',
     'X-Signature': signature,
+    'X-Signature-Version': 'v2',
     'X-Timestamp': timestamp.toString(),
-    'X-Idempotency-Key': idempotencyKey || crypto.randomUUID()
+    'X-Idempotency-Key': idempotencyKey || crypto.randomUUID(),
+    ...(CLIENT_ID ? { 'X-Client-Id': CLIENT_ID } : {})
   };
 
   const response = await fetch(`${API_BASE_URL}/mint-intents`, {
@@ -142,8 +151,6 @@ export async function getIntentIdByTxRef(txRef) {
  * @returns {Promise<Object>} API response
  */
 export async function triggerMpesaCallback({ transactionRef, userAddress, amount, intentId }) {
-  const timestamp = Math.floor(Date.now() / 1000);
-
   // Look up intentId from blockchain if not provided
   if (!intentId) {
     console.log(`Looking up intentId for txRef: ${transactionRef}...`);
@@ -162,13 +169,13 @@ export async function triggerMpesaCallback({ transactionRef, userAddress, amount
   };
 
   const payload = JSON.stringify(body);
-  // Match the API's HMAC format: JSON.stringify(payload) + timestamp
-  const message = payload + timestamp.toString();
-  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(message).digest('hex');
+  // Signed after the intent lookup so the callback is fresh when sent
+  const { timestamp, signature } = signRequest('POST', '/callbacks/mpesa', payload, WEBHOOK_SECRET);
 
   const headers = {
     'Content-Type': 'application/json',
     'X-Mpesa-Signature': signature,
+    'X-Signature-Version': 'v2',
     'X-Timestamp': timestamp.toString()
   };
 
@@ -192,6 +199,37 @@ export async function triggerMpesaCallback({ transactionRef, userAddress, amount
   };
 }
 
+/**
+ * Send an HMAC-signed request to the API
+ * GET requests have no body and are signed over an empty one.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path (including query string)
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} API response
+ */
+export async function signedRequest(method, path, body = {}) {
+  const payload = method === 'GET' ? '' : JSON.stringify(body);
+  const { timestamp, signature } = signRequest(method, path, payload, HMAC_SECRET);
+
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Signature': signature,
+      'X-Signature-Version': 'v2',
+      'X-Timestamp': timestamp.toString(),
+      ...(CLIENT_ID ? { 'X-Client-Id': CLIENT_ID } : {})
+    },
+    body: payload || undefined
+  });
+
+  return {
+    status: response.status,
+    ok: response.ok,
+    data: response.status === 204 ? null : await response.json()
+  };
+}
+
 /**
  * Check API health
  * @returns {Promise<Object>} Health status
@@ -218,13 +256,14 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
     const userAddress = process.argv[3];
     const amount = process.argv[4];
     const txRef = process.argv[5] || `MPESA-${Date.now()}`;
+    const phoneNumber = process.argv[6];
 
     if (!userAddress || !amount) {
-      console.error('Usage: api-helper.js submit-intent <userAddress> <amount> [txRef]');
+      console.error('Usage: api-helper.js submit-intent <userAddress> <amount> [txRef] [phoneNumber]');
       process.exit(1);
     }
 
-    submitMintIntent({ userAddress, amount, transactionRef: txRef })
+    submitMintIntent({ userAddress, amount, transactionRef: txRef, phoneNumber })
       .then(result => {
         console.log(JSON.stringify(result, null, 2));
         process.exit(result.ok ? 0 : 1);
@@ -252,6 +291,72 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
         console.error('Error:', err.message);
         process.exit(1);
       });
+  } else if (command === 'dlq-list' || command === 'dlq-replay' || command === 'dlq-discard') {
+    const id = process.argv[3];
+    let request;
+
+    if (command === 'dlq-list') {
+      request = signedRequest('GET', `/admin/dlq${id ? `/${id}` : ''}`);
+    } else if (!id) {
+      console.error(`Usage: api-helper.js ${command} <id>${command === 'dlq-discard' ? ' <reason>' : ''}`);
+      process.exit(1);
+    } else if (command === 'dlq-replay') {
+      request = signedRequest('POST', `/admin/dlq/${id}/replay`, {});
+    } else {
+      request = signedRequest('POST', `/admin/dlq/${id}/discard`, { reason: process.argv[4] });
+    }
+
+    request
+      .then(result => {
+        console.log(JSON.stringify(result, null, 2));
+        process.exit(result.ok ? 0 : 1);
+      })
+      .catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+      });
+  } else if (command?.startsWith('client-')) {
+    const [id, arg] = process.argv.slice(3);
+    let request;
+
+    if (command === 'client-list') {
+      request = signedRequest('GET', `/admin/clients${id ? `/${id}` : ''}`);
+    } else if (!id) {
+      console.error(`Usage: api-helper.js ${command} <id> ...`);
+      process.exit(1);
+    } else if (command === 'client-create') {
+      request = signedRequest('POST', '/admin/clients', { id, name: arg || id });
+    } else if (command === 'client-rotate') {
+      const body = arg !== undefined ? { retireExistingAfterSeconds: parseInt(arg, 10) } : {};
+      request = signedRequest('POST', `/admin/clients/${id}/secrets`, body);
+    } else if (command === 'client-revoke') {
+      request = signedRequest('DELETE', `/admin/clients/${id}/secrets/${arg}`);
+    } else if (command === 'client-disable' || command === 'client-enable') {
+      request = signedRequest('PATCH', `/admin/clients/${id}`, { enabled: command === 'client-enable' });
+    } else {
+      console.error(`Unknown command: ${command}`);
+      process.exit(1);
+    }
+
+    request
+      .then(result => {
+        console.log(JSON.stringify(result, null, 2));
+        process.exit(result.ok ? 0 : 1);
+      })
+      .catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+      });
+  } else if (command === 'flagged-list') {
+    signedRequest('GET', '/mint-intents?flagged=true')
+      .then(result => {
+        console.log(JSON.stringify(result, null, 2));
+        process.exit(result.ok ? 0 : 1);
+      })
+      .catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+      });
   } else if (command === 'health') {
     checkHealth()
       .then(result => {
@@ -266,13 +371,25 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
     console.log('FiatRails API Helper');
     console.log('');
     console.log('Commands:');
-    console.log('  submit-intent <userAddress> <amount> [txRef]');
+    console.log('  submit-intent <userAddress> <amount> [txRef] [phoneNumber]');
     console.log('  trigger-callback <txRef> <userAddress> <amount>');
+    console.log('  flagged-list');
+    console.log('  dlq-list [id]');
+    console.log('  dlq-replay <id>');
+    console.log('  dlq-discard <id> <reason>');
+    console.log('  client-list [id]');
+    console.log('  client-create <id> [name]');
+    console.log('  client-rotate <id> [retireExistingAfterSeconds]');
+    console.log('  client-revoke <id> <secretId>');
+    console.log('  client-disable <id> | client-enable <id>');
     console.log('  health');
     console.log('');
     console.log('Examples:');
     console.log('  node api-helper.js submit-intent 0x123... 1000000000000000000 MPESA-123');
+    console.log('  node api-helper.js submit-intent 0x123... 1000000000000000000 MPESA-124 254708374149');
     console.log('  node api-helper.js trigger-callback MPESA-123 0x123... 1000000000000000000');
     console.log('  node api-helper.js health');
+    console.log('');
+    console.log('Set FIATRAILS_CLIENT_ID and FIATRAILS_CLIENT_SECRET to sign as a specific client.');
   }
 }
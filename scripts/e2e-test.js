@@ -6,12 +6,13 @@
  * This script tests the complete mint flow including:
  * - Mint intent submission
  * - M-PESA callback processing
+ * - STK Push payment prompts (against scripts/mock-daraja.js)
  * - On-chain verification
  * - Idempotency protection
  * - Metrics collection
  */
 
-import { submitMintIntent, triggerMpesaCallback, checkHealth, getMetrics } from './api-helper.js';
+import { submitMintIntent, triggerMpesaCallback, signedRequest, checkHealth, getMetrics } from './api-helper.js';
 import { execSync } from 'child_process';
 import crypto from 'crypto';
 import fs from 'fs';
@@ -27,6 +28,9 @@ const deployments = JSON.parse(fs.readFileSync(deploymentsPath, 'utf8'));
 
 // Anvil default test accounts
 const TEST_USER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+// Mock Daraja outcomes are picked by the phone number's last digits
+const STK_PAYER_PHONE = '254708374149';
+const STK_CANCELLED_PHONE = '254700001032';
 const RPC_URL = deployments.rpcUrl;
 
 // Test counters
@@ -46,6 +50,30 @@ function castCall(contractAddress, signature, ...args) {
   }
 }
 
+/**
+ * Poll the local ledger record of an intent until it matches
+ * @param {string} txRef - Transaction reference
+ * @param {Function} predicate - Called with the serialized intent
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<Object|null>} Last record seen (null if none)
+ */
+async function waitForIntent(txRef, predicate, timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  let record = null;
+
+  while (Date.now() < deadline) {
+    const result = await signedRequest('GET', `/mint-intents?txRefPrefix=${encodeURIComponent(txRef)}`);
+    record = result.data?.items?.find((item) => item.txRef === txRef) || null;
+
+    if (record && predicate(record)) {
+      return record;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+
+  return record;
+}
 
 /**
  * Assert function for tests
@@ -103,8 +131,8 @@ async function testCompleteMintFlow() {
   });
 
   assert(
-    callbackResult.ok && callbackResult.status === 200,
-    'M-PESA callback processing returns 200',
+    callbackResult.status === 200 || callbackResult.status === 202,
+    'M-PESA callback processing returns 200 (executed) or 202 (pending confirmation)',
     `Status: ${callbackResult.status}, Response: ${JSON.stringify(callbackResult.data)}`
   );
 
@@ -248,10 +276,96 @@ async function testNonCompliantUser() {
 }
 
 /**
- * Test 4: Health and Metrics Endpoints
+ * Test 4: STK Push Payment Prompt
+ * Requires the API to run with PAYMENT_PROVIDER=daraja against scripts/mock-daraja.js
+ */
+async function testStkPushFlow() {
+  console.log('\n📋 Test 4: STK Push Payment Prompt');
+  console.log('════════════════════════════════════════════════════════');
+
+  const amount = '2000000000000000000'; // 2 tokens (whole KES for M-PESA)
+  const txRef = `TEST-STK-${crypto.randomUUID()}`;
+
+  const initialBalance = castCall(deployments.countryToken, 'balanceOf(address)(uint256)', TEST_USER);
+
+  // Step 1: Submit with a phone number; the API prompts the payer
+  console.log('\n1. Submitting mint intent with a phone number...');
+  const intentResult = await submitMintIntent({
+    userAddress: TEST_USER,
+    amount: amount,
+    transactionRef: txRef,
+    phoneNumber: STK_PAYER_PHONE
+  });
+
+  assert(
+    intentResult.status === 201 && Boolean(intentResult.data.checkoutRequestId),
+    'Mint intent submission returns 201 with a CheckoutRequestID',
+    `Status: ${intentResult.status}, Response: ${JSON.stringify(intentResult.data)}`
+  );
+
+  // Step 2: The mock Daraja calls back; no manual callback is sent
+  console.log('\n2. Waiting for the STK Push callback...');
+  const record = await waitForIntent(
+    txRef,
+    (intent) => intent.status === 'executed' || intent.status === 'pending_confirmation'
+  );
+
+  assert(
+    Boolean(record?.mpesaReceipt),
+    'STK Push callback recorded the M-PESA receipt',
+    `Record: ${JSON.stringify(record)}`
+  );
+
+  assert(
+    record?.status === 'executed' || record?.status === 'pending_confirmation',
+    'Paid intent was executed',
+    `Status: ${record?.status}`
+  );
+
+  // Step 3: Verify on-chain balance
+  console.log('\n3. Verifying on-chain balance...');
+  const finalBalance = castCall(deployments.countryToken, 'balanceOf(address)(uint256)', TEST_USER);
+  const expectedBalance = BigInt(initialBalance) + BigInt(amount);
+
+  assert(
+    BigInt(finalBalance) === expectedBalance,
+    'User received the amount paid with M-PESA',
+    `Expected: ${expectedBalance}, Got: ${finalBalance}`
+  );
+
+  // Step 4: A cancelled prompt rejects the intent
+  console.log('\n4. Submitting an intent the payer cancels...');
+  const cancelledRef = `TEST-STK-CANCEL-${crypto.randomUUID()}`;
+  const cancelledResult = await submitMintIntent({
+    userAddress: TEST_USER,
+    amount: amount,
+    transactionRef: cancelledRef,
+    phoneNumber: STK_CANCELLED_PHONE
+  });
+
+  assert(
+    cancelledResult.status === 201,
+    'Intent with a cancelling payer is created',
+    `Status: ${cancelledResult.status}, Response: ${JSON.stringify(cancelledResult.data)}`
+  );
+
+  const cancelled = await waitForIntent(
+    cancelledRef,
+    (intent) => ['rejected', 'refunding', 'refunded'].includes(intent.status)
+  );
+
+  assert(
+    ['rejected', 'refunding', 'refunded'].includes(cancelled?.status) && !cancelled?.mpesaReceipt,
+    'Cancelled STK Push rejects the intent without a receipt',
+    `Record: ${JSON.stringify(cancelled)}`
+  );
+}
+
+/**
+ * Test 5: Health and Metrics Endpoints
  */
 async function testHealthAndMetrics() {
-  console.log('\n📋 Test 4: Health and Metrics Endpoints');
+  console.log('\n📋 Test 5: Health and Metrics Endpoints');
   console.log('════════════════════════════════════════════════════════');
 
   // Test health endpoint
@@ -305,6 +419,7 @@ async function runTests() {
     await testCompleteMintFlow();
     await testIdempotency();
     await testNonCompliantUser();
+    await testStkPushFlow();
     await testHealthAndMetrics();
 
     // Test summary
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * FiatRails Mock Daraja - local stand-in for the Safaricom Daraja API
+ *
+ * Issues OAuth tokens, accepts STK Push requests and, after a short delay,
+ * posts the payment result to the CallBackURL as a signed Daraja-shaped
+ * callback, so the whole STK Push loop runs offline.
+ *
+ * The payer's phone number picks the outcome:
+ *   ...1032  cancelled by user (ResultCode 1032)
+ *   ...1037  user unreachable (ResultCode 1037)
+ *   ...0001  insufficient balance (ResultCode 1)
+ *   anything else succeeds with a random receipt
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load seed.json (callbacks are signed with the M-PESA webhook secret)
+const seedPath = join(__dirname, '..', 'seed.json');
+const seed = JSON.parse(fs.readFileSync(seedPath, 'utf8'));
+
+const PORT = parseInt(process.env.MOCK_DARAJA_PORT || '8090', 10);
+const CONSUMER_KEY = process.env.MOCK_DARAJA_CONSUMER_KEY || 'mock-consumer-key';
+const CONSUMER_SECRET = process.env.MOCK_DARAJA_CONSUMER_SECRET || 'mock-consumer-secret';
+const SHORTCODE = process.env.MOCK_DARAJA_SHORTCODE || '174379';
+const PASSKEY = process.env.MOCK_DARAJA_PASSKEY || 'mock-passkey';
+const CALLBACK_DELAY_MS = parseInt(process.env.MOCK_DARAJA_CALLBACK_DELAY_MS || '2000', 10);
+const WEBHOOK_SECRET = seed.secrets.mpesaWebhookSecret;
+
+const TOKEN_TTL_SECONDS = 3599;
+
+// Failure outcomes keyed by the last four digits of the phone number
+const FAILURES = {
+  1032: { ResultCode: 1032, ResultDesc: 'Request cancelled by user' },
+  1037: { ResultCode: 1037, ResultDesc: 'DS timeout user cannot be reached' },
+  '0001': { ResultCode: 1, ResultDesc: 'The balance is insufficient for the transaction' },
+};
+
+// Issued access tokens and their expiry (ms)
+const tokens = new Map();
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a request body as a string
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Raw body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Build the Daraja callback for an STK Push request
+ * @param {Object} request - STK Push request body
+ * @param {Object} ids - { MerchantRequestID, CheckoutRequestID }
+ * @returns {Object} Callback body
+ */
+function buildCallback(request, ids) {
+  const failure = FAILURES[String(request.PhoneNumber).slice(-4)];
+
+  if (failure) {
+    return { Body: { stkCallback: { ...ids, ...failure } } };
+  }
+
+  const transactionDate = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+
+  return {
+    Body: {
+      stkCallback: {
+        ...ids,
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        CallbackMetadata: {
+          Item: [
+            { Name: 'Amount', Value: request.Amount },
+            { Name: 'MpesaReceiptNumber', Value: crypto.randomBytes(5).toString('hex').toUpperCase() },
+            { Name: 'Balance' },
+            { Name: 'TransactionDate', Value: Number(transactionDate) },
+            { Name: 'PhoneNumber', Value: Number(request.PhoneNumber) },
+          ],
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Post a callback to the API, signed like an M-PESA webhook (v2 canonical string)
+ * @param {string} callbackUrl - CallBackURL from the STK Push request
+ * @param {Object} callback - Callback body
+ */
+async function sendCallback(callbackUrl, callback) {
+  const url = new URL(callbackUrl);
+  const payload = JSON.stringify(callback);
+  const timestamp = Date.now().toString();
+  const message = ['v2', timestamp, 'POST', `${url.pathname}${url.search}`, payload].join('\n');
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(message).digest('hex');
+
+  const { CheckoutRequestID, ResultCode } = callback.Body.stkCallback;
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Mpesa-Signature': signature,
+        'X-Signature-Version': 'v2',
+        'X-Timestamp': timestamp,
+      },
+      body: payload,
+    });
+
+    console.log(`Callback ${CheckoutRequestID} (ResultCode ${ResultCode}) -> HTTP ${response.status}`);
+  } catch (error) {
+    console.error(`Callback ${CheckoutRequestID} failed: ${error.message}`);
+  }
+}
+
+/**
+ * GET /oauth/v1/generate?grant_type=client_credentials
+ */
+function handleOAuth(req, res) {
+  const expected = Buffer.from(`${CONSUMER_KEY}:${CONSUMER_SECRET}`).toString('base64');
+
+  if (req.headers.authorization !== `Basic ${expected}`) {
+    return sendJson(res, 400, { errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+  }
+
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  tokens.set(accessToken, Date.now() + TOKEN_TTL_SECONDS * 1000);
+
+  sendJson(res, 200, { access_token: accessToken, expires_in: String(TOKEN_TTL_SECONDS) });
+}
+
+/**
+ * POST /mpesa/stkpush/v1/processrequest
+ */
+async function handleStkPush(req, res) {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const expiresAt = tokens.get(token);
+
+  if (!expiresAt || expiresAt < Date.now()) {
+    return sendJson(res, 401, { errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+  }
+
+  let request;
+  try {
+    request = JSON.parse(await readBody(req));
+  } catch (error) {
+    return sendJson(res, 400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid JSON' });
+  }
+
+  const password = Buffer.from(`${SHORTCODE}${PASSKEY}${request.Timestamp}`).toString('base64');
+
+  if (String(request.BusinessShortCode) !== SHORTCODE || request.Password !== password) {
+    return sendJson(res, 400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Password' });
+  }
+
+  if (!request.CallBackURL || !/^254[17]\d{8}$/.test(String(request.PhoneNumber))) {
+    return sendJson(res, 400, { errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid PhoneNumber' });
+  }
+
+  const ids = {
+    MerchantRequestID: `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1e7, 1e8)}-1`,
+    CheckoutRequestID: `ws_CO_${Date.now()}${crypto.randomInt(1000, 9999)}`,
+  };
+
+  console.log(`STK Push ${ids.CheckoutRequestID}: ${request.Amount} KES from ${request.PhoneNumber} (${request.AccountReference})`);
+
+  sendJson(res, 200, {
+    ...ids,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing',
+  });
+
+  setTimeout(() => sendCallback(request.CallBackURL, buildCallback(request, ids)), CALLBACK_DELAY_MS);
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'GET' && pathname === '/oauth/v1/generate') {
+    return handleOAuth(req, res);
+  }
+
+  if (req.method === 'POST' && pathname === '/mpesa/stkpush/v1/processrequest') {
+    return handleStkPush(req, res).catch((error) => {
+      console.error('STK Push failed:', error);
+      sendJson(res, 500, { errorMessage: 'Internal Server Error' });
+    });
+  }
+
+  sendJson(res, 404, { errorMessage: `No route for ${req.method} ${pathname}` });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Daraja listening on port ${PORT}`);
+});
+
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
+process.on('SIGINT', () => server.close(() => process.exit(0)));
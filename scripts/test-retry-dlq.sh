@@ -23,6 +23,13 @@ if [ ! -f "deployments.json" ]; then
     exit 1
 fi
 
+# Listing the DLQ is an admin route, which the shared seed.json salt cannot call
+if [ -z "$FIATRAILS_CLIENT_ID" ] || [ -z "$FIATRAILS_CLIENT_SECRET" ]; then
+    echo -e "${RED}❌ Error: FIATRAILS_CLIENT_ID and FIATRAILS_CLIENT_SECRET are not set${NC}"
+    echo -e "${YELLOW}Set them to an admin client (e.g. the API's ADMIN_CLIENT_ID/ADMIN_CLIENT_SECRET)${NC}"
+    exit 1
+fi
+
 # Test 1: Retry Logic with RPC Failure
 echo -e "${GREEN}========================================${NC}"
 echo -e "${GREEN}TEST 1: Retry Logic with RPC Failure${NC}"
@@ -112,15 +119,14 @@ echo "  1. Stop Anvil again"
 echo "  2. Trigger a callback"
 echo "  3. Let ALL retries exhaust (takes ~60 seconds)"
 echo "  4. Verify operation moved to DLQ"
-echo "  5. Show DLQ file contents"
+echo "  5. Show DLQ entries (GET /admin/dlq)"
 echo ""
 read -p "Press Enter to start Test 2..."
 echo ""
 
-# Clear existing DLQ
-echo -e "${YELLOW}🗑️  Clearing existing DLQ...${NC}"
-rm -f api/data/dlq.json
-echo -e "${GREEN}✅ DLQ cleared${NC}"
+# Count existing DLQ entries
+DLQ_BEFORE=$(node scripts/api-helper.js dlq-list | jq '.data.items | length')
+echo -e "${BLUE}DLQ entries before the test: ${DLQ_BEFORE}${NC}"
 echo ""
 
 # Stop Anvil
@@ -157,16 +163,17 @@ for i in {60..1}; do
 done
 echo -e "\n"
 
-# Check if DLQ was created
-echo -e "${YELLOW}🔍 Checking if DLQ file was created...${NC}"
-if [ -f "api/data/dlq.json" ]; then
-    echo -e "${GREEN}✅ DLQ file exists!${NC}"
+# Check if a DLQ entry was created
+echo -e "${YELLOW}🔍 Checking DLQ for the failed callback...${NC}"
+DLQ_ENTRIES=$(node scripts/api-helper.js dlq-list)
+if echo "$DLQ_ENTRIES" | jq -e --argjson before "$DLQ_BEFORE" '.data.items | length > $before' > /dev/null; then
+    echo -e "${GREEN}✅ DLQ entry exists!${NC}"
     echo ""
     echo -e "${BLUE}DLQ Contents:${NC}"
-    cat api/data/dlq.json | jq .
+    echo "$DLQ_ENTRIES" | jq '.data.items'
     echo ""
 else
-    echo -e "${RED}❌ DLQ file not found yet${NC}"
+    echo -e "${RED}❌ DLQ entry not found yet${NC}"
     echo -e "${YELLOW}It may still be processing. Check logs and wait a bit longer.${NC}"
     echo ""
 fi
@@ -198,5 +205,4 @@ echo "  1. Review script-demo.md for narration"
 echo "  2. Practice the timing (aim for 8-9 minutes)"
 echo "  3. Reset to clean state before recording:"
 echo "     sudo docker-compose down -v"
-echo "     rm -f api/data/dlq.json"
 echo ""